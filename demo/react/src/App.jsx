@@ -5,6 +5,9 @@ function App() {
   const chartContainerRef = useRef(null);
 
   useEffect(() => {
+    let chart = null;
+    let unmounted = false;
+
     const loadChart = async () => {
       try {
         // Generate sample data using the same function as Vue demo
@@ -14,8 +17,8 @@ function App() {
         const { default: StockChart } = await import('../../../dist/stock-chart.min.js');
         
         // Initialize chart using the ref's DOM element
-        if (chartContainerRef.current) {
-          StockChart.init('chart-container', {
+        if (chartContainerRef.current && !unmounted) {
+          chart = StockChart.init('chart-container', {
             theme: 'light',
             chartName: {
               name: 'Test React AI Stock View chart',
@@ -38,6 +41,14 @@ function App() {
     }
 
     loadChart();
+
+    // Remove the chart and its listeners when the component unmounts
+    return () => {
+      unmounted = true;
+      if (chart) {
+        chart.destroy();
+      }
+    };
   }, []);
 
   return (
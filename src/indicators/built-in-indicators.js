@@ -0,0 +1,245 @@
+/**
+ * @fileoverview Definitions of the indicators that ship with StockChart.
+ * They are registered through the same registry as custom indicators.
+ * @author H Chen
+ */
+
+import {
+    calculateBollingerBands,
+    calculateDeMarker,
+    calculateEMA,
+    calculateMACD,
+    calculateRSI,
+    calculateSMA,
+    createIndicatorUpdater,
+    getValueSelector
+} from './indicator-utils.js';
+
+/**
+ * @typedef {import('../stock-chart.d.ts').IndicatorDefinition} IndicatorDefinition
+ * @typedef {import('../stock-chart.d.ts').IndicatorSetting} IndicatorSetting
+ */
+
+/** @type {IndicatorSetting} */
+const priceTypeSetting = {
+    key: 'priceType', label: 'Price Type', type: 'select', default: 'close',
+    options: [
+        { value: 'close', label: 'Close' },
+        { value: 'hlc/3', label: 'HLC/3' },
+        { value: 'ohlc/4', label: 'OHLC/4' },
+        { value: 'hlcc/4', label: 'HLCC/4' }
+    ]
+};
+
+/**
+ * Incremental updater of a built-in indicator, see createIndicatorUpdater
+ * @param {string} indicatorId
+ * @returns {function(Object): {update: function(Object, boolean=): Object}}
+ */
+const builtInUpdater = indicatorId => settings =>
+    createIndicatorUpdater(indicatorId, settings, getValueSelector(settings.priceType));
+
+/** @type {Array<IndicatorDefinition>} */
+export const builtInIndicators = [
+    {
+        id: 'sma',
+        name: 'SMA',
+        settingsSchema: [
+            { key: 'period', label: 'Period', type: 'number', default: 20, min: 1, max: 200 },
+            priceTypeSetting,
+            { key: 'lineColor', label: 'Line Color', type: 'color', default: '#2196F3' }
+        ],
+        calculate: (data, settings) => calculateSMA(data, settings.period, getValueSelector(settings.priceType)),
+        incremental: builtInUpdater('sma'),
+        toPlots: (rows, settings) => [{
+            id: 'sma_' + settings.period,
+            type: 'line',
+            data: rows,
+            targetId: 'main',
+            keyLabel: `SMA (${settings.period})`,
+            overlay: true,
+            style: {
+                lineColor: settings.lineColor,
+                lineWidth: 1.5
+            }
+        }]
+    },
+    {
+        id: 'ema',
+        name: 'EMA',
+        settingsSchema: [
+            { key: 'period', label: 'Period', type: 'number', default: 20, min: 1, max: 200 },
+            priceTypeSetting,
+            { key: 'lineColor', label: 'Line Color', type: 'color', default: '#FF9800' }
+        ],
+        calculate: (data, settings) => calculateEMA(data, settings.period, getValueSelector(settings.priceType)),
+        incremental: builtInUpdater('ema'),
+        toPlots: (rows, settings) => [{
+            id: 'ema_' + settings.period,
+            type: 'line',
+            heightRatio: 0.15,
+            targetId: 'main',
+            data: rows,
+            keyLabel: `EMA (${settings.period})`,
+            overlay: true,
+            style: {
+                lineColor: settings.lineColor,
+                lineWidth: 1.5
+            }
+        }]
+    },
+    {
+        id: 'rsi',
+        name: 'RSI',
+        settingsSchema: [
+            { key: 'period', label: 'Period', type: 'number', default: 14, min: 2, max: 100 },
+            priceTypeSetting,
+            { key: 'lineColor', label: 'RSI Line Color', type: 'color', default: '#9C27B0' }
+        ],
+        calculate: (data, settings) => calculateRSI(data, settings.period, getValueSelector(settings.priceType)),
+        incremental: builtInUpdater('rsi'),
+        toPlots: (rows, settings) => [{
+            id: 'rsi',
+            type: 'line',
+            heightRatio: 0.15,
+            data: rows,
+            keyLabel: 'RSI',
+            style: {
+                lineColor: settings.lineColor,
+                lineWidth: 1.5
+            }
+        }]
+    },
+    {
+        id: 'macd',
+        name: 'MACD',
+        settingsSchema: [
+            { key: 'fastPeriod', label: 'Fast Period', type: 'number', default: 12, min: 1, max: 50 },
+            { key: 'slowPeriod', label: 'Slow Period', type: 'number', default: 26, min: 1, max: 100 },
+            { key: 'signalPeriod', label: 'Signal Period', type: 'number', default: 9, min: 1, max: 50 },
+            priceTypeSetting,
+            { key: 'macdColor', label: 'MACD Line Color', type: 'color', default: '#2196F3' },
+            { key: 'signalColor', label: 'Signal Line Color', type: 'color', default: '#FF9800' },
+            { key: 'histogramColor', label: 'Histogram Color', type: 'color', default: '#4CAF50' }
+        ],
+        calculate: (data, settings) => calculateMACD(
+            data, settings.fastPeriod, settings.slowPeriod, settings.signalPeriod, getValueSelector(settings.priceType)
+        ),
+        incremental: builtInUpdater('macd'),
+        toPlots: (rows, settings) => [
+            {
+                id: 'macd',
+                type: 'line',
+                heightRatio: 0.15,
+                data: rows.map(d => ({ time: d.time, value: d.macd })),
+                keyLabel: 'MACD',
+                style: {
+                    lineColor: settings.macdColor,
+                    lineWidth: 3
+                }
+            },
+            {
+                id: 'signal',
+                type: 'line',
+                data: rows.map(d => ({ time: d.time, value: d.signal })),
+                overlay: true,
+                targetId: 'macd',
+                keyLabel: 'Signal',
+                style: {
+                    lineColor: settings.signalColor,
+                    lineWidth: 1.5
+                }
+            },
+            {
+                id: 'histogram',
+                type: 'histogram',
+                data: rows.map(d => ({ time: d.time, value: d.histogram })),
+                overlay: true,
+                targetId: 'macd',
+                keyLabel: 'Histogram',
+                style: {
+                    positiveColor: 'rgba(0, 150, 136, 0.5)',
+                    negativeColor: 'rgba(233, 30, 99, 0.5)'
+                }
+            }
+        ]
+    },
+    {
+        id: 'bollinger',
+        name: 'Bollinger Bands',
+        settingsSchema: [
+            { key: 'period', label: 'Period', type: 'number', default: 20, min: 2, max: 100 },
+            { key: 'stdDev', label: 'Standard Deviation', type: 'number', default: 2, min: 0.1, max: 5, step: 0.001 },
+            priceTypeSetting,
+            { key: 'upperBandColor', label: 'Upper Band Color', type: 'color', default: '#3F51B5' },
+            { key: 'middleBandColor', label: 'Middle Band Color', type: 'color', default: '#2196F3' },
+            { key: 'lowerBandColor', label: 'Lower Band Color', type: 'color', default: '#3F51B5' }
+        ],
+        calculate: (data, settings) => calculateBollingerBands(
+            data, settings.period, settings.stdDev, getValueSelector(settings.priceType)
+        ),
+        incremental: builtInUpdater('bollinger'),
+        toPlots: (rows, settings) => [
+            {
+                id: 'bollinger',
+                type: 'line',
+                heightRatio: 0.15,
+                targetId: 'main',
+                data: rows.map(d => ({ time: d.time, value: d.upper })),
+                overlay: true,
+                keyLabel: 'Bollinger Bands',
+                style: {
+                    lineColor: settings.upperBandColor,
+                    lineWidth: 1.5
+                }
+            },
+            {
+                id: 'bollinger_lower',
+                type: 'line',
+                heightRatio: 0.15,
+                data: rows.map(d => ({ time: d.time, value: d.lower })),
+                overlay: true,
+                targetId: 'main',
+                keyLabel: 'Bollinger Bands',
+                style: {
+                    lineColor: settings.lowerBandColor,
+                    lineWidth: 1.5
+                }
+            },
+            {
+                id: 'bollinger_middle',
+                type: 'line',
+                heightRatio: 0.15,
+                data: rows.map(d => ({ time: d.time, value: d.middle })),
+                overlay: true,
+                targetId: 'main',
+                keyLabel: 'Bollinger Bands',
+                style: {
+                    lineColor: settings.middleBandColor,
+                    lineWidth: 1.5
+                }
+            }
+        ]
+    },
+    {
+        id: 'demarker',
+        name: 'DeMarker',
+        settingsSchema: [
+            { key: 'period', label: 'Period', type: 'number', default: 14, min: 1, max: 100 },
+            { key: 'lineColor', label: 'DeMarker Line Color', type: 'color', default: '#607D8B' }
+        ],
+        calculate: (data, settings) => calculateDeMarker(data, settings.period),
+        incremental: builtInUpdater('demarker'),
+        toPlots: (rows, settings) => [{
+            id: 'demarker',
+            type: 'line',
+            heightRatio: 0.15,
+            data: rows,
+            keyLabel: 'DeMarker',
+            style: {
+                lineColor: settings.lineColor,
+                lineWidth: 1.5
+            }
+        }]
+    }
+];
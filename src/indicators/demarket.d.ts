@@ -4,6 +4,8 @@ export interface DeMarkerState {
     deMin: number[];
     prevHigh: number | null;
     prevLow: number | null;
+    refHigh: number | null;
+    refLow: number | null;
 }
 
 export function initDeMarkerState(period: number): DeMarkerState;
@@ -6,6 +6,8 @@
  * @property {number} period - The DeMarker period length
  * @property {number|null} prevHigh - Previous period's high price
  * @property {number|null} prevLow - Previous period's low price
+ * @property {number|null} refHigh - High of the period before the last one (for same period updates)
+ * @property {number|null} refLow - Low of the period before the last one (for same period updates)
  * @property {import("./sma.js").SMAState} demaxSMA - SMA state for DeMax calculations
  * @property {import("./sma.js").SMAState} deminSMA - SMA state for DeMin calculations
  */
@@ -23,6 +25,8 @@ function initDeMarkerState(period = 14) {
         period,
         prevHigh: null,
         prevLow: null,
+        refHigh: null,
+        refLow: null,
         demaxSMA: initSMAState(period),
         deminSMA: initSMAState(period)
     };
@@ -33,28 +37,34 @@ function initDeMarkerState(period = 14) {
  * @param {number} high - New high price
  * @param {number} low - New low price
  * @param {DeMarkerState} state - Current DeMarker state
+ * @param {boolean} isSamePeriod - Whether the prices replace the last period instead of starting a new one
  * @returns {{demarker: number|null, state: DeMarkerState}} Result with DeMarker value and new state
  * @property {number|null} demarker - DeMarker value (null during warmup)
  * @property {DeMarkerState} state - Updated DeMarker state with new prevHigh, prevLow, and SMA states
  */
 function updateDeMarker(high, low, state, isSamePeriod = false) {
     let demax = 0, demin = 0;
+
+    // Nothing to replace yet, treat the prices as a new period
+    if (isSamePeriod && state.prevHigh === null) {
+        isSamePeriod = false;
+    }
+
+    // For same period, compare against the period before the last one
+    const baseHigh = isSamePeriod ? state.refHigh : state.prevHigh;
+    const baseLow = isSamePeriod ? state.refLow : state.prevLow;
     
     // Calculate DeMax and DeMin values
-    if (state.prevHigh !== null && state.prevLow !== null && !isSamePeriod) {
-        demax = Math.max(0, high - state.prevHigh);
-        demin = Math.max(0, state.prevLow - low);
-    } else if (state.prevHigh !== null && state.prevLow !== null && isSamePeriod) {
-        // For same period, recalculate with new values but keep previous period reference
-        demax = Math.max(0, high - state.prevHigh);
-        demin = Math.max(0, state.prevLow - low);
+    if (baseHigh !== null && baseLow !== null) {
+        demax = Math.max(0, high - baseHigh);
+        demin = Math.max(0, baseLow - low);
     }
 
     // Update SMA calculations only if we have calculated demax/demin
     let demaxSMA = { value: null, state: state.demaxSMA };
     let deminSMA = { value: null, state: state.deminSMA };
     
-    if (state.prevHigh !== null && state.prevLow !== null) {
+    if (baseHigh !== null && baseLow !== null) {
         demaxSMA = updateSMA(demax, state.demaxSMA, isSamePeriod);
         deminSMA = updateSMA(demin, state.deminSMA, isSamePeriod);
     }
@@ -69,8 +79,10 @@ function updateDeMarker(high, low, state, isSamePeriod = false) {
     // Update state
     const newState = {
         period: state.period,
-        prevHigh: isSamePeriod ? state.prevHigh : high,
-        prevLow: isSamePeriod ? state.prevLow : low,
+        prevHigh: high,
+        prevLow: low,
+        refHigh: isSamePeriod ? state.refHigh : state.prevHigh,
+        refLow: isSamePeriod ? state.refLow : state.prevLow,
         demaxSMA: demaxSMA.state,
         deminSMA: deminSMA.state
     };
@@ -91,6 +103,8 @@ function serializeDeMarkerState(state) {
         period: state.period,
         prevHigh: state.prevHigh,
         prevLow: state.prevLow,
+        refHigh: state.refHigh,
+        refLow: state.refLow,
         demaxSMA: serializeSMAState(state.demaxSMA),
         deminSMA: serializeSMAState(state.deminSMA)
     });
@@ -107,6 +121,8 @@ function deserializeDeMarkerState(serializedState) {
         period: parsed.period,
         prevHigh: parsed.prevHigh,
         prevLow: parsed.prevLow,
+        refHigh: parsed.refHigh ?? null,
+        refLow: parsed.refLow ?? null,
         demaxSMA: deserializeSMAState(parsed.demaxSMA),
         deminSMA: deserializeSMAState(parsed.deminSMA)
     };
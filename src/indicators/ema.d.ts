@@ -1,7 +1,10 @@
 export interface EMAState {
     period: number;
-    smoothingFactor: number;
-    previousEMA: number | null;
+    count: number;
+    initialSum: number;
+    ema: number | null;
+    lastValue: number | null;
+    prevEMA: number | null;
 }
 
 export function initEMAState(period: number): EMAState;
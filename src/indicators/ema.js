@@ -6,6 +6,7 @@
  * @property {number} initialSum - Sum of initial values (for SMA phase)
  * @property {number|null} ema - Current EMA value (null during warmup)
  * @property {number|null} lastValue - Last value added to EMA (for same period updates)
+ * @property {number|null} prevEMA - EMA before the last value was added (for same period updates)
  */
 
 
@@ -15,13 +16,14 @@
  * @returns {EMAState} Initial EMA state
  */
 function initEMAState(period) {
-    return { period, count: 0, initialSum: 0, ema: null, lastValue: null };
+    return { period, count: 0, initialSum: 0, ema: null, lastValue: null, prevEMA: null };
 }
 
 /**
  * Updates EMA calculation with new value
  * @param {number} value - New value to add to EMA
  * @param {EMAState} state - Current EMA state
+ * @param {boolean} isSamePeriod - Whether the value replaces the last period instead of starting a new one
  * @returns {{value: number|null, state: EMAState}} Result with EMA value and new state
  * @property {number|null} value - EMA value (null during warmup period)
  * @property {EMAState} state - Updated state with new EMA value
@@ -29,13 +31,21 @@ function initEMAState(period) {
 function updateEMA(value, state, isSamePeriod = false) {
     const newState = { ...state };
 
-    if (isSamePeriod && newState.ema !== null && newState.lastValue !== null) {
-        // For same period updates, recalculate using the previous EMA without the last value
-        const smoothingFactor = 2 / (newState.period + 1);
-        const prevEMA = (newState.ema - newState.lastValue * smoothingFactor) / (1 - smoothingFactor);
-        newState.ema = value * smoothingFactor + prevEMA * (1 - smoothingFactor);
+    if (isSamePeriod && newState.lastValue !== null) {
+        if (newState.prevEMA === null) {
+            // Still in the SMA phase, swap the last value in the initial sum
+            newState.initialSum += value - newState.lastValue;
+            if (newState.count === newState.period) {
+                newState.ema = newState.initialSum / newState.period;
+            }
+        } else {
+            // For same period updates, recalculate from the EMA before the last value
+            const smoothingFactor = 2 / (newState.period + 1);
+            newState.ema = value * smoothingFactor + newState.prevEMA * (1 - smoothingFactor);
+        }
         newState.lastValue = value;
-    } else if (!isSamePeriod) {
+    } else {
+        newState.prevEMA = newState.ema;
         if (newState.count < newState.period) {
             newState.initialSum += value;
             newState.count++;
@@ -0,0 +1,81 @@
+/**
+ * @fileoverview Registry of the indicators available in the indicator settings dialog.
+ * @author H Chen
+ */
+
+import { builtInIndicators } from './built-in-indicators.js';
+
+/**
+ * @typedef {import('../stock-chart.d.ts').IndicatorDefinition} IndicatorDefinition
+ */
+
+/** @type {Map<string, IndicatorDefinition>} */
+const indicators = new Map();
+
+/**
+ * Register an indicator. Registering an id again replaces the previous definition.
+ * @param {IndicatorDefinition} definition - The indicator definition
+ */
+export function registerIndicator(definition) {
+    if (!definition || typeof definition.id !== 'string' || !definition.id) {
+        throw new Error('registerIndicator: definition.id must be a non-empty string');
+    }
+    if (!/^[A-Za-z][\w-]*$/.test(definition.id)) {
+        // The id is used in element ids and CSS selectors of the settings dialog
+        throw new Error(`registerIndicator: '${definition.id}' may only contain letters, digits, '_' and '-', starting with a letter`);
+    }
+    if (typeof definition.calculate !== 'function' || typeof definition.toPlots !== 'function') {
+        throw new Error(`registerIndicator: '${definition.id}' needs calculate() and toPlots() functions`);
+    }
+    if (definition.incremental !== undefined && typeof definition.incremental !== 'function') {
+        throw new Error(`registerIndicator: incremental of '${definition.id}' must be a function`);
+    }
+    if (definition.settingsSchema !== undefined && !Array.isArray(definition.settingsSchema)) {
+        throw new Error(`registerIndicator: settingsSchema of '${definition.id}' must be an array`);
+    }
+
+    if (indicators.has(definition.id)) {
+        console.warn(`registerIndicator: replacing the existing '${definition.id}' indicator`);
+    }
+
+    indicators.set(definition.id, {
+        ...definition,
+        name: definition.name || definition.id.toUpperCase(),
+        settingsSchema: definition.settingsSchema || []
+    });
+}
+
+/**
+ * Get a registered indicator.
+ * @param {string} id - The indicator id
+ * @returns {IndicatorDefinition | undefined}
+ */
+export function getIndicator(id) {
+    return indicators.get(id);
+}
+
+/**
+ * Get all registered indicators in registration order.
+ * @returns {Array<IndicatorDefinition>}
+ */
+export function getIndicators() {
+    return [...indicators.values()];
+}
+
+/**
+ * Settings with every missing key filled in from the schema defaults.
+ * @param {IndicatorDefinition} definition - The indicator definition
+ * @param {Object} [settings] - The settings given by the user
+ * @returns {Object}
+ */
+export function withDefaultSettings(definition, settings = {}) {
+    const defaults = {};
+    definition.settingsSchema.forEach(setting => {
+        if (setting.default !== undefined) {
+            defaults[setting.key] = setting.default;
+        }
+    });
+    return { ...defaults, ...settings };
+}
+
+builtInIndicators.forEach(registerIndicator);
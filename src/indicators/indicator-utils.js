@@ -147,6 +147,113 @@ export function calculateRSI(data, period = 14, valueSelector = d => d.close) {
     return rsiData;
 }
 
+/**
+ * Get the value selector function based on the price type.
+ * @param {'hlc/3' | 'ohlc/4' | 'hlcc/4' | 'close'} [priceType] - Price type, defaults to close
+ * @returns {function} Value selector function
+ */
+export function getValueSelector(priceType) {
+    switch (priceType) {
+        case 'hlc/3':
+            return d => (d.high + d.low + d.close) / 3;
+        case 'ohlc/4':
+            return d => (d.open + d.high + d.low + d.close) / 4;
+        case 'hlcc/4':
+            return d => (d.high + d.low + d.close * 2) / 4;
+        case 'close':
+        default:
+            return d => d.close;
+    }
+}
+
+/**
+ * Create a stateful updater that advances an indicator one data point at a time.
+ * Each update returns a row shaped like the output of the matching calculate* function.
+ * @param {string} indicatorId - Indicator id ('sma', 'ema', 'rsi', 'macd', 'bollinger', 'demarker')
+ * @param {Object} settings - Indicator settings
+ * @param {function} valueSelector - Function to select value from data point (default: d => d.close)
+ * @returns {{update: (point: Object, isSamePeriod?: boolean) => Object} | null} Updater, or null for unknown indicators
+ */
+export function createIndicatorUpdater(indicatorId, settings, valueSelector = d => d.close) {
+    switch (indicatorId) {
+        case 'sma': {
+            let state = initSMAState(settings.period);
+            return {
+                update(point, isSamePeriod = false) {
+                    const result = updateSMA(valueSelector(point), state, isSamePeriod);
+                    state = result.state;
+                    return { time: point.time, value: result.value };
+                }
+            };
+        }
+        case 'ema': {
+            let state = initEMAState(settings.period);
+            return {
+                update(point, isSamePeriod = false) {
+                    const result = updateEMA(valueSelector(point), state, isSamePeriod);
+                    state = result.state;
+                    return { time: point.time, value: result.value };
+                }
+            };
+        }
+        case 'rsi': {
+            let state = initRSIState(settings.period);
+            return {
+                update(point, isSamePeriod = false) {
+                    const result = updateRSI(valueSelector(point), state, isSamePeriod);
+                    state = result.state;
+                    return { time: point.time, value: result.value };
+                }
+            };
+        }
+        case 'demarker': {
+            let state = initDeMarkerState(settings.period);
+            return {
+                update(point, isSamePeriod = false) {
+                    const result = updateDeMarker(point.high, point.low, state, isSamePeriod);
+                    state = result.state;
+                    return { time: point.time, value: result.demarker };
+                }
+            };
+        }
+        case 'macd': {
+            let state = initMACDState(settings.fastPeriod, settings.slowPeriod, settings.signalPeriod);
+            return {
+                update(point, isSamePeriod = false) {
+                    const result = updateMACD(valueSelector(point), state, isSamePeriod);
+                    state = result.state;
+                    return {
+                        time: point.time,
+                        macd: result.macdLine,
+                        signal: result.signalLine,
+                        histogram: result.histogram
+                    };
+                }
+            };
+        }
+        case 'bollinger': {
+            let band = initBollingerBandState(settings.period, settings.stdDev);
+            let midLine = initSMAState(settings.period);
+            return {
+                update(point, isSamePeriod = false) {
+                    const result = updateBollingerBands(valueSelector(point), band, isSamePeriod);
+                    const midResult = updateSMA(valueSelector(point), midLine, isSamePeriod);
+                    band = result.state;
+                    midLine = midResult.state;
+                    return {
+                        time: point.time,
+                        upper: result.upper,
+                        lower: result.lower,
+                        middle: midResult.value
+                    };
+                }
+            };
+        }
+        default:
+            return null;
+    }
+}
+
 /**
  * @description Generate random candlestick data with signals
  * @param {number} count 
@@ -12,4 +12,7 @@ export interface RSIState {
     avgGain: number;
     avgLoss: number;
     lastPrice: number | null;
+    prevPrice: number | null;
+    prevAvgGain: number;
+    prevAvgLoss: number;
 }
\ No newline at end of file
@@ -7,6 +7,9 @@
  * @property {number} avgGain - Average gain
  * @property {number} avgLoss - Average loss
  * @property {number|null} lastPrice - Last price seen
+ * @property {number|null} prevPrice - Price of the period before the last one (for same period updates)
+ * @property {number} prevAvgGain - Average gain before the last period (for same period updates)
+ * @property {number} prevAvgLoss - Average loss before the last period (for same period updates)
  */
 
 /**
@@ -15,24 +18,45 @@
  * @returns {RSIState} Initial RSI state
  */
 function initRSIState(period = 14) {
-    return { period, gains: [], losses: [], avgGain: 0, avgLoss: 0, lastPrice: null };
+    return {
+        period,
+        gains: [],
+        losses: [],
+        avgGain: 0,
+        avgLoss: 0,
+        lastPrice: null,
+        prevPrice: null,
+        prevAvgGain: 0,
+        prevAvgLoss: 0
+    };
 }
 
 /**
  * Updates RSI calculation with new price
  * @param {number} price - New price to add to RSI
  * @param {RSIState} state - Current RSI state
+ * @param {boolean} isSamePeriod - Whether the price replaces the last period instead of starting a new one
  * @returns {{value: number|null, state: RSIState}} Result with RSI value and new state
  */
 function updateRSI(price, state, isSamePeriod = false) {
-    const newState = { ...state };
+    const newState = { ...state, gains: [...state.gains], losses: [...state.losses] };
 
-    if (newState.lastPrice === null) {
+    // Nothing to replace yet, treat the price as a new period
+    if (isSamePeriod && newState.lastPrice === null) {
+        isSamePeriod = false;
+    }
+
+    if (newState.lastPrice === null || (isSamePeriod && newState.prevPrice === null)) {
         newState.lastPrice = price;
         return { value: null, state: newState };
     }
 
-    const change = price - newState.lastPrice;
+    // Same period updates measure the change against the period before the last one
+    const basePrice = isSamePeriod ? newState.prevPrice : newState.lastPrice;
+    const baseAvgGain = isSamePeriod ? newState.prevAvgGain : newState.avgGain;
+    const baseAvgLoss = isSamePeriod ? newState.prevAvgLoss : newState.avgLoss;
+
+    const change = price - basePrice;
     const gain = Math.max(0, change);
     const loss = Math.max(0, -change);
 
@@ -44,22 +68,24 @@ function updateRSI(price, state, isSamePeriod = false) {
             newState.gains.shift();
             newState.losses.shift();
         }
+
+        newState.prevPrice = newState.lastPrice;
+        newState.prevAvgGain = newState.avgGain;
+        newState.prevAvgLoss = newState.avgLoss;
     } else {
-        if (newState.gains.length > 0) {
-            newState.gains[newState.gains.length - 1] = gain;
-            newState.losses[newState.losses.length - 1] = loss;
-        }
+        newState.gains[newState.gains.length - 1] = gain;
+        newState.losses[newState.losses.length - 1] = loss;
     }
     
     newState.lastPrice = price;
 
     if (newState.gains.length === newState.period) {
-        if (newState.avgGain === 0) { // First calculation
+        if (baseAvgGain === 0) { // First calculation
             newState.avgGain = newState.gains.reduce((a, b) => a + b, 0) / newState.period;
             newState.avgLoss = newState.losses.reduce((a, b) => a + b, 0) / newState.period;
         } else { // Wilder's Smoothing
-            newState.avgGain = (newState.avgGain * (newState.period - 1) + gain) / newState.period;
-            newState.avgLoss = (newState.avgLoss * (newState.period - 1) + loss) / newState.period;
+            newState.avgGain = (baseAvgGain * (newState.period - 1) + gain) / newState.period;
+            newState.avgLoss = (baseAvgLoss * (newState.period - 1) + loss) / newState.period;
         }
 
         if (newState.avgLoss === 0) {
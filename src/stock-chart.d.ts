@@ -13,6 +13,7 @@ export interface Theme {
   overlayTextColor: string;
   candleBorderColor: string;
   borderColorUseBodyColor?: boolean;
+  extendedHoursColor?: string;
 }
 
 export interface StockChartOptions {
@@ -23,7 +24,318 @@ export interface StockChartOptions {
   initialVisibleCandles?: number;
   showDrawingToolbar?: boolean;
   showTimeframeButtons?: boolean;
+  /**
+   * Timeframe buttons in the toolbar (default ['daily', 'weekly', 'monthly']).
+   * Intraday timeframes need intraday data, e.g. 1-minute bars can be shown as '5m' or '4h'.
+   */
+  timeframes?: Array<TimeframeId>;
   emitCandleClick?: boolean;
+  /**
+   * Joins the charts with the same group id, see StockChart.linkCharts
+   */
+  syncGroup?: string | (SyncOptions & { id: string });
+  /**
+   * How daily bars are combined into weekly and monthly bars
+   */
+  aggregation?: AggregationSpec;
+  /**
+   * IANA timezone of the exchange, e.g. 'America/New_York'. Used for day, week and month
+   * buckets, sessions, axis and crosshair labels and centerOnDate. Defaults to the browser
+   * timezone.
+   */
+  timezone?: string;
+  /**
+   * Regular trading session, in the chart timezone
+   */
+  session?: SessionSpec;
+  /**
+   * Settings of the chart types built from the original data, see StockChart.setChartType
+   */
+  chartTypeSettings?: {
+    renko?: RenkoSettings;
+    kagi?: KagiSettings;
+    pointAndFigure?: PointAndFigureSettings;
+    lineBreak?: LineBreakSettings;
+  };
+  /**
+   * Volume profile of the visible bars on the right side of the main plot (default false)
+   */
+  volumeProfile?: boolean | VolumeProfileOptions;
+  /**
+   * Strip below the X-axis with the whole history and a window over the visible range (default false)
+   */
+  navigator?: boolean | NavigatorOptions;
+  /**
+   * Where drawings, indicator settings and indicator templates are saved (default IndexedDBAdapter)
+   */
+  storage?: StorageAdapter;
+  /**
+   * What the saved indicators are shared by: every chart, charts of the same chartName code,
+   * or charts on the same timeframe (default 'global')
+   */
+  indicatorScope?: IndicatorScope;
+  /**
+   * Follow the drawings and indicators saved by other tabs and charts with the same chartName
+   * and indicator scope, over BroadcastChannel (default true)
+   */
+  tabSync?: boolean;
+}
+
+export type IndicatorScope = 'global' | 'symbol' | 'timeframe';
+
+/**
+ * An indicator instance as saved by a StorageAdapter
+ */
+export interface SavedIndicator {
+  id: string;
+  settings: { [key: string]: any };
+}
+
+/**
+ * A named set of indicators, e.g. 'Swing setup', that can be applied to any chart
+ */
+export interface IndicatorTemplate {
+  name: string;
+  indicators: SavedIndicator[];
+}
+
+/**
+ * Saves drawings, indicator settings and indicator templates. Drawings are saved per chart
+ * and get the chartName option. Indicators are saved per scope key: 'global',
+ * 'symbol:<code>' or 'timeframe:<timeframe>'. Errors are logged, they don't stop the chart.
+ */
+export interface StorageAdapter {
+  loadDrawings(chartName: ChartName | undefined): Promise<Array<{ [key: string]: any }>>;
+  saveDrawings(chartName: ChartName | undefined, drawings: Array<{ [key: string]: any }>): Promise<void>;
+  loadIndicators(scope: string): Promise<SavedIndicator[]>;
+  saveIndicators(scope: string, indicators: SavedIndicator[]): Promise<void>;
+  loadIndicatorTemplates(): Promise<IndicatorTemplate[]>;
+  saveIndicatorTemplates(templates: IndicatorTemplate[]): Promise<void>;
+  /** Called when the chart is destroyed */
+  close?(): void;
+}
+
+export interface RestAdapterOptions {
+  /** URL the paths are appended to, e.g. 'https://example.com/api/users/42' */
+  baseUrl: string;
+  /** Headers of every request, or a function returning them */
+  headers?: Record<string, string> | (() => Record<string, string> | Promise<Record<string, string>>);
+  /** The fetch function, the global fetch by default */
+  fetch?: typeof fetch;
+}
+
+/**
+ * Drawings saved by IndexedDBAdapter before a database migration, in the schema of the
+ * version they were taken from
+ */
+export interface DrawingsBackup {
+  id: number;
+  fromVersion: number;
+  toVersion: number;
+  /** Unix time in milliseconds */
+  createdAt: number;
+  records: Array<{ [key: string]: any }>;
+}
+
+/** Drawings in IndexedDB, indicator settings and templates in localStorage */
+export declare class IndexedDBAdapter implements StorageAdapter {
+  loadDrawings(chartName: ChartName | undefined): Promise<Array<{ [key: string]: any }>>;
+  saveDrawings(chartName: ChartName | undefined, drawings: Array<{ [key: string]: any }>): Promise<void>;
+  loadIndicators(scope: string): Promise<SavedIndicator[]>;
+  saveIndicators(scope: string, indicators: SavedIndicator[]): Promise<void>;
+  loadIndicatorTemplates(): Promise<IndicatorTemplate[]>;
+  saveIndicatorTemplates(templates: IndicatorTemplate[]): Promise<void>;
+  /** Copies of the drawings taken before database migrations, oldest first */
+  getBackups(): Promise<DrawingsBackup[]>;
+  /** Replaces all saved drawings with the ones of a backup */
+  restoreBackup(backupId: number): Promise<void>;
+  /** Releases the database connection, which is closed once no other IndexedDBAdapter uses it */
+  close(): void;
+}
+
+/** Drawings, indicator settings and templates in localStorage */
+export declare class LocalStorageAdapter implements StorageAdapter {
+  loadDrawings(chartName: ChartName | undefined): Promise<Array<{ [key: string]: any }>>;
+  saveDrawings(chartName: ChartName | undefined, drawings: Array<{ [key: string]: any }>): Promise<void>;
+  loadIndicators(scope: string): Promise<SavedIndicator[]>;
+  saveIndicators(scope: string, indicators: SavedIndicator[]): Promise<void>;
+  loadIndicatorTemplates(): Promise<IndicatorTemplate[]>;
+  saveIndicatorTemplates(templates: IndicatorTemplate[]): Promise<void>;
+}
+
+/** Drawings, indicator settings and templates in memory, shared by the charts using the adapter */
+export declare class MemoryAdapter implements StorageAdapter {
+  loadDrawings(chartName: ChartName | undefined): Promise<Array<{ [key: string]: any }>>;
+  saveDrawings(chartName: ChartName | undefined, drawings: Array<{ [key: string]: any }>): Promise<void>;
+  loadIndicators(scope: string): Promise<SavedIndicator[]>;
+  saveIndicators(scope: string, indicators: SavedIndicator[]): Promise<void>;
+  loadIndicatorTemplates(): Promise<IndicatorTemplate[]>;
+  saveIndicatorTemplates(templates: IndicatorTemplate[]): Promise<void>;
+}
+
+/**
+ * Drawings, indicator settings and templates on a backend: GET and PUT `{baseUrl}/drawings?name=...&code=...`,
+ * `{baseUrl}/indicators?scope=...` and `{baseUrl}/indicator-templates`, JSON arrays in both directions
+ */
+export declare class RestAdapter implements StorageAdapter {
+  constructor(options: RestAdapterOptions);
+  loadDrawings(chartName: ChartName | undefined): Promise<Array<{ [key: string]: any }>>;
+  saveDrawings(chartName: ChartName | undefined, drawings: Array<{ [key: string]: any }>): Promise<void>;
+  loadIndicators(scope: string): Promise<SavedIndicator[]>;
+  saveIndicators(scope: string, indicators: SavedIndicator[]): Promise<void>;
+  loadIndicatorTemplates(): Promise<IndicatorTemplate[]>;
+  saveIndicatorTemplates(templates: IndicatorTemplate[]): Promise<void>;
+}
+
+export interface NavigatorOptions {
+  /** Height in pixels (default 60) */
+  height?: number;
+}
+
+export interface VolumeProfileOptions {
+  /** Number of price rows (default 24) */
+  rows?: number;
+  /** Share of the volume in the value area in percent (default 70) */
+  valueAreaPercent?: number;
+  /** Length of the longest row as a share of the width (default 0.25) */
+  width?: number;
+  /** Color of the up volume, the theme's candleUp by default */
+  upColor?: string;
+  /** Color of the down volume, the theme's candleDown by default */
+  downColor?: string;
+  /** Color of the point of control line (default '#FF9800') */
+  pocColor?: string;
+}
+
+export interface VolumeProfileRow {
+  low: number;
+  high: number;
+  volume: number;
+  /** Volume of bars closing at or above the open */
+  upVolume: number;
+  downVolume: number;
+  inValueArea: boolean;
+}
+
+export interface VolumeProfile {
+  /** Rows from the lowest price up */
+  rows: VolumeProfileRow[];
+  totalVolume: number;
+  /** Index of the row with the most volume, the point of control */
+  pocIndex: number;
+  /** Middle of the point of control row */
+  pocPrice: number;
+  valueAreaLow: number;
+  valueAreaHigh: number;
+}
+
+export interface RenkoSettings {
+  /** Brick size in price, the average true range when omitted */
+  boxSize?: number;
+  /** Bars of the average true range (default 14) */
+  atrPeriod?: number;
+}
+
+export interface KagiSettings {
+  /** Reversal amount in price */
+  reversal?: number;
+  /** Reversal amount in percent of the price, used when reversal is omitted */
+  reversalPercent?: number;
+  /** Bars of the average true range used when neither reversal is set (default 14) */
+  atrPeriod?: number;
+}
+
+export interface PointAndFigureSettings {
+  /** Box size in price, the average true range when omitted */
+  boxSize?: number;
+  /** Boxes needed for a new column (default 3) */
+  reversal?: number;
+  /** Bars of the average true range (default 14) */
+  atrPeriod?: number;
+}
+
+export interface LineBreakSettings {
+  /** Lines a reversal has to break (default 3) */
+  lines?: number;
+}
+
+/**
+ * A Renko brick, Kagi line, Point & Figure column or line break line
+ */
+export interface PriceChartBar extends StockData {
+  /** Time of the first bar the brick or column covers */
+  startTime: number;
+  /** Time of the last bar the brick or column covers */
+  endTime: number;
+  direction: 'up' | 'down';
+  /** Box size of Renko and Point & Figure */
+  boxSize?: number;
+  /** Kagi line thickness after the line, yang is thick and yin thin */
+  trend?: 'yang' | 'yin';
+  /** Price where a Kagi line changes between yin and yang, null when it doesn't */
+  changePrice?: number | null;
+}
+
+export interface SessionSpec {
+  /** Session open as 'HH:mm', e.g. '09:30' */
+  open: string;
+  /** Session close as 'HH:mm', e.g. '16:00' */
+  close: string;
+  /** Trading weekdays, 0 is Sunday (default Monday to Friday) */
+  days?: number[];
+  /** Early closes by date, e.g. { '2024-11-29': '13:00' } */
+  halfDays?: Record<string, string>;
+  /** Dates without a session as 'YYYY-MM-DD' */
+  holidays?: string[];
+  /** Shade pre-market and after-hours bars in intraday timeframes (default false) */
+  shadeExtendedHours?: boolean;
+}
+
+export interface CalendarOptions {
+  timezone?: string;
+  session?: SessionSpec;
+}
+
+export type TimeframeId = 'daily' | 'weekly' | 'monthly' | `${number}m` | `${number}h`;
+
+export type AggregationReducer =
+  | 'sum' | 'first' | 'last' | 'max' | 'min' | 'merge'
+  | ((values: any[], bars: StockData[]) => any);
+
+export interface AggregationSpec {
+  /**
+   * Reducer per StockData field, merged over the defaults { volume: 'sum', signals: 'merge' }.
+   * Fields without a reducer keep the value of the first bar of the period.
+   */
+  fields?: Record<string, AggregationReducer>;
+  /** Add a volume weighted average price as `vwap` to each aggregated bar (default false) */
+  vwap?: boolean;
+}
+
+export interface SyncOptions {
+  /** Show the crosshair at the same bar time (default true) */
+  crosshair?: boolean;
+  /** Scroll to the same time range (default false) */
+  visibleRange?: boolean;
+  /** Show the same number of bars (default false) */
+  zoom?: boolean;
+  /** Switch to the same timeframe (default false) */
+  timeframe?: boolean;
+}
+
+export declare class ChartSyncGroup {
+  constructor(options?: SyncOptions, id?: string | null);
+  id: string | null;
+  options: Required<SyncOptions>;
+  /**
+   * Adds a chart; options decide what this chart follows and default to the group options
+   */
+  add(chart: StockChart, options?: SyncOptions): void;
+  remove(chart: StockChart): void;
+  /**
+   * Removes every chart from the group
+   */
+  unlink(): void;
 }
 
 export interface ChartName {
@@ -47,19 +359,24 @@ export interface StockData {
     close: number;
     volume?: number;
     signals?: Signal[];
+    vwap?: number | null; // Set on aggregated bars when AggregationSpec.vwap is enabled
     timeframe?: any; // e.g., 'daily', 'weekly', 'monthly'
     timestamp?: any; // Deprecated, use 'time' instead
     ID?: string; // Deprecated, use 'id' instead
     date?: string; // Deprecated, use 'time' instead
+    [field: string]: any; // Custom fields, see AggregationSpec
 }
 
 export interface PlotConfig {
     id: string;
-    heightRatio: number;
+    /** Share of the chart height, required unless the plot is an overlay */
+    heightRatio?: number;
     yPosition?: number;
-    type: 'candlestick' | 'line' | 'volume' | 'histogram' | 'signal' | 'arrowLine' | string;
+    type: ChartType | 'volume' | 'histogram' | 'signal' | 'arrowLine' | string;
     overlay?: boolean;
     targetId?: string; // ID of the plot to overlay on top of
+    /** Price scale of a non-overlay plot (default 'linear'), overlays follow their target plot */
+    scaleMode?: ScaleMode;
     data: Array<StockData | number | any>;
     keyLabel?: string;
     style?: {
@@ -69,11 +386,26 @@ export interface PlotConfig {
         opacity?: number;
         positiveColor?: string;
         negativeColor?: string;
+        /** Reference price of a baseline series, defaults to the first visible value */
+        baseValue?: number;
     };
     indicator?: {
         id: string;
         [key: string]: any;
     };
+    /** Symbol key of a comparison plot created by addComparison */
+    comparison?: string;
+}
+
+export interface ComparisonStyle {
+    lineColor?: string;
+    lineWidth?: number;
+}
+
+export interface ComparisonInfo {
+    symbolKey: string;
+    style: Required<ComparisonStyle>;
+    visible: boolean;
 }
 
 export interface PlotLayout {
@@ -81,8 +413,24 @@ export interface PlotLayout {
   y: number;
   width: number;
   height: number;
+  scaleMode?: ScaleMode;
 }
 
+/**
+ * Ways to draw bars. heikinAshi is calculated from the OHLC bars, the line types
+ * (line, stepLine, area, baseline) use `value` or else `close`. renko, kagi,
+ * pointAndFigure and lineBreak replace the bars with bricks, lines or columns
+ * built from the original data, see PriceChartBar.
+ */
+export type ChartType = 'candlestick' | 'hollowCandle' | 'heikinAshi' | 'ohlc' | 'line' | 'stepLine' | 'area' | 'baseline'
+  | 'renko' | 'kagi' | 'pointAndFigure' | 'lineBreak';
+
+/**
+ * Price scale modes. Percent shows the change from the first visible bar,
+ * indexed shows prices relative to 100 at the first visible bar.
+ */
+export type ScaleMode = 'linear' | 'log' | 'percent' | 'indexed';
+
 export interface CandleClickEventDetail {
   data: {
     time: number;
@@ -92,15 +440,180 @@ export interface CandleClickEventDetail {
     close: number;
     volume?: number;
     signals?: Signal[];
+    /** First and last bar time covered by a Renko, Kagi, Point & Figure or line break bar */
+    startTime?: number;
+    endTime?: number;
   };
   index: number;
   plotId: string;
+  /** Point of a custom series under the click, see StockChart.registerSeriesType */
+  series?: { plotId: string; type: string; item: any };
   originalEvent: MouseEvent | TouchEvent;
   position: { x: number; y: number };
 }
 
 export interface CandleClickEvent extends CustomEvent<CandleClickEventDetail> {}
 
+export interface RequestOlderDataEventDetail {
+  currentOldestDataTime: number;
+  requestedCount: number;
+  zoomFactor?: number;
+  anchorIndex?: number;
+}
+
+export interface DrawingJSON {
+  /** Identifies the drawing across saves and browser tabs */
+  id: string;
+  type: string;
+  points: Array<{ time: number; price: number }>;
+  style: { [key: string]: any };
+  /** Unix time in milliseconds of the last saved change, 0 when unknown */
+  updatedAt: number;
+}
+
+export interface DrawingEventPayload {
+  drawing: DrawingJSON;
+  index: number;
+}
+
+export interface IndicatorEventPayload {
+  indicatorId: string;
+  settings: { [key: string]: any };
+  plotIds: string[];
+}
+
+/**
+ * Events emitted through on() / off() / once() and their payloads
+ */
+export interface StockChartEventMap {
+  viewportChange: {
+    startTime: number | null;
+    endTime: number | null;
+    startIndex: number;
+    visibleCount: number;
+  };
+  crosshairMove: {
+    /** Time of the bar under the crosshair, null when hidden */
+    time: number | null;
+    /** First and last bar time covered by the bar, they differ for Renko, Kagi, Point & Figure and line break */
+    startTime: number | null;
+    endTime: number | null;
+    /** Value at the crosshair in the plot under it, null when hidden */
+    price: number | null;
+    bar: StockData | null;
+    plotId: string | null;
+    x: number;
+    y: number;
+  };
+  drawingCreated: DrawingEventPayload;
+  drawingUpdated: DrawingEventPayload;
+  drawingRemoved: DrawingEventPayload;
+  indicatorAdded: IndicatorEventPayload;
+  indicatorRemoved: IndicatorEventPayload;
+  indicatorScopeChange: {
+    scope: IndicatorScope;
+    previousScope: IndicatorScope;
+  };
+  timeframeChange: {
+    timeframe: TimeframeId;
+    previousTimeframe: TimeframeId;
+  };
+  scaleModeChange: {
+    plotId: string;
+    scaleMode: ScaleMode;
+    previousMode: ScaleMode;
+  };
+  chartTypeChange: {
+    chartType: ChartType;
+    previousChartType: ChartType;
+  };
+  priceRangeChange: {
+    plotId: string;
+    minPrice: number;
+    maxPrice: number;
+    autoScale: boolean;
+  };
+  themeChange: {
+    theme: Theme;
+  };
+  dataRequest: RequestOlderDataEventDetail & {
+    direction: 'older';
+  };
+}
+
+export interface IndicatorSetting {
+  key: string;
+  label: string;
+  type: 'number' | 'select' | 'color' | 'text';
+  default?: any;
+  min?: number;
+  max?: number;
+  step?: number;
+  /** Choices of a 'select' setting */
+  options?: Array<{ value: string; label: string }>;
+  /** Shows an opacity slider next to a 'color' setting */
+  opacity?: boolean;
+}
+
+export interface IndicatorUpdater {
+  /**
+   * Advances the indicator by one bar and returns its row.
+   * With isSamePeriod the bar replaces the previous bar instead.
+   */
+  update(point: StockData, isSamePeriod?: boolean): any;
+}
+
+export interface IndicatorDefinition {
+  /** Unique id, letters, digits, '_' and '-' */
+  id: string;
+  /** Name shown in the settings dialog and legend */
+  name: string;
+  /** Fields of the settings form */
+  settingsSchema?: IndicatorSetting[];
+  /** Calculates one row per bar */
+  calculate(data: StockData[], settings: { [key: string]: any }): any[];
+  /**
+   * Maps the rows to plots. Adding an instance with the same settings replaces it, any
+   * other instance of the indicator gets its plot ids with '_2', '_3'... appended.
+   */
+  toPlots(rows: any[], settings: { [key: string]: any }): PlotConfig[];
+  /** Optional incremental updater used for streamed bars instead of a full recalculation */
+  incremental?(settings: { [key: string]: any }): IndicatorUpdater;
+}
+
+/**
+ * Converts between data and canvas positions of the plot a custom series is drawn on
+ */
+export interface SeriesScale {
+  minPrice: number;
+  maxPrice: number;
+  /** Width of one bar in pixels */
+  barWidth: number;
+  /** Index in PlotConfig.data of the first visible point */
+  startIndex: number;
+  scaleMode: ScaleMode;
+  /** Center x of the visible point at the index */
+  toX(index: number): number;
+  /** Index of the visible point at an x position */
+  toIndex(x: number): number;
+  toY(price: number): number;
+  toPrice(y: number): number;
+}
+
+export interface SeriesTypeDefinition {
+  /** Draws the visible points, one per visible bar. The context state is restored afterwards. */
+  draw(ctx: CanvasRenderingContext2D, visibleData: any[], layout: PlotLayout, scale: SeriesScale): void;
+  /**
+   * Price range of the visible points, null when there is none. Defaults to the range of
+   * their high, low, value and close. Overlays extend the range of their target plot.
+   */
+  priceRange?(visibleData: any[]): { minPrice: number; maxPrice: number } | null;
+  /** The point under a canvas position, reported as `series` in candleClick, or null */
+  hitTest?(x: number, y: number, visibleData: any[], layout: PlotLayout, scale: SeriesScale): any;
+  /** Legend text of the point under the crosshair, nothing is shown when omitted */
+  legend?(dataPoint: any): string | null;
+}
+
 export interface Position {
   timestamp: number | Date;
   price: number;
@@ -135,11 +648,59 @@ export interface ExportedChartData {
   exportTime: number;
 }
 
+/**
+ * Layout of a chart from getState, without bars and comparisons
+ */
+export interface ChartState {
+  /** Raised when the layout of the document changes, setState rejects newer versions */
+  version: number;
+  /** Name of a built-in theme, or the whole custom theme */
+  theme?: string | Theme;
+  timeframe?: string;
+  chartType?: ChartType;
+  chartTypeSettings?: StockChartOptions['chartTypeSettings'];
+  /** The plots that are not overlays, indicator plots included */
+  plots?: Array<{
+    id: string;
+    heightRatio: number;
+    scaleMode: ScaleMode;
+    /** The manual price range, null while the plot scales automatically */
+    priceRange: { minPrice: number; maxPrice: number } | null;
+  }>;
+  indicators?: Array<{ id: string; settings: { [key: string]: any } }>;
+  /** Drawings as returned by their toJSON() */
+  drawings?: Array<{ [key: string]: any }>;
+  positions?: Position[];
+  /** Times of the first and last visible bars and the number of visible bars, padding included */
+  visibleRange?: { from: number; to: number; visibleCount: number } | null;
+  volumeProfile?: boolean | VolumeProfileOptions;
+  navigator?: boolean | NavigatorOptions;
+}
+
 /**
  * Main interface for StockChart library
  */
 export default class StockChart {
   static init(elementId: string, options: StockChartOptions): StockChart;
+  /**
+   * Links charts so they follow each other. Crosshairs are matched by bar time;
+   * visible range, zoom and timeframe sync are opt-in.
+   */
+  /**
+   * Registers an indicator for all charts. Register custom indicators before init()
+   * so saved instances can be restored.
+   */
+  static registerIndicator(definition: IndicatorDefinition): void;
+  /**
+   * Registers a plot type for all charts, drawn, scaled, labelled and hit-tested by the definition
+   */
+  static registerSeriesType(type: string, definition: SeriesTypeDefinition): void;
+  static linkCharts(charts: StockChart[], options?: SyncOptions): ChartSyncGroup;
+  /** Built-in adapters for the storage option */
+  static IndexedDBAdapter: typeof IndexedDBAdapter;
+  static LocalStorageAdapter: typeof LocalStorageAdapter;
+  static MemoryAdapter: typeof MemoryAdapter;
+  static RestAdapter: typeof RestAdapter;
   constructor(container: HTMLElement, options: StockChartOptions);
   applyTheme(theme: 'light' | 'dark' | Theme): void;
   resize(): void;
@@ -153,12 +714,119 @@ export default class StockChart {
   dataViewport: any;
   options: StockChartOptions;
   canvas: HTMLCanvasElement;
+  hitTestSeries(x: number, y: number): CandleClickEventDetail['series'] | null;
+
+  // Internal members used by ChartSyncGroup
+  timeframeOnScreen: string;
+  syncGroups: Set<ChartSyncGroup>;
+  handleTimeframeChange(timeframe: string): void;
+
+  // Internal properties used by Navigator
+  originalData: StockData[];
+
+  // Internal members used by TabSync
+  drawingPanel: any;
+  getIndicatorScopeKey(): string;
   
+  /**
+   * Whether destroy() has been called
+   */
+  isDestroyed: boolean;
+
+  /**
+   * Removes every listener and observer, removes the chart and its dialogs from the DOM
+   * and closes the storage adapter. The IndexedDB connection of the default adapter is closed
+   * once no other chart uses it. Any later method call throws.
+   */
+  destroy(): void;
+
+  /**
+   * Sets the price scale mode of a non-overlay plot
+   */
+  setScaleMode(plotId: string, scaleMode: ScaleMode): void;
+
+  /**
+   * Gets the price scale mode of a plot
+   */
+  getScaleMode(plotId: string): ScaleMode;
+
+  /**
+   * Fixes the price range of a non-overlay plot, turning off its auto-scaling
+   */
+  setPriceRange(plotId: string, minPrice: number, maxPrice: number): void;
+
+  /**
+   * Gets the price range a plot is drawn with, null when there is no such plot
+   */
+  getPriceRange(plotId: string): { minPrice: number; maxPrice: number } | null;
+
+  /**
+   * Turns fitting a plot to the visible data on or off. Turning it off keeps the current range.
+   */
+  setAutoScale(plotId: string, enabled?: boolean): void;
+
+  /**
+   * Whether a plot is fitted to the visible data
+   */
+  isAutoScale(plotId: string): boolean;
+
+  /**
+   * Sets how the main plot draws its bars, keeping drawings and indicators.
+   * Settings of renko, kagi, pointAndFigure and lineBreak are merged into chartTypeSettings.
+   */
+  setChartType(
+    chartType: ChartType,
+    settings?: RenkoSettings | KagiSettings | PointAndFigureSettings | LineBreakSettings
+  ): void;
+
+  /**
+   * Gets how the main plot draws its bars
+   */
+  getChartType(): ChartType;
+
+  /**
+   * Shows the volume profile of the visible bars on the right side of the main plot, false hides it
+   */
+  setVolumeProfile(options: boolean | VolumeProfileOptions): void;
+
+  /**
+   * Gets the volume profile of the visible bars, null while it is hidden or without volume
+   */
+  getVolumeProfile(): VolumeProfile | null;
+
+  /**
+   * Shows the navigator below the X-axis, false hides it
+   */
+  setNavigator(options: boolean | NavigatorOptions): void;
+
+  /**
+   * Overlays another symbol on the main plot, aligned by time.
+   * The first comparison switches the main price axis to percent mode.
+   */
+  addComparison(symbolKey: string, bars: Array<StockData | { time: number; value: number }>, style?: ComparisonStyle): void;
+
+  /**
+   * Removes a comparison added with addComparison
+   */
+  removeComparison(symbolKey: string): void;
+
+  /**
+   * Shows or hides a comparison without removing it
+   */
+  setComparisonVisible(symbolKey: string, visible: boolean): void;
+
+  /**
+   * Gets the comparisons in the order they were added
+   */
+  getComparisons(): Array<ComparisonInfo>;
+
   /**
    * Updates the stock data for all plots at once
    * @param plots - Array of plot configurations to update
+   * @param updateOriginalData - Whether the main plot data also replaces the original data that
+   *   timeframe changes are aggregated from. Defaults to false
    */
-  updateStockData(plots: Array<PlotConfig>): void;
+  updateStockData(plots: Array<PlotConfig>, updateOriginalData?: boolean): void;
   
   /**
    * Updates the chart name information
@@ -172,6 +840,43 @@ export default class StockChart {
    */
   updateMainPlotOriginalData(data: Array<StockData>): void;
 
+  /**
+   * Appends a new bar and advances all indicators incrementally.
+   * A bar with the same time as the last bar updates that bar instead.
+   * @param bar - The new bar
+   */
+  appendBar(bar: StockData): void;
+
+  /**
+   * Updates the last bar in place and recalculates only the last indicator values.
+   * @param bar - The updated values of the last bar; missing fields are kept
+   */
+  updateLastBar(bar: Partial<StockData>): void;
+
+  /**
+   * Prepends bars older than the current first bar without moving the visible candles.
+   * Indicators are recalculated and drawings stay anchored to their times.
+   * @param bars - The older bars
+   */
+  prependData(bars: Array<StockData>): void;
+
+  /**
+   * Subscribes to a chart event
+   * @returns A function that unsubscribes the handler
+   */
+  on<K extends keyof StockChartEventMap>(event: K, handler: (payload: StockChartEventMap[K]) => void): () => void;
+
+  /**
+   * Unsubscribes from a chart event. Without a handler, all handlers of the event are removed.
+   */
+  off<K extends keyof StockChartEventMap>(event: K, handler?: (payload: StockChartEventMap[K]) => void): void;
+
+  /**
+   * Subscribes to the next occurrence of a chart event only
+   * @returns A function that unsubscribes the handler
+   */
+  once<K extends keyof StockChartEventMap>(event: K, handler: (payload: StockChartEventMap[K]) => void): () => void;
+
   /**
    * Centers the chart on a specific date and draws a vertical line
    * @param timestamp - Unix timestamp (in milliseconds) to center on
@@ -183,6 +888,46 @@ export default class StockChart {
     drawLine?: boolean;
   }): void;
 
+  /**
+   * Shows the bars between two times, Unix timestamps in seconds or Date objects
+   */
+  setVisibleRange(range: { from: number | Date; to: number | Date }, options?: { animate?: boolean }): void;
+
+  /**
+   * Gets the times of the first and last visible bars in seconds, null without data
+   */
+  getVisibleRange(): { from: number; to: number } | null;
+
+  /**
+   * Scrolls to the newest bar, keeping the number of visible bars
+   */
+  scrollToRealtime(options?: { animate?: boolean }): void;
+
+  /**
+   * Zooms out so every bar is visible
+   */
+  fitContent(options?: { animate?: boolean }): void;
+
+  /**
+   * Sets the width of a bar in pixels, keeping the newest visible bar in place
+   */
+  setBarSpacing(spacing: number): void;
+
+  /**
+   * Gets the width of a bar in pixels
+   */
+  getBarSpacing(): number;
+
+  /**
+   * Returns to the range before the last box zoom, false when there is none
+   */
+  zoomBack(): boolean;
+
+  /**
+   * Returns to the range zoomBack() left, false when there is none
+   */
+  zoomForward(): boolean;
+
   /**
    * Finds the index of a data point by timestamp using binary search
    * @param time - Unix timestamp (in seconds) to search for
@@ -247,4 +992,49 @@ export default class StockChart {
    * @returns Exported chart data object with all data and configurations
    */
   exportChartData(): ExportedChartData;
+
+  /**
+   * Gets the layout of the chart: plots, indicators, drawings, positions, timeframe,
+   * chart type, visible range, scale modes and theme
+   */
+  getState(): ChartState;
+
+  /**
+   * Restores a layout from getState. Parts missing from the document are left as they are.
+   * The restored indicators and drawings are not saved to the storage.
+   */
+  setState(state: ChartState): void;
+
+  /**
+   * Sets what the saved indicators are shared by. A scope without saved indicators starts
+   * with the indicators on the chart, otherwise its indicators replace them
+   */
+  setIndicatorScope(scope: IndicatorScope): Promise<void>;
+
+  /**
+   * Gets what the saved indicators are shared by
+   */
+  getIndicatorScope(): IndicatorScope;
+
+  /**
+   * Gets the saved indicator templates
+   */
+  getIndicatorTemplates(): Promise<IndicatorTemplate[]>;
+
+  /**
+   * Saves the indicators on the chart as a template, replacing a template with the same name
+   */
+  saveIndicatorTemplate(name: string): Promise<void>;
+
+  /**
+   * Replaces the indicators on the chart with the ones of a template
+   * @returns False when there is no template with the name
+   */
+  applyIndicatorTemplate(name: string): Promise<boolean>;
+
+  /**
+   * Deletes an indicator template
+   * @returns False when there is no template with the name
+   */
+  deleteIndicatorTemplate(name: string): Promise<boolean>;
 }
\ No newline at end of file
@@ -8,16 +8,37 @@
  */
 import lightTheme from './themes/light.js';
 import darkTheme from './themes/dark.js';
-import { drawCandlestick, drawLine } from './utils/drawing.js';
+import { drawCandlestick, drawHollowCandle, drawLine, drawOhlcBar } from './utils/drawing.js';
 import { PlotLayoutManager } from './utils/layout.js';
-import { DataViewport, getXPixel, getYPixel, getValueBasedOnY } from './utils/data.js';
-import { getSignalTypeColor } from './utils/helpers.js';
+import { DataViewport, findIndexAtOrBeforeTime, getXPixel, getYPixel, getValueBasedOnY, ScaleMode, toScaleValue } from './utils/data.js';
+import { getSignalTypeColor, withAlpha } from './utils/helpers.js';
 import { DrawingPanel } from './utils/drawing-panel.js';
-import { aggregateToWeekly, aggregateToMonthly } from './utils/stock-aggregate.js';
+import {
+    aggregateToDaily,
+    aggregateToIntraday,
+    aggregateToWeekly,
+    aggregateToMonthly,
+    DEFAULT_AGGREGATION_SPEC,
+    detectBarInterval,
+    getIntradaySeconds,
+    getTimeframeForSeconds,
+    isValidTimeframe,
+    toHeikinAshi
+} from './utils/stock-aggregate.js';
+import { getDateParts, getLocalTimezone, isInSession, isValidTimezone, toDateKey } from './utils/timezone.js';
 import { makeCurlyBracePath } from './utils/drawings/curly-bracket.js';
 import { ClickHandler } from './utils/click-handler.js';
 import { PositionMarker } from './utils/drawings/position-marker.js';
 import { downloadChartAsWebP, getScreenshotIcon } from './utils/screenshot.js';
+import { EventEmitter } from './utils/event-emitter.js';
+import { ChartSyncGroup, getNamedSyncGroup } from './utils/chart-sync.js';
+import { registerIndicator } from './indicators/indicator-registry.js';
+import { buildPriceChart, isPriceChartType } from './utils/price-charts.js';
+import { getSeriesType, registerSeriesType } from './utils/series-registry.js';
+import { calculateVolumeProfile, drawVolumeProfile, VOLUME_PROFILE_DEFAULTS } from './utils/volume-profile.js';
+import { Navigator, NAVIGATOR_DEFAULT_HEIGHT } from './utils/navigator.js';
+import { IndexedDBAdapter, isStorageAdapter, LocalStorageAdapter, MemoryAdapter, RestAdapter } from './utils/storage-adapters.js';
+import { TabSync } from './utils/tab-sync.js';
 
 /**
  * @typedef {import('./stock-chart.d.ts').StockChartOptions} StockChartOptions
@@ -31,6 +52,52 @@ import { downloadChartAsWebP, getScreenshotIcon } from './utils/screenshot.js';
  * @typedef {import('./stock-chart.d.ts').PlotConfig} PlotConfig
  */
 
+/**
+ * @typedef {import('./stock-chart.d.ts').PlotLayout} PlotLayout
+ */
+
+/**
+ * @typedef {import('./stock-chart.d.ts').ChartType} ChartType
+ */
+
+/**
+ * Chart types the main plot can switch between at runtime, with their toolbar menu labels
+ */
+const CHART_TYPES = {
+    candlestick: 'Candles',
+    hollowCandle: 'Hollow Candles',
+    heikinAshi: 'Heikin-Ashi',
+    ohlc: 'OHLC Bars',
+    line: 'Line',
+    stepLine: 'Step Line',
+    area: 'Area',
+    baseline: 'Baseline',
+    renko: 'Renko',
+    kagi: 'Kagi',
+    pointAndFigure: 'Point & Figure',
+    lineBreak: 'Line Break'
+};
+
+/**
+ * Series types drawn from a single value per bar, `value` or else `close`
+ */
+const LINE_SERIES_TYPES = ['line', 'stepLine', 'area', 'baseline'];
+
+/**
+ * Line colors of comparison series without a style.lineColor, in the order they are added
+ */
+const COMPARISON_COLORS = ['#FF6D00', '#2962FF', '#AA00FF', '#00BFA5', '#C51162', '#6D4C41'];
+
+/**
+ * Version of the document returned by getState, raised when its layout changes
+ */
+const STATE_VERSION = 1;
+
+/**
+ * What saved indicator sets are shared by: every chart, charts of one symbol or charts of one timeframe
+ */
+const INDICATOR_SCOPES = ['global', 'symbol', 'timeframe'];
+
 /**
  * Represents the main StockChart class.
  * Provides rendering, interaction, and theming for financial charts.
@@ -65,7 +132,26 @@ class StockChart {
 
         this.container = container;
         this.options = StockChart.ensureValidOptions(options);
+        if (this.options.timezone && !isValidTimezone(this.options.timezone)) {
+            console.warn(`StockChart: Unknown timezone '${this.options.timezone}', using the browser timezone`);
+            this.options.timezone = undefined;
+        }
+        if (this.options.storage && !isStorageAdapter(this.options.storage)) {
+            console.warn('StockChart: The storage option is missing methods of a storage adapter, using IndexedDB');
+        }
+        if (this.options.indicatorScope && !INDICATOR_SCOPES.includes(this.options.indicatorScope)) {
+            console.warn(`StockChart: Unknown indicator scope '${this.options.indicatorScope}', using 'global'`);
+            this.options.indicatorScope = 'global';
+        }
+        // Where drawings and indicator settings are saved
+        this.storage = isStorageAdapter(this.options.storage) ? this.options.storage : new IndexedDBAdapter();
+        // Bumped by every load of the saved indicators and by setState, so only the latest one applies
+        this.indicatorsLoadToken = 0;
         this.updateStockData = this.updateStockData.bind(this);
+        // Public chart events, see on() / off() / once()
+        this.emitter = new EventEmitter();
+        this.lastViewportEvent = null;
+        this.lastCrosshairEvent = null;
         // Create wrapper div for toolbar and canvas
         this.wrapper = document.createElement('div');
         this.wrapper.style.position = 'relative';
@@ -81,11 +167,17 @@ class StockChart {
         this.canvas = document.createElement('canvas');
         this.ctx = this.canvas.getContext('2d');
         this.canvas.style.flex = '1';
+        // Focusable, so keys pressed after clicking the chart go to this chart only
+        this.canvas.tabIndex = 0;
+        this.canvas.style.outline = 'none';
         this.wrapper.appendChild(this.canvas);
+        // Whether the mouse is over the canvas, see hasKeyboardFocus
+        this.isPointerOver = false;
         
         // Initialize pinch-to-zoom state
         this.initialPinchDistance = 0;
         this.isPinching = false;
+        this.isDestroyed = false;
 
         // Initialize dataViewport first
         const mainPlot = this.options.plots?.find(p => p.id === 'main');
@@ -93,7 +185,11 @@ class StockChart {
             throw new Error("StockChart options must include a plot with id 'main'.");
         }
         this.originalData = mainPlot.data || []; // Store original data
-        this.dataViewport = new DataViewport(this.originalData, this.options.initialVisibleCandles, 5);
+        if (isPriceChartType(mainPlot.type)) {
+            mainPlot.data = this.getDisplayData(this.getBaseTimeframe());
+        }
+        this.handleRequestOlderData = this.handleRequestOlderData.bind(this);
+        this.dataViewport = new DataViewport(mainPlot.data, this.options.initialVisibleCandles, 5, this.handleRequestOlderData);
 
         // Then initialize plot layout with calculated Y-axis width
         this.plotLayoutManager = new PlotLayoutManager(
@@ -115,11 +211,13 @@ class StockChart {
         this.crosshairX = -1;
         this.crosshairY = -1;
         this.resizeHandleHeight = 10; // Height of the resize handle area
-        this.minPrice = 0; // Will be updated in render
-        this.maxPrice = 0; // Will be updated in render
-        this.priceScale = 1.0; // vertical zoom/scale factor
-        this.priceOffset = 0; // vertical offset for panning
-        this.plotScales = new Map(); // Store scales for each plot
+        // Price ranges of the plots that are not auto-scaled, see setPriceRange()
+        this.manualPriceRanges = new Map();
+        // Other symbols overlaid on the main plot, see addComparison()
+        this.comparisons = new Map();
+        this.comparisonLegendHits = [];
+        // Plot types without a renderer, warned about once
+        this.unknownSeriesTypes = new Set();
         this.mobileSize = 768;
         // Initialize drawing panel
         this.drawingPanel = new DrawingPanel(this);
@@ -131,32 +229,47 @@ class StockChart {
         
         // Initialize position marker for stock positions
         this.positionMarker = new PositionMarker(this);
+
+        // History strip below the X-axis, see the navigator option
+        this.navigator = new Navigator(this);
+        // Frame of a running setVisibleRange, scrollToRealtime or fitContent animation
+        this.viewportAnimationFrame = null;
+        // Box dragged with the zoom tool, and the ranges zoomBack() and zoomForward() return to
+        this.boxZoomSelection = null;
+        this.zoomHistory = [];
+        this.zoomForwardHistory = [];
         
-        // Load existing drawings from IndexedDB after initialization
+        // Load existing drawings from the storage after initialization
         this.loadDrawingsFromIndexedDB();
 
-        this.canvas.addEventListener('mousedown', this.handleMouseDown.bind(this));
-        this.canvas.addEventListener('mousemove', this.handleMouseMove.bind(this));
+        // Bind event handlers so they can be removed again in destroy()
+        this.handleMouseDownBound = this.handleMouseDown.bind(this);
+        this.handleMouseMoveBound = this.handleMouseMove.bind(this);
+        this.handleMouseUpBound = this.handleMouseUp.bind(this);
+        this.handleMouseOutBound = this.handleMouseOut.bind(this);
+        this.handleMouseWheelBound = this.handleMouseWheel.bind(this);
+        this.handleKeyDownBound = this.handleKeyDown.bind(this);
+        this.handleBroadcastCursorBound = this.handleBroadcastCursor.bind(this);
+        this.handleTouchStartBound = this.handleTouchStart.bind(this);
+        this.handleTouchMoveBound = this.handleTouchMove.bind(this);
+        this.handleTouchEndBound = this.handleTouchEnd.bind(this);
+
+        this.canvas.addEventListener('mousedown', this.handleMouseDownBound);
+        this.canvas.addEventListener('mousemove', this.handleMouseMoveBound);
         // Custom event listener for external cursor sync
-        window.addEventListener('broadcastCursor', (e) => {
-            const { x, y } = /** @type {CustomEvent<{x: number, y: number}>} */ (e).detail;
-            this.crosshairX = x;
-            this.crosshairY = y;
-            this.render();
-        });
-        this.canvas.addEventListener('mouseup', this.handleMouseUp.bind(this));
-        this.canvas.addEventListener('mouseout', this.handleMouseOut.bind(this));
-        this.canvas.addEventListener('wheel', this.handleMouseWheel.bind(this));
-        this.canvas.addEventListener('dblclick', this.resetVerticalScale.bind(this));
+        window.addEventListener('broadcastCursor', this.handleBroadcastCursorBound);
+        this.canvas.addEventListener('mouseup', this.handleMouseUpBound);
+        this.canvas.addEventListener('mouseout', this.handleMouseOutBound);
+        this.canvas.addEventListener('wheel', this.handleMouseWheelBound);
         
         // Add keyboard event listener for delete functionality
-        window.addEventListener('keydown', this.handleKeyDown.bind(this));
+        window.addEventListener('keydown', this.handleKeyDownBound);
         
         // Touch event listeners for mobile devices
-        this.canvas.addEventListener('touchstart', this.handleTouchStart.bind(this));
-        this.canvas.addEventListener('touchmove', this.handleTouchMove.bind(this));
-        this.canvas.addEventListener('touchend', this.handleTouchEnd.bind(this));
-        this.canvas.addEventListener('touchcancel', this.handleTouchEnd.bind(this));
+        this.canvas.addEventListener('touchstart', this.handleTouchStartBound);
+        this.canvas.addEventListener('touchmove', this.handleTouchMoveBound);
+        this.canvas.addEventListener('touchend', this.handleTouchEndBound);
+        this.canvas.addEventListener('touchcancel', this.handleTouchEndBound);
 
         this.resizeObserver = new ResizeObserver(entries => {
             for (let entry of entries) {
@@ -170,11 +283,216 @@ class StockChart {
 
         this.applyTheme(this.options.theme);
 
-        this.updateMetaStringWithTimeframe('daily');
+        this.timeframeOnScreen = this.getBaseTimeframe();
+        this.updateMetaStringWithTimeframe(this.timeframeOnScreen);
+
+        // Groups this chart is linked in, see linkCharts() and the syncGroup option
+        this.syncGroups = new Set();
+        if (this.options.syncGroup) {
+            const { id, ...syncOptions } = typeof this.options.syncGroup === 'string' ?
+                { id: this.options.syncGroup } : this.options.syncGroup;
+            getNamedSyncGroup(id).add(this, syncOptions);
+        }
+
+        // Follows the drawings and indicators saved by other tabs, see the tabSync option
+        this.tabSync = this.options.tabSync !== false && TabSync.isSupported() ? new TabSync(this) : null;
+    }
+
+    /**
+     * Links charts so they follow each other. Crosshairs are matched by bar time;
+     * visible range, zoom and timeframe sync are opt-in.
+     * @param {Array<StockChart>} charts - The charts to link
+     * @param {Object} [options] - What the linked charts follow
+     * @param {boolean} [options.crosshair=true] - Show the crosshair at the same bar time
+     * @param {boolean} [options.visibleRange=false] - Scroll to the same time range
+     * @param {boolean} [options.zoom=false] - Show the same number of bars
+     * @param {boolean} [options.timeframe=false] - Switch to the same timeframe
+     * @returns {ChartSyncGroup} The group; call unlink() on it to stop syncing
+     * @public
+     */
+    static linkCharts(charts, options = {}) {
+        const group = new ChartSyncGroup(options);
+        charts.forEach(chart => group.add(chart));
+        return group;
+    }
+
+    /**
+     * Handles the external cursor sync event.
+     * @param {Event} e - The broadcastCursor event
+     */
+    handleBroadcastCursor(e) {
+        const { x, y } = /** @type {CustomEvent<{x: number, y: number}>} */ (e).detail;
+        this.crosshairX = x;
+        this.crosshairY = y;
+        this.render();
+    }
+
+    /**
+     * Destroys the chart. Removes every listener and observer, removes the chart
+     * and its dialogs from the DOM and closes the storage adapter. The IndexedDB connection
+     * of the default adapter is closed once no other chart uses it.
+     * Calling any other method afterwards throws. Calling destroy() again does nothing.
+     * @public
+     */
+    destroy() {
+        if (this.isDestroyed) return;
+
+        this.resizeObserver.disconnect();
+
+        window.removeEventListener('broadcastCursor', this.handleBroadcastCursorBound);
+        window.removeEventListener('keydown', this.handleKeyDownBound);
+
+        this.canvas.removeEventListener('mousedown', this.handleMouseDownBound);
+        this.canvas.removeEventListener('mousemove', this.handleMouseMoveBound);
+        this.canvas.removeEventListener('mouseup', this.handleMouseUpBound);
+        this.canvas.removeEventListener('mouseout', this.handleMouseOutBound);
+        this.canvas.removeEventListener('wheel', this.handleMouseWheelBound);
+        this.canvas.removeEventListener('touchstart', this.handleTouchStartBound);
+        this.canvas.removeEventListener('touchmove', this.handleTouchMoveBound);
+        this.canvas.removeEventListener('touchend', this.handleTouchEndBound);
+        this.canvas.removeEventListener('touchcancel', this.handleTouchEndBound);
+
+        clearTimeout(this.touchHoldTimer);
+        this.stopViewportAnimation();
+
+        this.syncGroups.forEach(group => group.remove(this));
+        this.tabSync?.close();
+        this.emitter.removeAllListeners();
+        this.drawingPanel.destroy();
+        this.dataViewport.onRequestOlderData = null;
+
+        // Removes the toolbar and the canvas with it
+        if (this.wrapper.parentNode) {
+            this.wrapper.parentNode.removeChild(this.wrapper);
+        }
+
+        this.isDestroyed = true;
+
+        // Fail loudly instead of drawing on a detached canvas
+        Object.getOwnPropertyNames(StockChart.prototype).forEach(name => {
+            const descriptor = Object.getOwnPropertyDescriptor(StockChart.prototype, name);
+            if (name === 'constructor' || name === 'destroy' || typeof descriptor.value !== 'function') return;
+            this[name] = () => {
+                throw new Error(`StockChart: ${name}() was called after destroy()`);
+            };
+        });
+    }
+
+    /**
+     * Subscribe to a chart event.
+     * @param {string} eventName - The event name, e.g. 'viewportChange' or 'crosshairMove'.
+     * @param {function(Object): void} handler - Called with the event payload.
+     * @returns {function(): void} A function that unsubscribes the handler.
+     * @public
+     */
+    on(eventName, handler) {
+        return this.emitter.on(eventName, handler);
+    }
+
+    /**
+     * Unsubscribe from a chart event. Without a handler, all handlers of the event are removed.
+     * @param {string} eventName - The event name.
+     * @param {function(Object): void} [handler] - The handler passed to on() or once().
+     * @public
+     */
+    off(eventName, handler) {
+        this.emitter.off(eventName, handler);
+    }
+
+    /**
+     * Subscribe to the next occurrence of a chart event only.
+     * @param {string} eventName - The event name.
+     * @param {function(Object): void} handler - Called with the event payload.
+     * @returns {function(): void} A function that unsubscribes the handler.
+     * @public
+     */
+    once(eventName, handler) {
+        return this.emitter.once(eventName, handler);
+    }
+
+    /**
+     * Emits a chart event to the handlers registered with on() and once().
+     * @param {string} eventName - The event name.
+     * @param {Object} payload - The event payload.
+     */
+    emit(eventName, payload) {
+        this.emitter.emit(eventName, payload);
+    }
+
+    /**
+     * Emits viewportChange and crosshairMove after a render, but only when they changed.
+     * @private
+     * @param {Map<string, {minPrice: number, maxPrice: number}>} priceRanges - Price ranges of the rendered plots
+     */
+    emitRenderEvents(priceRanges) {
+        const range = this.dataViewport.getVisibleStartEndTime();
+        const viewportEvent = {
+            startTime: range?.startTime ?? null,
+            endTime: range?.endTime ?? null,
+            startIndex: this.dataViewport.startIndex,
+            visibleCount: this.dataViewport.visibleCount
+        };
+        const last = this.lastViewportEvent;
+        if (!last || last.startTime !== viewportEvent.startTime || last.endTime !== viewportEvent.endTime ||
+            last.startIndex !== viewportEvent.startIndex || last.visibleCount !== viewportEvent.visibleCount) {
+            this.lastViewportEvent = viewportEvent;
+            this.emit('viewportChange', viewportEvent);
+        }
+
+        const crosshairEvent = this.getCrosshairEvent(priceRanges);
+        const lastCrosshair = this.lastCrosshairEvent;
+        if (!lastCrosshair || lastCrosshair.x !== crosshairEvent.x || lastCrosshair.y !== crosshairEvent.y ||
+            lastCrosshair.bar !== crosshairEvent.bar) {
+            this.lastCrosshairEvent = crosshairEvent;
+            this.emit('crosshairMove', crosshairEvent);
+        }
+    }
+
+    /**
+     * Builds the crosshairMove payload for the current crosshair position.
+     * Every field except x and y is null while the crosshair is hidden or outside the data.
+     * @private
+     * @param {Map<string, {minPrice: number, maxPrice: number}>} priceRanges - Price ranges of the rendered plots
+     * @returns {{time: number|null, startTime: number|null, endTime: number|null, price: number|null, bar: Object|null, plotId: string|null, x: number, y: number}}
+     */
+    getCrosshairEvent(priceRanges) {
+        const event = {
+            time: null, startTime: null, endTime: null, price: null, bar: null, plotId: null, x: this.crosshairX, y: this.crosshairY
+        };
+        if (this.crosshairX === -1 || this.crosshairY === -1) return event;
+
+        const mainPlotLayout = this.plotLayoutManager.getPlotLayout('main');
+        const mainPlot = this.options.plots.find(p => p.id === 'main');
+        if (!mainPlotLayout || !mainPlot) return event;
+
+        const barWidth = mainPlotLayout.width / this.dataViewport.visibleCount;
+        const index = this.dataViewport.startIndex + Math.floor((this.crosshairX - mainPlotLayout.x) / barWidth);
+        const bar = mainPlot.data[index];
+        if (bar && this.crosshairX <= mainPlotLayout.x + mainPlotLayout.width) {
+            event.bar = bar;
+            event.time = bar.time;
+            // Bricks and columns cover a range of bars
+            event.startTime = bar.startTime ?? bar.time;
+            event.endTime = bar.endTime ?? bar.time;
+        }
+
+        const plot = this.options.plots.find(p => {
+            if (p.overlay) return false;
+            const layout = this.plotLayoutManager.getPlotLayout(p.id);
+            return layout && this.crosshairY >= layout.y && this.crosshairY <= layout.y + layout.height;
+        });
+        const range = plot && priceRanges.get(plot.id);
+        if (range) {
+            const layout = this.plotLayoutManager.getPlotLayout(plot.id);
+            event.plotId = plot.id;
+            event.price = getValueBasedOnY(this.crosshairY, layout.y, layout.height, range.minPrice, range.maxPrice, layout.scaleMode);
+        }
+
+        return event;
     }
 
     /**
-     * Load existing drawings from IndexedDB
+     * Load existing drawings from the storage
      */
     async loadDrawingsFromIndexedDB() {
         try {
@@ -182,17 +500,179 @@ class StockChart {
                 await this.drawingPanel.loadDrawingsFromIndexedDB();
             }
         } catch (error) {
-            console.error('Failed to load drawings from IndexedDB:', error);
+            console.error('Failed to load drawings:', error);
         }
     }
 
-    loadIndicatorSettings() {
-        const savedIndicators = localStorage.getItem('asv-chart-indicator-settings');
-        if (savedIndicators) {
-            const indicators = JSON.parse(savedIndicators);
+    /**
+     * Add the indicators saved in the storage for the current scope
+     */
+    async loadIndicatorSettings() {
+        const loadToken = ++this.indicatorsLoadToken;
+        try {
+            const indicators = await this.storage.loadIndicators(this.getIndicatorScopeKey());
+            if (this.drawingPanel.isDestroyed || loadToken !== this.indicatorsLoadToken) return;
             indicators.forEach(indicator => {
                 this.drawingPanel.addIndicatorWithSettings(indicator.id, indicator.settings);
             });
+        } catch (error) {
+            console.error('Failed to load indicator settings:', error);
+        }
+    }
+
+    /**
+     * Replaces the indicators on the chart with the ones saved for the current scope,
+     * e.g. after switching to another symbol. The replaced ones stay saved in their scope.
+     * @private
+     * @returns {Promise<void>}
+     */
+    reloadIndicatorSettings() {
+        [...this.drawingPanel.indicatorInstances.keys()].forEach(plotId => this.drawingPanel.removeIndicator(plotId, false));
+        return this.loadIndicatorSettings();
+    }
+
+    /**
+     * @returns {string} Key of the saved indicator set in use: 'global', 'symbol:<code>' or 'timeframe:<timeframe>'.
+     *   The symbol scope falls back to 'global' without a chartName.
+     */
+    getIndicatorScopeKey() {
+        const scope = this.options.indicatorScope;
+        if (scope === 'symbol') {
+            const symbol = this.options.chartName?.code || this.options.chartName?.name;
+            if (symbol) return `symbol:${symbol}`;
+        } else if (scope === 'timeframe' && this.timeframeOnScreen) {
+            return `timeframe:${this.timeframeOnScreen}`;
+        }
+        return 'global';
+    }
+
+    /**
+     * @private
+     * @returns {Array<import('./stock-chart.d.ts').SavedIndicator>} The indicators on the chart, in the order they were added
+     */
+    getActiveIndicators() {
+        return [...this.drawingPanel.indicatorInstances.values()]
+            .map(({ indicatorId, settings }) => ({ id: indicatorId, settings: { ...settings } }));
+    }
+
+    /**
+     * Sets what the saved indicators are shared by. A scope without saved indicators starts
+     * with the indicators on the chart, otherwise its indicators replace them.
+     * @param {'global'|'symbol'|'timeframe'} scope - Every chart, charts of the same chartName code, or charts on the same timeframe
+     * @returns {Promise<void>}
+     * @public
+     */
+    async setIndicatorScope(scope) {
+        if (!INDICATOR_SCOPES.includes(scope)) {
+            console.error(`StockChart: Unknown indicator scope '${scope}'`);
+            return;
+        }
+        const previousScope = this.getIndicatorScope();
+        if (scope === previousScope) return;
+
+        const previousKey = this.getIndicatorScopeKey();
+        this.options.indicatorScope = scope;
+        this.emit('indicatorScopeChange', { scope, previousScope });
+
+        const scopeKey = this.getIndicatorScopeKey();
+        if (scopeKey === previousKey) return;
+        try {
+            const savedIndicators = await this.storage.loadIndicators(scopeKey);
+            if (savedIndicators.length > 0) {
+                await this.reloadIndicatorSettings();
+            } else {
+                const activeIndicators = this.getActiveIndicators();
+                await this.drawingPanel.updateSavedIndicators(() => activeIndicators);
+            }
+        } catch (error) {
+            console.error('Failed to switch the indicator scope:', error);
+        }
+    }
+
+    /**
+     * Gets what the saved indicators are shared by.
+     * @returns {'global'|'symbol'|'timeframe'}
+     * @public
+     */
+    getIndicatorScope() {
+        return this.options.indicatorScope || 'global';
+    }
+
+    /**
+     * Gets the saved indicator templates.
+     * @returns {Promise<Array<import('./stock-chart.d.ts').IndicatorTemplate>>}
+     * @public
+     */
+    async getIndicatorTemplates() {
+        try {
+            return await this.storage.loadIndicatorTemplates();
+        } catch (error) {
+            console.error('Failed to load indicator templates:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Saves the indicators on the chart as a template. A template with the same name is replaced.
+     * @param {string} name - Name of the template, e.g. 'Swing setup'
+     * @returns {Promise<void>}
+     * @public
+     */
+    async saveIndicatorTemplate(name) {
+        if (typeof name !== 'string' || !name.trim()) {
+            console.error('StockChart: saveIndicatorTemplate needs a name');
+            return;
+        }
+        const template = { name: name.trim(), indicators: this.getActiveIndicators() };
+        try {
+            const templates = await this.storage.loadIndicatorTemplates();
+            const index = templates.findIndex(t => t.name === template.name);
+            if (index > -1) {
+                templates[index] = template;
+            } else {
+                templates.push(template);
+            }
+            await this.storage.saveIndicatorTemplates(templates);
+        } catch (error) {
+            console.error('Failed to save indicator template:', error);
+        }
+    }
+
+    /**
+     * Replaces the indicators on the chart with the ones of a template. They are saved
+     * like indicators added in the settings dialog.
+     * @param {string} name - Name of the template
+     * @returns {Promise<boolean>} False when there is no template with the name
+     * @public
+     */
+    async applyIndicatorTemplate(name) {
+        const template = (await this.getIndicatorTemplates()).find(t => t.name === name);
+        if (!template) {
+            console.warn(`StockChart: No indicator template '${name}'`);
+            return false;
+        }
+        this.indicatorsLoadToken++;
+        [...this.drawingPanel.indicatorInstances.keys()].forEach(plotId => this.drawingPanel.removeIndicator(plotId));
+        template.indicators.forEach(({ id, settings }) => this.drawingPanel.addIndicatorWithSettings(id, settings));
+        return true;
+    }
+
+    /**
+     * Deletes an indicator template.
+     * @param {string} name - Name of the template
+     * @returns {Promise<boolean>} False when there is no template with the name
+     * @public
+     */
+    async deleteIndicatorTemplate(name) {
+        try {
+            const templates = await this.storage.loadIndicatorTemplates();
+            const remaining = templates.filter(t => t.name !== name);
+            if (remaining.length === templates.length) return false;
+            await this.storage.saveIndicatorTemplates(remaining);
+            return true;
+        } catch (error) {
+            console.error('Failed to delete indicator template:', error);
+            return false;
         }
     }
 
@@ -208,6 +688,7 @@ class StockChart {
         initialVisibleCandles: 100,
         showDrawingToolbar: true, // Control whether to show the drawing toolbar
         showTimeframeButtons: true, // Control whether to show timeframe buttons
+        timeframes: ['daily', 'weekly', 'monthly'], // Timeframe buttons, e.g. '5m', '1h', 'daily'
         emitCandleClick: true // Control whether to emit candle click events
         // Add more default options as needed
     };
@@ -225,6 +706,36 @@ class StockChart {
 
     static themes = { light: lightTheme, dark: darkTheme };
 
+    /**
+     * Built-in adapters for the storage option
+     */
+    static IndexedDBAdapter = IndexedDBAdapter;
+    static LocalStorageAdapter = LocalStorageAdapter;
+    static MemoryAdapter = MemoryAdapter;
+    static RestAdapter = RestAdapter;
+
+    /**
+     * Registers an indicator for all charts. It appears in the indicator settings dialog,
+     * is persisted like the built-in indicators and follows streamed and prepended bars.
+     * Register custom indicators before StockChart.init() so saved instances can be restored.
+     * @param {import('./stock-chart.d.ts').IndicatorDefinition} definition - The indicator definition
+     * @public
+     */
+    static registerIndicator(definition) {
+        registerIndicator(definition);
+    }
+
+    /**
+     * Registers a plot type for all charts. Plots of the type are drawn by the definition,
+     * scaled by its priceRange(), labelled by its legend() and reported in candleClick by its hitTest().
+     * @param {string} type - The value of PlotConfig.type drawn by the definition
+     * @param {import('./stock-chart.d.ts').SeriesTypeDefinition} definition - The renderer
+     * @public
+     */
+    static registerSeriesType(type, definition) {
+        registerSeriesType(type, definition);
+    }
+
     /**
      * Create the drawing toolbar
      * @private
@@ -257,24 +768,33 @@ class StockChart {
         toolbar.style.zIndex = '1000';
 
         const iconSize = isMobile ? 24 : 18;
+        /** @type {Array<string>} */
+        const timeframeButtonNames = (this.options.timeframes || []).filter(timeframe => {
+            if (isValidTimeframe(timeframe)) return true;
+            console.warn(`StockChart: Unknown timeframe '${timeframe}' in options.timeframes`);
+            return false;
+        });
         const tools = [
             { name: 'cursor', icon: `<svg viewBox="0 0 24 24" width="${iconSize}" height="${iconSize}"><path fill="currentColor" d="M13.64,21.97C13.14,22.21 12.54,22 12.31,21.5L10.13,16.76L7.62,18.78C7.45,18.92 7.24,19 7,19A1,1 0 0,1 6,18V3A1,1 0 0,1 7,2C7.24,2 7.47,2.09 7.64,2.23L7.65,2.22L19.14,11.86C19.57,12.22 19.62,12.85 19.27,13.27C19.12,13.45 18.91,13.57 18.7,13.61L15.54,14.23L17.74,18.96C18,19.46 17.76,20.05 17.26,20.28L13.64,21.97Z"/></svg>`, tooltip: 'Select Tool' },
-            { name: 'daily', icon: 'D', tooltip: 'Daily' },
-            { name: 'weekly', icon: 'W', tooltip: 'Weekly' },
-            { name: 'monthly', icon: 'M', tooltip: 'Monthly' },
+            ...timeframeButtonNames.map(timeframe => ({
+                name: timeframe,
+                icon: this.getTimeframeLabel(timeframe, true),
+                tooltip: this.getTimeframeLabel(timeframe)
+            })),
+            { name: 'chart-type', icon: `<svg viewBox="0 0 24 24" width="${iconSize}" height="${iconSize}"><path fill="currentColor" d="M9 4H7v2H5v12h2v2h2v-2h2V6H9V4M9 16H7V8h2v8m10-8h-2V4h-2v4h-2v7h2v5h2v-5h2V8m-2 5h-2v-3h2v3"/></svg>`, tooltip: 'Chart Type' },
+            { name: 'zoom', icon: `<svg viewBox="0 0 24 24" width="${iconSize}" height="${iconSize}"><path fill="currentColor" d="M15.5 14h-.79l-.28-.27A6.47 6.47 0 0 0 16 9.5 6.5 6.5 0 1 0 9.5 16c1.61 0 3.09-.59 4.23-1.57l.27.28v.79l5 4.99L20.49 19l-4.99-5m-6 0C7 14 5 12 5 9.5S7 5 9.5 5 14 7 14 9.5 12 14 9.5 14m.5-7H9v2H7v1h2v2h1v-2h2V9h-2V7"/></svg>`, tooltip: 'Zoom Tool' },
             { name: 'trend-line', icon: `<svg viewBox="0 0 24 24" width="${iconSize}" height="${iconSize}"><path fill="currentColor" d="M7 21L17 3h2L9 21H7"/></svg>`, tooltip: 'Line Tool' },
             { name: 'vertical-line', icon: `<svg viewBox="0 0 24 24" width="${iconSize}" height="${iconSize}"> <path fill="currentColor" d="M12 3h2v18h-2V3"/></svg>`, tooltip: 'Vertical Line Tool' },
             { name: 'horizontal-line', icon: `<svg viewBox="0 0 24 24" width="${iconSize}" height="${iconSize}"><path fill="currentColor" d="M3 12h18v2H3v-2"/></svg>`, tooltip: 'Horizontal Line Tool' },
             { name: 'rectangle', icon: `<svg viewBox="0 0 24 24" width="${iconSize}" height="${iconSize}"><path fill="currentColor" d="M2 4H22V20H2V4M4 6V18H20V6H4Z"/></svg>`, tooltip: 'Rectangle Tool' },
             { name: 'fibonacci-retrace', icon: `<svg viewBox="0 0 24 24" width="${iconSize}" height="${iconSize}"><path fill="currentColor" d="M 3 4 L 3 4 v 17 h 18 v -2 H 5 V 4 H 3 M 7 4 L 21 4 L 21 6 L 7 6 L 7 4 L 7 4 M 7 9 L 21 9 L 21 11 L 7 11 L 7 9 M 7 14 L 21 14 L 21 16 L 7 16 L 7 14"/></svg>`, tooltip: 'Fibonacci Tool' },
             { name: 'fibonacci-zoon', icon: `<svg viewBox="0 0 24 24" width="${iconSize}" height="${iconSize}"><path fill="currentColor" d="M3 3v18h18v-2H5V3H3m5 0v14h2V3H8m5 0v14h2V3h-2m5 0v14h2V3h-2"/></svg>`, tooltip: 'Fibonacci Zoon Tool' },
+            { name: 'volume-profile', icon: `<svg viewBox="0 0 24 24" width="${iconSize}" height="${iconSize}"><path fill="currentColor" d="M3 3h2v18H3V3m4 2h6v2H7V5m0 4h12v2H7V9m0 4h9v2H7v-2m0 4h4v2H7v-2"/></svg>`, tooltip: 'Fixed Range Volume Profile' },
             { name: 'screenshot', icon: `<svg viewBox="0 0 24 24" width="${iconSize}" height="${iconSize}"><path fill="currentColor" d="M21 19V5c0-1.1-.9-2-2-2H5c-1.1 0-2 .9-2 2v14c0 1.1.9 2 2 2h14c1.1 0 2-.9 2-2zM8.5 13.5l2.5 3.01L14.5 12l4.5 6H5l3.5-4.5z"/></svg>`, tooltip: 'Download Screenshot as WebP' },
             { name: 'clear', icon: `<svg viewBox="0 0 24 24" width="${iconSize}" height="${iconSize}"><path fill="currentColor" d="M19,4H15.5L14.5,3H9.5L8.5,4H5V6H19M6,19A2,2 0 0,0 8,21H16A2,2 0 0,0 18,19V7H6V19Z"/></svg>`, tooltip: 'Clear All Drawings' },
             { name: 'settings', icon: `<svg viewBox="0 0 24 24" width="${iconSize}" height="${iconSize}"><path fill="currentColor" d="M12 8.666c-1.838 0-3.333 1.496-3.333 3.334s1.495 3.333 3.333 3.333 3.333-1.495 3.333-3.333-1.495-3.334-3.333-3.334m0 7.667c-2.39 0-4.333-1.943-4.333-4.333s1.943-4.334 4.333-4.334 4.333 1.944 4.333 4.334c0 2.39-1.943 4.333-4.333 4.333m-1.193 6.667h2.386c.379-1.104.668-2.451 2.107-3.05 1.496-.617 2.666.196 3.635.672l1.686-1.688c-.508-1.047-1.266-2.199-.669-3.641.567-1.369 1.739-1.663 3.048-2.099v-2.388c-1.235-.421-2.471-.708-3.047-2.098-.572-1.38.057-2.395.669-3.643l-1.687-1.686c-1.117.547-2.221 1.257-3.642.668-1.374-.571-1.656-1.734-2.1-3.047h-2.386c-.424 1.231-.704 2.468-2.099 3.046-.365.153-.718.226-1.077.226-.843 0-1.539-.392-2.566-.893l-1.687 1.686c.574 1.175 1.251 2.237.669 3.643-.571 1.375-1.734 1.654-3.047 2.098v2.388c1.226.418 2.468.705 3.047 2.098.581 1.403-.075 2.432-.669 3.643l1.687 1.687c1.45-.725 2.355-1.204 3.642-.669 1.378.572 1.655 1.738 2.1 3.047m3.094 1h-3.803c-.681-1.918-.785-2.713-1.773-3.123-1.005-.419-1.731.132-3.466.952l-2.689-2.689c.873-1.837 1.367-2.465.953-3.465-.412-.991-1.192-1.087-3.123-1.773v-3.804c1.906-.678 2.712-.782 3.123-1.773.411-.991-.071-1.613-.953-3.466l2.689-2.688c1.741.828 2.466 1.365 3.465.953.992-.412 1.082-1.185 1.775-3.124h3.802c.682 1.918.788 2.714 1.774 3.123 1.001.416 1.709-.119 3.467-.952l2.687 2.688c-.878 1.847-1.361 2.477-.952 3.465.411.992 1.192 1.087 3.123 1.774v3.805c-1.906.677-2.713.782-3.124 1.773-.403.975.044 1.561.954 3.464l-2.688 2.689c-1.728-.82-2.467-1.37-3.456-.955-.988.41-1.08 1.146-1.785 3.126"/></svg>`, tooltip: 'Settings' },
         ];
 
-        const timeframeButtonNames = ['daily', 'weekly', 'monthly'];
-
         tools.forEach(tool => {
 
             if (!this.options.showTimeframeButtons &&
@@ -327,15 +847,17 @@ class StockChart {
                 } else if (tool.name === 'cursor') {
                     this.setDrawingTool(null);
                     button.style.backgroundColor = this.currentTheme?.gridColor || '#e0e0e0';
-                } else if (['daily', 'weekly', 'monthly'].includes(tool.name)) {
+                } else if (timeframeButtonNames.includes(tool.name)) {
                     this.handleTimeframeChange(tool.name);
+                } else if (tool.name === 'chart-type') {
+                    this.toggleChartTypeMenu(button);
                 } else {
                     this.setDrawingTool(tool.name);
                     button.style.backgroundColor = this.currentTheme?.gridColor || '#e0e0e0';
                 }
             });
 
-            if (['daily', 'weekly', 'monthly'].includes(tool.name)) {
+            if (timeframeButtonNames.includes(tool.name)) {
                 button.style.fontSize = isMobile ? '14px' : '12px';
                 button.style.fontWeight = 'bold';
             }
@@ -355,49 +877,164 @@ class StockChart {
      * @returns An object containing the minPrice and maxPrice for the plot.
      */
     calculatePriceRange(plotConfig, visibleData, dataViewport) {
+        // Plots panned or zoomed by the user keep their range instead of fitting the data
+        const manualRange = plotConfig.overlay ? null : this.manualPriceRanges?.get(plotConfig.id);
+        if (manualRange) {
+            return { ...manualRange };
+        }
+
         let minPrice, maxPrice;
+        const seriesType = getSeriesType(plotConfig.type);
         
         if (plotConfig.type === 'volume') {
             minPrice = 0;
             maxPrice = Math.max(...visibleData.map(d => d.volume || 1));
-        } else if (plotConfig.type === 'line') {
+        } else if (seriesType) {
+            const range = this.getSeriesPriceRange(seriesType, plotConfig, dataViewport);
+            if (!range) {
+                return { minPrice: 0, maxPrice: 1 }; // Default range if no valid data
+            }
+            ({ minPrice, maxPrice } = range);
+        } else if (LINE_SERIES_TYPES.includes(plotConfig.type)) {
             const plotVisibleData = plotConfig.data.slice(dataViewport.startIndex, dataViewport.startIndex + dataViewport.visibleCount);
             const values = plotVisibleData.map(d => d.value ?? d.close).filter(v => v !== null && isFinite(v));
             if (values.length === 0) {
                 return { minPrice: 0, maxPrice: 1 }; // Default range if no valid data
             }
-            const currentMinPrice = Math.min(...values);
-            const currentMaxPrice = Math.max(...values);
-            const priceRange = currentMaxPrice - currentMinPrice;
-            const padding = priceRange * 0.1; // 10% padding
-            minPrice = currentMinPrice - padding;
-            maxPrice = currentMaxPrice + padding;
+            minPrice = Math.min(...values);
+            maxPrice = Math.max(...values);
         } else {
-            const lows = visibleData.map(d => d.low);
-            const highs = visibleData.map(d => d.high);
-            const currentMinPrice = Math.min(...lows);
-            const currentMaxPrice = Math.max(...highs);
-            const priceRange = currentMaxPrice - currentMinPrice;
-            const padding = priceRange * 0.1; // 10% padding
-            minPrice = currentMinPrice - padding;
-            maxPrice = currentMaxPrice + padding;
-        }
-
-        // Apply the plot's scale if it exists
-        // Make sure we have plotScales initialized
-        if (this.plotScales instanceof Map && plotConfig && plotConfig.id) {
-            const plotScale = this.plotScales.get(plotConfig.id) || 1.0;
-            if (plotScale !== 1.0) {
-                const midPrice = (maxPrice + minPrice) / 2;
-                const halfRange = (maxPrice - minPrice) / 2;
-                minPrice = midPrice - (halfRange / plotScale);
-                maxPrice = midPrice + (halfRange / plotScale);
-            }
+            const bars = plotConfig.type === 'heikinAshi' ?
+                this.getHeikinAshiData(plotConfig.data).slice(dataViewport.startIndex, dataViewport.startIndex + dataViewport.visibleCount) :
+                visibleData;
+            const lows = bars.map(d => d.low);
+            const highs = bars.map(d => d.high);
+            minPrice = Math.min(...lows);
+            maxPrice = Math.max(...highs);
         }
-        
+
+        // Comparison lines share the main price axis
+        if (plotConfig.id === 'main' && this.comparisons?.size > 0) {
+            this.options.plots.forEach(plot => {
+                if (!plot.comparison || !this.comparisons.get(plot.comparison)?.visible) return;
+                this.getComparisonVisibleData(plot).forEach(({ value }) => {
+                    if (value === null || !isFinite(value)) return;
+                    minPrice = Math.min(minPrice, value);
+                    maxPrice = Math.max(maxPrice, value);
+                });
+            });
+        }
+
+        // Custom series drawn on top of the plot share its price axis
+        if (!plotConfig.overlay) {
+            this.options.plots.forEach(plot => {
+                const overlayType = plot.overlay && (plot.targetId || 'main') === plotConfig.id && getSeriesType(plot.type);
+                const range = overlayType && this.getSeriesPriceRange(overlayType, plot, dataViewport);
+                if (!range) return;
+                minPrice = Math.min(minPrice, range.minPrice);
+                maxPrice = Math.max(maxPrice, range.maxPrice);
+            });
+        }
+
+        // On a log scale padding and zoom work on ratios, so the range stays above zero
+        const isLog = plotConfig.type !== 'volume' && plotConfig.scaleMode === ScaleMode.LOG && minPrice > 0;
+        const toScale = isLog ? Math.log : (value => value);
+        const fromScale = isLog ? Math.exp : (value => value);
+        let scaledMin = toScale(minPrice);
+        let scaledMax = toScale(maxPrice);
+
+        if (plotConfig.type !== 'volume') {
+            const padding = (scaledMax - scaledMin) * 0.1; // 10% padding
+            scaledMin -= padding;
+            scaledMax += padding;
+        }
+
+        minPrice = fromScale(scaledMin);
+        maxPrice = fromScale(scaledMax);
+
         return { minPrice, maxPrice };
     }
 
+    /**
+     * Price range of the visible points of a custom series, from its priceRange() or else
+     * from the high, low, value and close of the points.
+     * @private
+     * @param {import('./stock-chart.d.ts').SeriesTypeDefinition} seriesType - The registered series type
+     * @param {PlotConfig} plotConfig - The plot of the series
+     * @param {DataViewport} dataViewport - The current data viewport
+     * @returns {{minPrice: number, maxPrice: number} | null} null when there are no finite values
+     */
+    getSeriesPriceRange(seriesType, plotConfig, dataViewport) {
+        const plotVisibleData = (plotConfig.data || []).slice(dataViewport.startIndex, dataViewport.startIndex + dataViewport.visibleCount);
+        let values;
+        if (seriesType.priceRange) {
+            const range = seriesType.priceRange(plotVisibleData);
+            values = range ? [range.minPrice, range.maxPrice] : [];
+        } else {
+            values = plotVisibleData.flatMap(d => (d !== null && typeof d === 'object' ? [d.high, d.low, d.value, d.close] : [d]));
+        }
+
+        values = values.filter(v => typeof v === 'number' && isFinite(v));
+        if (values.length === 0) {
+            return null;
+        }
+        return { minPrice: Math.min(...values), maxPrice: Math.max(...values) };
+    }
+
+    /**
+     * Scale handed to the draw() and hitTest() functions of a custom series.
+     * @private
+     * @param {PlotLayout} plotLayout - The layout of the plot the series is drawn on
+     * @param {number} minPrice - The minimum price of the plot
+     * @param {number} maxPrice - The maximum price of the plot
+     * @returns {import('./stock-chart.d.ts').SeriesScale}
+     */
+    createSeriesScale(plotLayout, minPrice, maxPrice) {
+        const { startIndex, visibleCount } = this.dataViewport;
+        const barWidth = plotLayout.width / visibleCount;
+        return {
+            minPrice,
+            maxPrice,
+            barWidth,
+            startIndex,
+            scaleMode: plotLayout.scaleMode || ScaleMode.LINEAR,
+            toX: index => plotLayout.x + getXPixel(startIndex + index, startIndex, visibleCount, plotLayout.width, barWidth) + barWidth / 2,
+            toIndex: x => Math.floor((x - plotLayout.x) / barWidth),
+            toY: price => getYPixel(price, minPrice, maxPrice, plotLayout.height, plotLayout.y, plotLayout.scaleMode),
+            toPrice: y => getValueBasedOnY(y, plotLayout.y, plotLayout.height, minPrice, maxPrice, plotLayout.scaleMode)
+        };
+    }
+
+    /**
+     * Finds the point of a custom series under a canvas position, the last drawn plot first.
+     * @param {number} x - X position relative to the canvas
+     * @param {number} y - Y position relative to the canvas
+     * @returns {{plotId: string, type: string, item: any} | null}
+     */
+    hitTestSeries(x, y) {
+        const plots = [...this.options.plots].reverse();
+        for (const plotConfig of plots) {
+            const seriesType = getSeriesType(plotConfig.type);
+            if (!seriesType?.hitTest) continue;
+
+            const targetPlotId = plotConfig.overlay ? (plotConfig.targetId || 'main') : plotConfig.id;
+            const targetPlot = this.options.plots.find(p => p.id === targetPlotId);
+            const plotLayout = this.plotLayoutManager.getPlotLayout(targetPlotId);
+            if (!targetPlot || !plotLayout ||
+                x < plotLayout.x || x > plotLayout.x + plotLayout.width ||
+                y < plotLayout.y || y > plotLayout.y + plotLayout.height) continue;
+
+            const targetVisibleData = targetPlot.data.slice(this.dataViewport.startIndex, this.dataViewport.startIndex + this.dataViewport.visibleCount);
+            const { minPrice, maxPrice } = this.calculatePriceRange(targetPlot, targetVisibleData, this.dataViewport);
+            const plotVisibleData = (plotConfig.data || []).slice(this.dataViewport.startIndex, this.dataViewport.startIndex + this.dataViewport.visibleCount);
+            const item = seriesType.hitTest(x, y, plotVisibleData, plotLayout, this.createSeriesScale(plotLayout, minPrice, maxPrice));
+            if (item !== null && item !== undefined && item !== false) {
+                return { plotId: plotConfig.id, type: plotConfig.type, item };
+            }
+        }
+        return null;
+    }
+
     /**
      * Calculate the maximum width needed for Y-axis labels across all plots
      * @private
@@ -431,9 +1068,14 @@ class StockChart {
             }
 
             // Format each value and measure its width
+            const scaleMode = plotConfig.scaleMode;
+            const baseValue = scaleMode === ScaleMode.PERCENT || scaleMode === ScaleMode.INDEXED ?
+                this.getScaleBaseValue(plotConfig.id) : null;
             testValues.forEach(value => {
                 let label;
-                if (plotConfig.type === 'volume') {
+                if (baseValue !== null) {
+                    label = this.formatScaleValue(value, scaleMode, baseValue);
+                } else if (plotConfig.type === 'volume') {
                     if (value >= 1000000) {
                         label = (value / 1000000).toFixed(1) + 'M';
                     } else if (value >= 1000) {
@@ -511,6 +1153,7 @@ class StockChart {
 
         // Calculate Y-axis width and update layout
         const yAxisWidth = this.calculateYAxisWidth();
+        this.plotLayoutManager.navigatorHeight = this.getNavigatorHeight();
         this.plotLayoutManager.updateCanvasDimensions(chartWidth, clientHeight, yAxisWidth);
     }
 
@@ -524,6 +1167,7 @@ class StockChart {
             (StockChart.themes[theme] || StockChart.themes.light) : 
             { ...StockChart.themes.light, ...theme }; // Merge with light theme for fallback values
         
+        const previousTheme = this.currentTheme;
         this.currentTheme = themeToApply;
         // Apply theme colors to canvas context or CSS variables
         this.canvas.style.backgroundColor = themeToApply.background;
@@ -547,32 +1191,17 @@ class StockChart {
         }
         
         this.render(); // Redraw with new theme
-    }
 
-    /**
-     * Handles mouse wheel for vertical scale adjustment
-     * @param {WheelEvent} event
-     */
-    handleVerticalMouseWheel(event) {
-        if (event.ctrlKey) {
-            // vertical zoom
-            const zoomFactor = event.deltaY < 0 ? 1.1 : 0.9;
-            this.priceScale *= zoomFactor;
-            this.render();
-            event.preventDefault();
+        if (previousTheme) {
+            this.emit('themeChange', { theme: themeToApply });
         }
     }
 
     /**
-     * Resets the vertical price scaling and offset.
-     */
-    /**
-     * Resets the vertical scaling (price zoom) to defaults.
+     * Returns every plot to auto-scaling.
      */
     resetVerticalScale() {
-        this.priceScale = 1.0;
-        this.priceOffset = 0;
-        this.render();
+        [...this.manualPriceRanges.keys()].forEach(plotId => this.setAutoScale(plotId, true));
     }
 
     /**
@@ -586,7 +1215,8 @@ class StockChart {
                 // Remove the selected drawing
                 const index = this.drawingPanel.drawings.indexOf(this.drawingPanel.selectedDrawing);
                 if (index !== -1) {
-                    this.drawingPanel.drawings.splice(index, 1);
+                    const [removed] = this.drawingPanel.drawings.splice(index, 1);
+                    this.emit('drawingRemoved', { drawing: removed.toJSON(), index });
                     this.drawingPanel.selectedDrawing = null;
                     this.drawingPanel.selectedPoint = null;
                     this.drawingPanel.isEditing = false;
@@ -594,10 +1224,34 @@ class StockChart {
                     this.render();
                     this.drawingPanel.saveDrawingsToIndexedDB();
                 }
+                return;
+            }
+        }
+
+        // Escape and Backspace step back through box zooms, with Shift forward
+        const target = /** @type {HTMLElement} */ (event.target);
+        const isTyping = target && (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.isContentEditable);
+        if ((event.key === 'Escape' || event.key === 'Backspace') && !isTyping && this.hasKeyboardFocus()) {
+            if (this.boxZoomSelection) {
+                this.boxZoomSelection = null;
+                this.render();
+                event.preventDefault();
+            } else if (event.shiftKey ? this.zoomForward() : this.zoomBack()) {
+                event.preventDefault();
             }
         }
     }
 
+    /**
+     * Whether keys pressed on the page are meant for this chart: the chart has the focus
+     * or the mouse is over it. Other charts and the rest of the page keep their keys.
+     * @private
+     * @returns {boolean}
+     */
+    hasKeyboardFocus() {
+        return this.isPointerOver || this.container.contains(document.activeElement);
+    }
+
     /**
      * Renders the chart. This method will be expanded to draw different chart types and plots.
      */
@@ -698,25 +1352,63 @@ class StockChart {
                 this.ctx.rect(plotLayout.x, plotLayout.y, plotLayout.width, plotLayout.height);
                 this.ctx.clip(); // Clip to the plot area for drawing data
 
-                const plotData = plotConfig.data && plotConfig.data.length > 0 ? plotConfig.data : visibleData;
-                const plotVisibleData = plotData.slice(this.dataViewport.startIndex, this.dataViewport.startIndex + this.dataViewport.visibleCount);
+                let plotData = plotConfig.data && plotConfig.data.length > 0 ? plotConfig.data : visibleData;
+                if (plotConfig.type === 'heikinAshi') {
+                    plotData = this.getHeikinAshiData(plotData);
+                }
+                let plotVisibleData = plotData.slice(this.dataViewport.startIndex, this.dataViewport.startIndex + this.dataViewport.visibleCount);
+                if (plotConfig.comparison) {
+                    plotVisibleData = this.comparisons.get(plotConfig.comparison)?.visible ?
+                        this.getComparisonVisibleData(plotConfig) : [];
+                }
+
+                if (plotConfig.id === 'main') {
+                    this.drawExtendedHoursShading(plotVisibleData, plotLayout, barWidth);
+                }
 
                 // Draw data points based on plot type
                 switch (plotConfig.type) {
                     case 'candlestick':
+                    case 'heikinAshi':
+                    case 'hollowCandle':
+                    case 'ohlc':
+                    case 'renko':
+                    case 'lineBreak':
                         plotVisibleData.forEach((dataPoint, i) => {
                             const candleWidth = barWidth * 0.7;
                             const x = plotLayout.x + getXPixel(this.dataViewport.startIndex + i, this.dataViewport.startIndex, this.dataViewport.visibleCount, plotLayout.width, barWidth) + (barWidth - candleWidth) / 2;
-                            const openY = getYPixel(dataPoint.open, minPrice, maxPrice, plotLayout.height, plotLayout.y);
-                            const highY = getYPixel(dataPoint.high, minPrice, maxPrice, plotLayout.height, plotLayout.y);
-                            const lowY = getYPixel(dataPoint.low, minPrice, maxPrice, plotLayout.height, plotLayout.y);
-                            const closeY = getYPixel(dataPoint.close, minPrice, maxPrice, plotLayout.height, plotLayout.y);
-                            drawCandlestick(this.ctx, dataPoint, x, openY, highY, lowY, closeY, candleWidth, this.currentTheme);
+                            const openY = getYPixel(dataPoint.open, minPrice, maxPrice, plotLayout.height, plotLayout.y, plotLayout.scaleMode);
+                            const highY = getYPixel(dataPoint.high, minPrice, maxPrice, plotLayout.height, plotLayout.y, plotLayout.scaleMode);
+                            const lowY = getYPixel(dataPoint.low, minPrice, maxPrice, plotLayout.height, plotLayout.y, plotLayout.scaleMode);
+                            const closeY = getYPixel(dataPoint.close, minPrice, maxPrice, plotLayout.height, plotLayout.y, plotLayout.scaleMode);
+                            if (plotConfig.type === 'hollowCandle') {
+                                const previousClose = plotData[this.dataViewport.startIndex + i - 1]?.close;
+                                drawHollowCandle(this.ctx, dataPoint, previousClose, x, openY, highY, lowY, closeY, candleWidth, this.currentTheme);
+                            } else if (plotConfig.type === 'ohlc') {
+                                drawOhlcBar(this.ctx, dataPoint, x, openY, highY, lowY, closeY, candleWidth, this.currentTheme);
+                            } else {
+                                drawCandlestick(this.ctx, dataPoint, x, openY, highY, lowY, closeY, candleWidth, this.currentTheme);
+                            }
                         });
                         break;
                     case 'line':
                         this.drawLine(plotVisibleData, plotLayout, barWidth, minPrice, maxPrice, plotConfig);
                         break;
+                    case 'stepLine':
+                        this.drawStepLine(plotVisibleData, plotLayout, barWidth, minPrice, maxPrice, plotConfig);
+                        break;
+                    case 'area':
+                        this.drawArea(plotVisibleData, plotLayout, barWidth, minPrice, maxPrice, plotConfig);
+                        break;
+                    case 'baseline':
+                        this.drawBaseline(plotVisibleData, plotLayout, barWidth, minPrice, maxPrice, plotConfig);
+                        break;
+                    case 'kagi':
+                        this.drawKagi(plotVisibleData, plotLayout, barWidth, minPrice, maxPrice);
+                        break;
+                    case 'pointAndFigure':
+                        this.drawPointAndFigure(plotVisibleData, plotLayout, barWidth, minPrice, maxPrice);
+                        break;
                     case 'volume':
                         this.drawVolume(plotVisibleData, barWidth, plotLayout, maxPrice);
                         break;
@@ -731,15 +1423,38 @@ class StockChart {
 
                         this.drawSignals(plotVisibleData, plotLayout, barWidth, minPrice, maxPrice);
                         break;
-                        
-                }
-            }
+                    default: {
+                        const seriesType = getSeriesType(plotConfig.type);
+                        if (!seriesType) {
+                            if (!this.unknownSeriesTypes.has(plotConfig.type)) {
+                                this.unknownSeriesTypes.add(plotConfig.type);
+                                console.warn(`StockChart: plot '${plotConfig.id}' has the unknown type '${plotConfig.type}', register it with StockChart.registerSeriesType()`);
+                            }
+                            break;
+                        }
+                        // A failing renderer shouldn't stop the rest of the chart from drawing
+                        try {
+                            this.ctx.save();
+                            seriesType.draw(this.ctx, plotVisibleData, plotLayout, this.createSeriesScale(plotLayout, minPrice, maxPrice));
+                        } catch (error) {
+                            console.error(`StockChart: series type '${plotConfig.type}' failed to draw`, error);
+                        } finally {
+                            this.ctx.restore();
+                        }
+                        break;
+                    }
+                }
+            }
             this.ctx.restore();
         });
 
         // Draw X-axis labels
         this.drawXAxisLabels();
 
+        if (this.options.navigator) {
+            this.navigator.render(this.ctx);
+        }
+
         // Draw chart name, code, and meta string
         this.drawChartName();
 
@@ -755,6 +1470,10 @@ class StockChart {
             this.ctx.clip();
         }
     
+        if (mainPlotLayout && this.options.volumeProfile) {
+            this.drawVisibleVolumeProfile(mainPlotLayout, priceRanges.get('main'));
+        }
+
         // Render drawings
         this.drawingPanel.render(this.ctx);
     
@@ -764,6 +1483,10 @@ class StockChart {
         // Restore transformation state
         this.ctx.restore();
 
+        if (this.boxZoomSelection) {
+            this.drawBoxZoomSelection();
+        }
+
         // Debug overlay
         // this.ctx.fillText(`Canvas: ${this.canvas.width}x${this.canvas.height}`, 20, 60);
 
@@ -802,6 +1525,8 @@ class StockChart {
         }
         // Display price and indicator info overlay
         this.displayInfoOverlay();
+
+        this.emitRenderEvents(priceRanges);
     }
 
     /**
@@ -827,9 +1552,9 @@ class StockChart {
             if (lastValidIndex !== -1) {
                 const prevDataPoint = plotVisibleData[lastValidIndex];
                 const x1 = plotLayout.x + getXPixel(this.dataViewport.startIndex + lastValidIndex, this.dataViewport.startIndex, this.dataViewport.visibleCount, plotLayout.width, barWidth) + barWidth / 2;
-                const y1 = getYPixel(prevDataPoint.value ?? prevDataPoint.close, minPrice, maxPrice, plotLayout.height, plotLayout.y);
+                const y1 = getYPixel(prevDataPoint.value ?? prevDataPoint.close, minPrice, maxPrice, plotLayout.height, plotLayout.y, plotLayout.scaleMode);
                 const x2 = plotLayout.x + getXPixel(this.dataViewport.startIndex + i, this.dataViewport.startIndex, this.dataViewport.visibleCount, plotLayout.width, barWidth) + barWidth / 2;
-                const y2 = getYPixel(value, minPrice, maxPrice, plotLayout.height, plotLayout.y);
+                const y2 = getYPixel(value, minPrice, maxPrice, plotLayout.height, plotLayout.y, plotLayout.scaleMode);
                 const lineColor = plotConfig.style?.lineColor || this.currentTheme.lineColor;
                 const lineWidth = plotConfig.style?.lineWidth || 2;
                 drawLine(this.ctx, x1, y1, x2, y2, lineColor, lineWidth);
@@ -838,6 +1563,280 @@ class StockChart {
         });
     }
 
+    /**
+     * Pixel points of a single-value series, split into segments where values are missing.
+     * @private
+     * @param {Array<Object>} plotVisibleData - The visible data points for the plot.
+     * @param {import('./stock-chart.d.ts').PlotLayout} plotLayout - The layout information for the plot.
+     * @param {number} barWidth - The width of each bar in the plot.
+     * @param {number} minPrice - The minimum price in the visible data range.
+     * @param {number} maxPrice - The maximum price in the visible data range.
+     * @returns {Array<Array<{x: number, y: number}>>}
+     */
+    getLineSegments(plotVisibleData, plotLayout, barWidth, minPrice, maxPrice) {
+        const segments = [];
+        let segment = [];
+        plotVisibleData.forEach((dataPoint, i) => {
+            const value = dataPoint.value ?? dataPoint.close;
+            // Same gaps as drawLine
+            if (value === null || value === undefined || value === 0) {
+                if (segment.length > 0) segments.push(segment);
+                segment = [];
+                return;
+            }
+            segment.push({
+                x: plotLayout.x + getXPixel(this.dataViewport.startIndex + i, this.dataViewport.startIndex, this.dataViewport.visibleCount, plotLayout.width, barWidth) + barWidth / 2,
+                y: getYPixel(value, minPrice, maxPrice, plotLayout.height, plotLayout.y, plotLayout.scaleMode)
+            });
+        });
+        if (segment.length > 0) segments.push(segment);
+        return segments;
+    }
+
+    /**
+     * Draws a step line, which holds each value until the next bar.
+     * @param {Array<Object>} plotVisibleData - The visible data points for the plot.
+     * @param {import('./stock-chart.d.ts').PlotLayout} plotLayout - The layout information for the plot.
+     * @param {number} barWidth - The width of each bar in the plot.
+     * @param {number} minPrice - The minimum price in the visible data range.
+     * @param {number} maxPrice - The maximum price in the visible data range.
+     * @param {import('./stock-chart.d.ts').PlotConfig} plotConfig - The configuration options for the plot.
+     */
+    drawStepLine(plotVisibleData, plotLayout, barWidth, minPrice, maxPrice, plotConfig) {
+        this.ctx.strokeStyle = plotConfig.style?.lineColor || this.currentTheme.lineColor;
+        this.ctx.lineWidth = plotConfig.style?.lineWidth || 2;
+
+        this.getLineSegments(plotVisibleData, plotLayout, barWidth, minPrice, maxPrice).forEach(points => {
+            this.ctx.beginPath();
+            this.ctx.moveTo(points[0].x - barWidth / 2, points[0].y);
+            points.forEach((point, i) => {
+                if (i > 0) {
+                    this.ctx.lineTo(point.x - barWidth / 2, points[i - 1].y);
+                    this.ctx.lineTo(point.x - barWidth / 2, point.y);
+                }
+            });
+            this.ctx.lineTo(points[points.length - 1].x + barWidth / 2, points[points.length - 1].y);
+            this.ctx.stroke();
+        });
+    }
+
+    /**
+     * Draws a line with a gradient fill down to the bottom of the plot.
+     * @param {Array<Object>} plotVisibleData - The visible data points for the plot.
+     * @param {import('./stock-chart.d.ts').PlotLayout} plotLayout - The layout information for the plot.
+     * @param {number} barWidth - The width of each bar in the plot.
+     * @param {number} minPrice - The minimum price in the visible data range.
+     * @param {number} maxPrice - The maximum price in the visible data range.
+     * @param {import('./stock-chart.d.ts').PlotConfig} plotConfig - The configuration options for the plot.
+     */
+    drawArea(plotVisibleData, plotLayout, barWidth, minPrice, maxPrice, plotConfig) {
+        const lineColor = plotConfig.style?.lineColor || this.currentTheme.lineColor;
+        const fillColor = plotConfig.style?.fillColor || lineColor;
+        const bottom = plotLayout.y + plotLayout.height;
+
+        const gradient = this.ctx.createLinearGradient(0, plotLayout.y, 0, bottom);
+        gradient.addColorStop(0, withAlpha(fillColor, plotConfig.style?.opacity ?? 0.4));
+        gradient.addColorStop(1, withAlpha(fillColor, 0));
+
+        this.getLineSegments(plotVisibleData, plotLayout, barWidth, minPrice, maxPrice).forEach(points => {
+            this.ctx.beginPath();
+            this.ctx.moveTo(points[0].x, bottom);
+            points.forEach(point => this.ctx.lineTo(point.x, point.y));
+            this.ctx.lineTo(points[points.length - 1].x, bottom);
+            this.ctx.closePath();
+            this.ctx.fillStyle = gradient;
+            this.ctx.fill();
+
+            this.strokePoints(points, lineColor, plotConfig.style?.lineWidth || 2);
+        });
+    }
+
+    /**
+     * Draws a line filled towards a reference price, colored by whether it is above or below it.
+     * The reference is style.baseValue, or the first visible value when it is not set.
+     * @param {Array<Object>} plotVisibleData - The visible data points for the plot.
+     * @param {import('./stock-chart.d.ts').PlotLayout} plotLayout - The layout information for the plot.
+     * @param {number} barWidth - The width of each bar in the plot.
+     * @param {number} minPrice - The minimum price in the visible data range.
+     * @param {number} maxPrice - The maximum price in the visible data range.
+     * @param {import('./stock-chart.d.ts').PlotConfig} plotConfig - The configuration options for the plot.
+     */
+    drawBaseline(plotVisibleData, plotLayout, barWidth, minPrice, maxPrice, plotConfig) {
+        const firstValue = plotVisibleData.map(d => d.value ?? d.close).find(v => typeof v === 'number' && v !== 0);
+        const baseValue = plotConfig.style?.baseValue ?? firstValue;
+        if (baseValue === undefined) return;
+
+        const baseY = getYPixel(baseValue, minPrice, maxPrice, plotLayout.height, plotLayout.y, plotLayout.scaleMode);
+        const opacity = plotConfig.style?.opacity ?? 0.2;
+        const lineWidth = plotConfig.style?.lineWidth || 2;
+        const segments = this.getLineSegments(plotVisibleData, plotLayout, barWidth, minPrice, maxPrice);
+        const halves = [
+            { color: plotConfig.style?.positiveColor || this.currentTheme.candleUp, top: plotLayout.y, bottom: baseY },
+            { color: plotConfig.style?.negativeColor || this.currentTheme.candleDown, top: baseY, bottom: plotLayout.y + plotLayout.height }
+        ];
+
+        // Each half is drawn clipped to its side of the reference price
+        halves.forEach(({ color, top, bottom }) => {
+            if (bottom <= top) return;
+            this.ctx.save();
+            this.ctx.beginPath();
+            this.ctx.rect(plotLayout.x, top, plotLayout.width, bottom - top);
+            this.ctx.clip();
+
+            segments.forEach(points => {
+                this.ctx.beginPath();
+                this.ctx.moveTo(points[0].x, baseY);
+                points.forEach(point => this.ctx.lineTo(point.x, point.y));
+                this.ctx.lineTo(points[points.length - 1].x, baseY);
+                this.ctx.closePath();
+                this.ctx.fillStyle = withAlpha(color, opacity);
+                this.ctx.fill();
+
+                this.strokePoints(points, color, lineWidth);
+            });
+            this.ctx.restore();
+        });
+
+        this.ctx.strokeStyle = this.currentTheme.gridColor;
+        this.ctx.lineWidth = 1;
+        this.ctx.setLineDash([4, 4]);
+        this.ctx.beginPath();
+        this.ctx.moveTo(plotLayout.x, baseY);
+        this.ctx.lineTo(plotLayout.x + plotLayout.width, baseY);
+        this.ctx.stroke();
+        this.ctx.setLineDash([]);
+    }
+
+    /**
+     * Draws Kagi lines joined by horizontal shoulders and waists.
+     * Yang lines are thick in the up color, yin lines thin in the down color.
+     * @param {Array<import('./stock-chart.d.ts').PriceChartBar>} plotVisibleData - The visible Kagi lines.
+     * @param {import('./stock-chart.d.ts').PlotLayout} plotLayout - The layout information for the plot.
+     * @param {number} barWidth - The width of each bar in the plot.
+     * @param {number} minPrice - The minimum price in the visible data range.
+     * @param {number} maxPrice - The maximum price in the visible data range.
+     */
+    drawKagi(plotVisibleData, plotLayout, barWidth, minPrice, maxPrice) {
+        const toY = price => getYPixel(price, minPrice, maxPrice, plotLayout.height, plotLayout.y, plotLayout.scaleMode);
+        const drawSegment = (x1, y1, x2, y2, trend) => {
+            const isYang = trend === 'yang';
+            drawLine(this.ctx, x1, y1, x2, y2, isYang ? this.currentTheme.candleUp : this.currentTheme.candleDown, isYang ? 3 : 1);
+        };
+
+        plotVisibleData.forEach((line, i) => {
+            const x = plotLayout.x + getXPixel(this.dataViewport.startIndex + i, this.dataViewport.startIndex, this.dataViewport.visibleCount, plotLayout.width, barWidth) + barWidth / 2;
+            // The trend the line starts with, it changes at changePrice
+            const startTrend = line.changePrice === null ? line.trend : (line.trend === 'yang' ? 'yin' : 'yang');
+
+            if (this.dataViewport.startIndex + i > 0) {
+                drawSegment(x - barWidth, toY(line.open), x, toY(line.open), startTrend);
+            }
+            if (line.changePrice === null) {
+                drawSegment(x, toY(line.open), x, toY(line.close), line.trend);
+            } else {
+                drawSegment(x, toY(line.open), x, toY(line.changePrice), startTrend);
+                drawSegment(x, toY(line.changePrice), x, toY(line.close), line.trend);
+            }
+        });
+    }
+
+    /**
+     * Draws Point & Figure columns, a column of X boxes when rising and of O boxes when falling.
+     * @param {Array<import('./stock-chart.d.ts').PriceChartBar>} plotVisibleData - The visible columns.
+     * @param {import('./stock-chart.d.ts').PlotLayout} plotLayout - The layout information for the plot.
+     * @param {number} barWidth - The width of each bar in the plot.
+     * @param {number} minPrice - The minimum price in the visible data range.
+     * @param {number} maxPrice - The maximum price in the visible data range.
+     */
+    drawPointAndFigure(plotVisibleData, plotLayout, barWidth, minPrice, maxPrice) {
+        const toY = price => getYPixel(price, minPrice, maxPrice, plotLayout.height, plotLayout.y, plotLayout.scaleMode);
+
+        this.ctx.lineWidth = 1.5;
+        plotVisibleData.forEach((column, i) => {
+            const x = plotLayout.x + getXPixel(this.dataViewport.startIndex + i, this.dataViewport.startIndex, this.dataViewport.visibleCount, plotLayout.width, barWidth) + barWidth / 2;
+            const isUp = column.direction === 'up';
+            const boxCount = Math.round((column.high - column.low) / column.boxSize) + 1;
+            this.ctx.strokeStyle = isUp ? this.currentTheme.candleUp : this.currentTheme.candleDown;
+
+            for (let box = 0; box < boxCount; box++) {
+                const price = column.low + box * column.boxSize;
+                const y = toY(price);
+                const half = Math.max(1, Math.min(barWidth * 0.4, Math.abs(toY(price + column.boxSize) - y) * 0.45));
+
+                this.ctx.beginPath();
+                if (isUp) {
+                    this.ctx.moveTo(x - half, y - half);
+                    this.ctx.lineTo(x + half, y + half);
+                    this.ctx.moveTo(x + half, y - half);
+                    this.ctx.lineTo(x - half, y + half);
+                } else {
+                    this.ctx.arc(x, y, half, 0, Math.PI * 2);
+                }
+                this.ctx.stroke();
+            }
+        });
+    }
+
+    /**
+     * Strokes a polyline through the given points.
+     * @private
+     * @param {Array<{x: number, y: number}>} points - The points to connect
+     * @param {string} color - The line color
+     * @param {number} lineWidth - The line width
+     */
+    strokePoints(points, color, lineWidth) {
+        this.ctx.strokeStyle = color;
+        this.ctx.lineWidth = lineWidth;
+        this.ctx.beginPath();
+        points.forEach((point, i) => {
+            if (i === 0) {
+                this.ctx.moveTo(point.x, point.y);
+            } else {
+                this.ctx.lineTo(point.x, point.y);
+            }
+        });
+        this.ctx.stroke();
+    }
+
+    /**
+     * Heikin-Ashi bars of a plot's data. They are cached, and streamed bars only
+     * recalculate the newest bar because each bar depends on the one before it.
+     * @private
+     * @param {Array<StockData>} data - The OHLC bars
+     * @returns {Array<StockData>}
+     */
+    getHeikinAshiData(data) {
+        const cache = this.heikinAshiCache;
+        if (cache && cache.source === data && cache.bars.length === data.length && cache.lastBar === data[data.length - 1]) {
+            return cache.bars;
+        }
+
+        // The last cached bar may have been replaced by a streamed update, so it is recalculated
+        const bars = cache && cache.source === data ? cache.bars.slice(0, Math.min(cache.bars.length, data.length) - 1) : [];
+        this.heikinAshiCache = { source: data, bars: toHeikinAshi(data, bars), lastBar: data[data.length - 1] };
+        return this.heikinAshiCache.bars;
+    }
+
+    /**
+     * Shades pre-market and after-hours bars when the session option asks for it.
+     * @private
+     * @param {Array<StockData>} visibleData - The visible bars of the main plot
+     * @param {import('./stock-chart.d.ts').PlotLayout} plotLayout - The layout of the main plot
+     * @param {number} barWidth - The width of one bar
+     */
+    drawExtendedHoursShading(visibleData, plotLayout, barWidth) {
+        const session = this.options.session;
+        if (!session?.shadeExtendedHours || !this.isIntradayOnScreen()) return;
+
+        const { timezone } = this.getCalendarOptions();
+        this.ctx.fillStyle = this.currentTheme.extendedHoursColor || 'rgba(128, 128, 128, 0.1)';
+        visibleData.forEach((dataPoint, i) => {
+            if (!dataPoint || isInSession(dataPoint.time, session, timezone)) return;
+            const x = plotLayout.x + getXPixel(this.dataViewport.startIndex + i, this.dataViewport.startIndex, this.dataViewport.visibleCount, plotLayout.width, barWidth);
+            this.ctx.fillRect(x, plotLayout.y, barWidth, plotLayout.height);
+        });
+    }
+
     /**
      * Draws the volume bars on the canvas.
      * @param {Array<Object>} plotVisibleData - The visible data points for the plot.
@@ -869,8 +1868,8 @@ class StockChart {
         plotVisibleData.forEach((dataPoint, i) => {
             const histoWidth = barWidth * 0.7;
             const x = plotLayout.x + getXPixel(this.dataViewport.startIndex + i, this.dataViewport.startIndex, this.dataViewport.visibleCount, plotLayout.width, barWidth) + (barWidth - histoWidth) / 2;
-            const y = getYPixel(0, minPrice, maxPrice, plotLayout.height, plotLayout.y);
-            const barHeight = getYPixel(dataPoint.value, minPrice, maxPrice, plotLayout.height, plotLayout.y) - y;
+            const y = getYPixel(0, minPrice, maxPrice, plotLayout.height, plotLayout.y, plotLayout.scaleMode);
+            const barHeight = getYPixel(dataPoint.value, minPrice, maxPrice, plotLayout.height, plotLayout.y, plotLayout.scaleMode) - y;
 
             this.ctx.fillStyle = dataPoint.value >= 0 ?
                 (plotConfig.style?.positiveColor || this.currentTheme.positiveColor) :
@@ -900,7 +1899,7 @@ class StockChart {
 
             if (dataPoint.value.value != null) {
                 const x = Math.floor(plotLayout.x + getXPixel(this.dataViewport.startIndex + i, this.dataViewport.startIndex, this.dataViewport.visibleCount, plotLayout.width, barWidth));
-                const y = Math.floor(getYPixel(dataPoint.value.value, minPrice, maxPrice, plotLayout.height, plotLayout.y));
+                const y = Math.floor(getYPixel(dataPoint.value.value, minPrice, maxPrice, plotLayout.height, plotLayout.y, plotLayout.scaleMode));
     
                 pathsByColor[color].rect(x, y, Math.ceil(barWidth), 10);
             }
@@ -926,7 +1925,26 @@ class StockChart {
         
         // Track click for candle click event emission
         this.clickHandler.handleMouseDown(mouseX, mouseY);
+        this.stopViewportAnimation();
+
+        if (this.chartTypeMenu) {
+            this.chartTypeMenu.remove();
+            this.chartTypeMenu = null;
+        }
         
+        // The zoom tool selects a box on the main plot instead of drawing
+        if (this.activeDrawingTool === 'zoom') {
+            const mainPlot = this.plotLayoutManager.getPlotLayout('main');
+            if (mainPlot &&
+                mouseX >= mainPlot.x &&
+                mouseX <= mainPlot.x + mainPlot.width &&
+                mouseY >= mainPlot.y &&
+                mouseY <= mainPlot.y + mainPlot.height) {
+                this.boxZoomSelection = { startX: mouseX, startY: mouseY, endX: mouseX, endY: mouseY };
+            }
+            return;
+        }
+
         // Check if we're in drawing mode
         if (this.activeDrawingTool) {
             // Only allow drawing in the main plot area
@@ -946,6 +1964,28 @@ class StockChart {
             return;
         }
 
+        if (this.handleComparisonLegendClick(mouseX, mouseY)) {
+            return;
+        }
+
+        if (this.options.navigator && this.navigator.handlePointerDown(mouseX, mouseY)) {
+            // Pressing the navigator is not a click on a candle
+            this.clickHandler.reset();
+            return;
+        }
+
+        // The scale mode and auto-scale toggles sit in the Y-axis area
+        const toggledPlotId = this.getScaleModeToggleAt(mouseX, mouseY);
+        if (toggledPlotId) {
+            this.cycleScaleMode(toggledPlotId);
+            return;
+        }
+        const autoScalePlotId = this.getAutoScaleToggleAt(mouseX, mouseY);
+        if (autoScalePlotId) {
+            this.setAutoScale(autoScalePlotId, !this.isAutoScale(autoScalePlotId));
+            return;
+        }
+
         // First check if clicking in Y-axis area
         for (const plot of this.options.plots) {
             if (plot.overlay) continue;
@@ -987,6 +2027,8 @@ class StockChart {
         // If not resizing or Y-axis dragging, then it's regular dragging
         this.isDragging = true;
         this.lastMouseX = event.clientX;
+        this.lastMouseY = event.clientY;
+        this.draggingPlotId = this.getPlotIdAt(mouseY);
     }
 
     /**
@@ -994,6 +2036,7 @@ class StockChart {
      * @param {MouseEvent} event - The mouse event.
      */
     handleMouseMove(event) {
+        this.isPointerOver = true;
         const rect = this.canvas.getBoundingClientRect();
         const mouseX = event.clientX - rect.left;
         const mouseY = event.clientY - rect.top;
@@ -1009,6 +2052,19 @@ class StockChart {
             return;
         }
 
+        if (this.navigator.isDragging) {
+            this.navigator.handlePointerMove(mouseX);
+            return;
+        }
+
+        if (this.boxZoomSelection) {
+            const mainPlot = this.plotLayoutManager.getPlotLayout('main');
+            this.boxZoomSelection.endX = Math.max(mainPlot.x, Math.min(mainPlot.x + mainPlot.width, mouseX));
+            this.boxZoomSelection.endY = Math.max(mainPlot.y, Math.min(mainPlot.y + mainPlot.height, mouseY));
+            this.render();
+            return;
+        }
+
         // Get the main plot layout for proper positioning
         const mainPlotLayout = this.plotLayoutManager.getPlotLayout('main');
         if (mainPlotLayout) {
@@ -1030,21 +2086,9 @@ class StockChart {
         if (this.isDraggingYAxis && this.resizingPlotId) {
             const deltaY = event.clientY - this.lastMouseY;
             this.lastMouseY = event.clientY;
-            
-            // Get the current plot's scale
-            let plotScale = this.plotScales.get(this.resizingPlotId) || 1.0;
-            
-            // Adjust scale based on drag direction (up = increase, down = decrease)
-            const scaleFactor = Math.exp(-deltaY * 0.01);
-            plotScale *= scaleFactor;
-            
-            // Limit the scale to reasonable bounds
-            plotScale = Math.max(0.1, Math.min(10, plotScale));
-            
-            // Store the new scale
-            this.plotScales.set(this.resizingPlotId, plotScale);
-            
-            this.render();
+
+            // Dragging up zooms in, dragging down zooms out
+            this.zoomPriceRange(this.resizingPlotId, Math.exp(-deltaY * 0.01));
             return;
         }
 
@@ -1084,6 +2128,12 @@ class StockChart {
             const barWidth = mainPlotLayout ? mainPlotLayout.width / this.dataViewport.visibleCount : this.canvas.width / this.dataViewport.visibleCount;
             const scrollAmount = Math.round(deltaX / barWidth);
 
+            // Plots that are not auto-scaled also pan vertically
+            if (this.draggingPlotId && !this.isAutoScale(this.draggingPlotId)) {
+                this.panPriceRange(this.draggingPlotId, event.clientY - this.lastMouseY);
+                this.lastMouseY = event.clientY;
+            }
+
             if (scrollAmount !== 0) {
                 this.dataViewport.scroll(-scrollAmount);
                 this.lastMouseX = event.clientX;
@@ -1092,10 +2142,16 @@ class StockChart {
         } else {
             // Check if mouse is over a resize handle or Y-axis (price area)
             let specialCursor = false;
+            const navigatorCursor = this.options.navigator ? this.navigator.getCursor(mouseX, mouseY) : null;
+            if (navigatorCursor) {
+                this.canvas.style.cursor = navigatorCursor;
+                specialCursor = true;
+            }
             // Use dynamic Y-axis width
             const yAxisWidth = this.plotLayoutManager.yAxisWidth || this.calculateYAxisWidth();
             const nonOverlayPlots = this.options.plots.filter(p => !p.overlay);
             for (const plot of nonOverlayPlots) {
+                if (specialCursor) break;
                 const layout = this.plotLayoutManager.getPlotLayout(plot.id);
                 if (layout) {
                     // Check resize handle
@@ -1136,6 +2192,11 @@ class StockChart {
      * Handles mouse up events.
      */
     handleMouseUp(event) {
+        if (this.boxZoomSelection) {
+            this.completeBoxZoom();
+            return;
+        }
+
         // Complete drawing if in drawing mode
         if (this.drawingPanel.isDrawing) {
             this.drawingPanel.completeDrawing();
@@ -1162,6 +2223,8 @@ class StockChart {
         this.isResizingPlot = false;
         this.isDraggingYAxis = false;
         this.resizingPlotId = null;
+        this.draggingPlotId = null;
+        this.navigator.handlePointerUp();
         this.canvas.style.cursor = 'default';
 
         // Handle double click on Y-axis
@@ -1184,13 +2247,17 @@ class StockChart {
 
                     if (mouseX >= yAxisArea.x && mouseX <= yAxisArea.x + yAxisArea.width &&
                         mouseY >= yAxisArea.y && mouseY <= yAxisArea.y + yAxisArea.height) {
-                        // Reset scale for this plot
-                        this.plotScales.delete(plot.id);
-                        this.render();
-                        break;
+                        // Fit this plot to the visible data again
+                        this.setAutoScale(plot.id, true);
+                        return;
                     }
                 }
             }
+
+            // Elsewhere go back to the range before the last box zoom, or fit the prices again
+            if (this.getPlotIdAt(mouseY) && !this.zoomBack()) {
+                this.resetVerticalScale();
+            }
             return; // Don't emit click event for double click
         }
 
@@ -1207,7 +2274,10 @@ class StockChart {
      * Handles mouse out events.
      */
     handleMouseOut() {
+        this.isPointerOver = false;
         this.isDragging = false;
+        this.navigator.handlePointerUp();
+        this.boxZoomSelection = null;
         this.crosshairX = -1;
         this.crosshairY = -1;
         this.clickHandler.reset();
@@ -1220,6 +2290,7 @@ class StockChart {
      */
     handleMouseWheel(event) {
         event.preventDefault(); // Prevent page scrolling
+        this.stopViewportAnimation();
 
         // Prevent zooming if the chart is frozen
         if (this.drawingPanel.isChartFrozen) {
@@ -1230,23 +2301,11 @@ class StockChart {
         const mouseX = event.clientX - rect.left;
         const mouseY = event.clientY - rect.top;
 
-        // Horizontal zoom (time axis)
-        if (event.ctrlKey) { // Use Ctrl + scroll for vertical zoom
-            const zoomFactor = event.deltaY < 0 ? 1.1 : 1 / 1.1;
-            const mainPlotLayout = this.plotLayoutManager.getPlotLayout('main');
-            if (mainPlotLayout) {
-                const currentPriceRange = this.maxPrice - this.minPrice;
-                const newPriceRange = currentPriceRange / zoomFactor;
-
-                // Calculate price at mouse Y position within the main plot
-                // Need to invert getYPixel for this
-                const priceAtMouseY = this.minPrice + (this.maxPrice - this.minPrice) * ((mainPlotLayout.y + mainPlotLayout.height - mouseY) / mainPlotLayout.height);
-
-                // Adjust min/max price to zoom around the mouse Y position
-                this.minPrice = priceAtMouseY - (newPriceRange * ((priceAtMouseY - this.minPrice) / currentPriceRange));
-                this.maxPrice = priceAtMouseY + (newPriceRange * ((this.maxPrice - priceAtMouseY) / currentPriceRange));
+        if (event.ctrlKey) { // Ctrl + scroll zooms the prices of the plot under the mouse
+            const plotId = this.getPlotIdAt(mouseY);
+            if (plotId) {
+                this.zoomPriceRange(plotId, event.deltaY < 0 ? 1.1 : 1 / 1.1, mouseY);
             }
-            this.render();
         } else { // Normal scroll for horizontal zoom
             const zoomFactor = event.deltaY < 0 ? 1.1 : 0.901; //1 / 1.1; // Zoom in or out
             const dataIndexAtMouse = Math.floor(this.crosshairX / (this.canvas.width / this.dataViewport.visibleCount));
@@ -1270,6 +2329,7 @@ class StockChart {
 
     handleTouchStart(event) {
         event.preventDefault();
+        this.stopViewportAnimation();
         const rect = this.canvas.getBoundingClientRect();
 
         // Clear any existing touch hold timer
@@ -1340,6 +2400,27 @@ class StockChart {
             this.lastTouchX = touchX;
             this.lastTouchY = touchY;
 
+            if (this.handleComparisonLegendClick(touchX, touchY)) {
+                return;
+            }
+
+            if (this.options.navigator && this.navigator.handlePointerDown(touchX, touchY)) {
+                // Pressing the navigator is not a click on a candle
+                this.clickHandler.reset();
+                return;
+            }
+
+            const toggledPlotId = this.getScaleModeToggleAt(touchX, touchY);
+            if (toggledPlotId) {
+                this.cycleScaleMode(toggledPlotId);
+                return;
+            }
+            const autoScalePlotId = this.getAutoScaleToggleAt(touchX, touchY);
+            if (autoScalePlotId) {
+                this.setAutoScale(autoScalePlotId, !this.isAutoScale(autoScalePlotId));
+                return;
+            }
+
             // Check for Y-axis touch first
             for (const plot of this.options.plots) {
                 if (plot.overlay) continue;
@@ -1363,9 +2444,8 @@ class StockChart {
                         );
 
                         if (tapLength < 300 && tapDistance < 30) { // 300ms and 30px threshold
-                            // Double tap detected - reset scale
-                            this.plotScales.delete(plot.id);
-                            this.render();
+                            // Double tap detected - fit the plot to the visible data again
+                            this.setAutoScale(plot.id, true);
                             this.lastTapTime = 0; // Reset to prevent triple tap
                             return;
                         }
@@ -1402,6 +2482,7 @@ class StockChart {
             this.isDragging = true;
             this.lastTouchX = touchX;
             this.lastTouchY = touchY;
+            this.draggingPlotId = this.getPlotIdAt(touchY);
             // Hide crosshair initially
             this.crosshairX = -1;
             this.crosshairY = -1;
@@ -1509,12 +2590,9 @@ class StockChart {
                         const zoomFactor = 1 + (rawZoomFactor - 1) * dampingFactor;
                         
                         if (verticalChange > horizontalChange * 1.2) { // Slight bias towards horizontal
-                            // Vertical pinch - adjust price scale with improved stability
-                            let plotScale = this.plotScales.get(targetPlotId) || 1.0;
+                            // Vertical pinch - zoom the prices around the pinch center
                             const verticalZoomFactor = Math.exp((zoomFactor - 1) * 0.3); // Exponential scaling
-                            plotScale *= verticalZoomFactor;
-                            plotScale = Math.max(0.1, Math.min(10, plotScale));
-                            this.plotScales.set(targetPlotId, plotScale);
+                            this.zoomPriceRange(targetPlotId, verticalZoomFactor, smoothedPinchCenterY);
                         } else {
                             // Horizontal pinch - adjust time scale with improved stability
                             const zoomStrength = 0.02; // Further reduced for smoother zooming
@@ -1539,6 +2617,11 @@ class StockChart {
             const touchX = touch.clientX - rect.left;
             const touchY = touch.clientY - rect.top;
 
+            if (this.navigator.isDragging) {
+                this.navigator.handlePointerMove(touchX);
+                return;
+            }
+
             // Get the main plot layout for proper positioning
             const mainPlotLayout = this.plotLayoutManager.getPlotLayout('main');
             if (mainPlotLayout) {
@@ -1578,13 +2661,7 @@ class StockChart {
             const deltaY = touchY - this.lastTouchY;
             this.lastTouchY = touchY;
                 
-                let plotScale = this.plotScales.get(this.resizingPlotId) || 1.0;
-                const scaleFactor = Math.exp(-deltaY * 0.01);
-                plotScale *= scaleFactor;
-                plotScale = Math.max(0.1, Math.min(10, plotScale));
-                this.plotScales.set(this.resizingPlotId, plotScale);
-                
-                this.render();
+                this.zoomPriceRange(this.resizingPlotId, Math.exp(-deltaY * 0.01));
             } else if (this.isResizingPlot) {
                 const deltaY = touchY - this.lastTouchY;
                 this.lastTouchY = touchY;
@@ -1626,6 +2703,12 @@ class StockChart {
 
                 // Handle dragging and crosshair modes
                 if (!this.isCrosshairMode) {
+                    // Plots that are not auto-scaled also pan vertically
+                    if (this.draggingPlotId && !this.isAutoScale(this.draggingPlotId)) {
+                        this.panPriceRange(this.draggingPlotId, touchY - this.lastTouchY);
+                        this.lastTouchY = touchY;
+                    }
+
                     // In dragging mode, only scroll if not in crosshair mode
                     if (scrollAmount !== 0) {
                         this.dataViewport.scroll(-scrollAmount);
@@ -1692,6 +2775,8 @@ class StockChart {
             this.isResizingPlot = false;
             this.isDraggingYAxis = false;
             this.resizingPlotId = null;
+            this.draggingPlotId = null;
+            this.navigator.handlePointerUp();
             this.isPinching = false;
             this.initialPinchDistance = 0;
             this.lastPinchDistance = 0;
@@ -1775,13 +2860,14 @@ class StockChart {
         this.ctx.font = `${fontSize}px Arial`;
         this.ctx.textAlign = 'center';
         
-        // Position labels just above bottom margin
-        const xAxisY = this.canvas.height - fontSize;
+        // Position labels just above bottom margin, the navigator is below them
+        const xAxisY = this.canvas.height - this.plotLayoutManager.navigatorHeight - fontSize;
 
         // Get date range for format selection
         const lastDate = new Date(visibleData[0].time * 1000);
         const firstDate = new Date(visibleData[visibleData.length - 1].time * 1000);
         const daysDiff = (lastDate.getTime() - firstDate.getTime()) / (1000 * 60 * 60 * 24);
+        const isIntraday = this.isIntradayOnScreen();
 
         // Helper function to format date based on range and available space
         const formatDate = (date) => {
@@ -1817,11 +2903,16 @@ class StockChart {
                 barWidth
             );
 
-            const date = new Date(dataPoint.time * 1000);
-            const year = date.getFullYear();
-            const month = String(date.getMonth() + 1).padStart(2, '0'); // getMonth() returns 0-11
-            const day = String(date.getDate()).padStart(2, '0');
-            const label = `${year}/${month}/${day}`;
+            const parts = getDateParts(dataPoint.time, this.getCalendarOptions().timezone);
+            const year = parts.year;
+            const month = String(parts.month).padStart(2, '0');
+            const day = String(parts.day).padStart(2, '0');
+            let label = `${year}/${month}/${day}`;
+            if (isIntraday) {
+                // Time of day, with the date when the visible bars span more than one day
+                const time = this.formatTimeOfDay(parts);
+                label = Math.abs(daysDiff) >= 1 ? `${month}/${day} ${time}` : time;
+            }
             
             const labelX = mainPlotLayout.x + x + barWidth / 2;
             // Only draw if the label would be within the plot area
@@ -1851,13 +2942,15 @@ class StockChart {
         const minLabelSpacing = fontSize + 4; // Minimum spacing between labels
         const maxLabels = Math.max(3, Math.min(8, Math.floor(plotLayout.height / minLabelSpacing)));
         const numLabels = Math.min(5, maxLabels);
-        const priceStep = (maxPrice - minPrice) / numLabels;
+        const scaleMode = plotLayout.scaleMode;
+        const baseValue = this.getScaleBaseValue(plotConfig.id);
 
-        // Calculate label positions to avoid overlap
+        // Calculate label positions to avoid overlap.
+        // Labels are evenly spaced in pixels, so a log scale gets evenly spaced ratios.
         const labels = [];
         for (let i = 0; i <= numLabels; i++) {
-            const price = minPrice + (i * priceStep);
-            const y = getYPixel(price, minPrice, maxPrice, plotLayout.height, plotLayout.y);
+            const y = plotLayout.y + plotLayout.height - (i * plotLayout.height / numLabels);
+            const price = getValueBasedOnY(y, plotLayout.y, plotLayout.height, minPrice, maxPrice, scaleMode);
             labels.push({ price, y });
         }
 
@@ -1901,7 +2994,9 @@ class StockChart {
 
             // Format label based on value magnitude
             let label;
-            if (plotConfig.type === 'volume') {
+            if (scaleMode === ScaleMode.PERCENT || scaleMode === ScaleMode.INDEXED) {
+                label = this.formatScaleValue(price, scaleMode, baseValue);
+            } else if (plotConfig.type === 'volume') {
                 if (price >= 1000000) {
                     label = (price / 1000000).toFixed(1) + 'M';
                 } else if (price >= 1000) {
@@ -1936,41 +3031,844 @@ class StockChart {
         this.ctx.moveTo(plotLayout.x + plotLayout.width, plotLayout.y);
         this.ctx.lineTo(plotLayout.x + plotLayout.width, plotLayout.y + plotLayout.height);
         this.ctx.stroke();
+
+        this.drawScaleModeToggle(plotConfig, plotLayout);
+        this.drawAutoScaleToggle(plotConfig, plotLayout);
     }
 
     /**
-     * Displays price and indicator information at the crosshair position.
+     * Area of the scale mode toggle at the bottom of a plot's price axis.
+     * @private
+     * @param {import('./stock-chart.d.ts').PlotLayout} plotLayout - The layout of the plot
+     * @returns {{x: number, y: number, width: number, height: number}}
      */
+    getScaleModeToggleRect(plotLayout) {
+        return {
+            x: plotLayout.x + plotLayout.width + 4,
+            y: plotLayout.y + plotLayout.height - 16,
+            width: 30,
+            height: 14
+        };
+    }
 
     /**
-     * Draws arrow lines connecting points with the same ID
-     * @param {Array<Object>} plotVisibleData - The visible data points for the plot.
-     * @param {import('./stock-chart.d.ts').PlotLayout} plotLayout - The layout information for the plot.
-     * @param {number} barWidth - The width of each bar in the plot.
-     * @param {number} minPrice - The minimum price in the visible data range.
-     * @param {number} maxPrice - The maximum price in the visible data range.
+     * Draws the toggle that cycles the price scale mode of a plot.
+     * Volume plots always use a linear scale and have no toggle.
+     * @private
+     * @param {PlotConfig} plotConfig - The plot configuration
+     * @param {import('./stock-chart.d.ts').PlotLayout} plotLayout - The layout of the plot
      */
-    drawArrowLines(plotVisibleData, plotLayout, barWidth, minPrice, maxPrice) {
-        // Group points by ID
-        const groupedPoints = new Map();
-        const flat = plotVisibleData.flat();
-        flat.filter(d => d).forEach(point => {
-            if (!point || !point.id) return;
-            if (!groupedPoints.has(point.id)) {
-                groupedPoints.set(point.id, []);
-            }
-            groupedPoints.get(point.id).push(point);
-        });
+    drawScaleModeToggle(plotConfig, plotLayout) {
+        if (plotConfig.type === 'volume') return;
 
-        const firstVisible = flat.find(d => d);
-        const lastVisible = [...flat].reverse().find(d => d);
+        const labels = { linear: 'LIN', log: 'LOG', percent: '%', indexed: '100' };
+        const rect = this.getScaleModeToggleRect(plotLayout);
+        const isActive = plotLayout.scaleMode !== ScaleMode.LINEAR;
 
-        const visibleTimeRange = {
-            start: firstVisible ? firstVisible.time : 0,
-            end: lastVisible ? lastVisible.time : 0
-        };
+        this.ctx.save();
+        this.ctx.fillStyle = isActive ? this.currentTheme.gridColor : this.currentTheme.chartAreaBackground;
+        this.ctx.fillRect(rect.x, rect.y, rect.width, rect.height);
+        this.ctx.strokeStyle = this.currentTheme.gridColor;
+        this.ctx.lineWidth = 1;
+        this.ctx.strokeRect(rect.x, rect.y, rect.width, rect.height);
+        this.ctx.fillStyle = this.currentTheme.textColor;
+        this.ctx.font = '9px Arial';
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'middle';
+        this.ctx.fillText(labels[plotLayout.scaleMode] || labels.linear, rect.x + rect.width / 2, rect.y + rect.height / 2);
+        this.ctx.restore();
+    }
 
-        const predictionX = new Set();
+    /**
+     * Finds the plot whose scale mode toggle is at the given position.
+     * @private
+     * @param {number} x - The x-coordinate on the canvas
+     * @param {number} y - The y-coordinate on the canvas
+     * @returns {string|null} The plot id, or null when the position is not on a toggle
+     */
+    getScaleModeToggleAt(x, y) {
+        for (const plot of this.options.plots) {
+            if (plot.overlay || plot.type === 'volume') continue;
+            const layout = this.plotLayoutManager.getPlotLayout(plot.id);
+            if (!layout) continue;
+            const rect = this.getScaleModeToggleRect(layout);
+            if (x >= rect.x && x <= rect.x + rect.width && y >= rect.y && y <= rect.y + rect.height) {
+                return plot.id;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Area of the auto-scale toggle, above the scale mode toggle.
+     * @private
+     * @param {PlotLayout} plotLayout - The layout of the plot
+     * @returns {{x: number, y: number, width: number, height: number}}
+     */
+    getAutoScaleToggleRect(plotLayout) {
+        const scaleModeRect = this.getScaleModeToggleRect(plotLayout);
+        return { ...scaleModeRect, y: scaleModeRect.y - scaleModeRect.height - 2 };
+    }
+
+    /**
+     * Draws the toggle that turns auto-scaling of a plot on and off, highlighted while it is on.
+     * Volume plots have no scale mode toggle, so theirs takes its place.
+     * @private
+     * @param {PlotConfig} plotConfig - The plot configuration
+     * @param {PlotLayout} plotLayout - The layout of the plot
+     */
+    drawAutoScaleToggle(plotConfig, plotLayout) {
+        const rect = plotConfig.type === 'volume' ? this.getScaleModeToggleRect(plotLayout) : this.getAutoScaleToggleRect(plotLayout);
+        if (rect.y < plotLayout.y) return;
+
+        this.ctx.save();
+        this.ctx.fillStyle = this.isAutoScale(plotConfig.id) ? this.currentTheme.gridColor : this.currentTheme.chartAreaBackground;
+        this.ctx.fillRect(rect.x, rect.y, rect.width, rect.height);
+        this.ctx.strokeStyle = this.currentTheme.gridColor;
+        this.ctx.lineWidth = 1;
+        this.ctx.strokeRect(rect.x, rect.y, rect.width, rect.height);
+        this.ctx.fillStyle = this.currentTheme.textColor;
+        this.ctx.font = '9px Arial';
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'middle';
+        this.ctx.fillText('AUTO', rect.x + rect.width / 2, rect.y + rect.height / 2);
+        this.ctx.restore();
+    }
+
+    /**
+     * Finds the plot whose auto-scale toggle is at the given position.
+     * @private
+     * @param {number} x - The x-coordinate on the canvas
+     * @param {number} y - The y-coordinate on the canvas
+     * @returns {string|null} The plot id, or null when the position is not on a toggle
+     */
+    getAutoScaleToggleAt(x, y) {
+        for (const plot of this.options.plots) {
+            if (plot.overlay) continue;
+            const layout = this.plotLayoutManager.getPlotLayout(plot.id);
+            if (!layout) continue;
+            const rect = plot.type === 'volume' ? this.getScaleModeToggleRect(layout) : this.getAutoScaleToggleRect(layout);
+            if (rect.y >= layout.y && x >= rect.x && x <= rect.x + rect.width && y >= rect.y && y <= rect.y + rect.height) {
+                return plot.id;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Finds the non-overlay plot at a y-coordinate.
+     * @private
+     * @param {number} y - The y-coordinate on the canvas
+     * @returns {string|null} The plot id
+     */
+    getPlotIdAt(y) {
+        const plot = this.options.plots.find(p => {
+            if (p.overlay) return false;
+            const layout = this.plotLayoutManager.getPlotLayout(p.id);
+            return layout && y >= layout.y && y <= layout.y + layout.height;
+        });
+        return plot ? plot.id : null;
+    }
+
+    /**
+     * Gives a plot a fixed price range. It stays until the plot is auto-scaled again,
+     * by setAutoScale(), the AUTO toggle or double-clicking the price axis.
+     * @param {string} plotId - The id of a non-overlay plot
+     * @param {number} minPrice - The price at the bottom of the plot
+     * @param {number} maxPrice - The price at the top of the plot
+     * @public
+     */
+    setPriceRange(plotId, minPrice, maxPrice) {
+        if (!this.options.plots.some(p => p.id === plotId && !p.overlay)) {
+            console.error(`StockChart: setPriceRange found no plot with id '${plotId}'`);
+            return;
+        }
+        if (!isFinite(minPrice) || !isFinite(maxPrice) || minPrice >= maxPrice) {
+            console.error('StockChart: setPriceRange needs finite prices with minPrice below maxPrice');
+            return;
+        }
+
+        this.manualPriceRanges.set(plotId, { minPrice, maxPrice });
+        this.render();
+        this.emit('priceRangeChange', { plotId, minPrice, maxPrice, autoScale: false });
+    }
+
+    /**
+     * Gets the price range a plot is drawn with.
+     * @param {string} plotId - The plot id
+     * @returns {{minPrice: number, maxPrice: number} | null} null when there is no such plot
+     * @public
+     */
+    getPriceRange(plotId) {
+        const plot = this.options.plots.find(p => p.id === plotId && !p.overlay);
+        if (!plot) return null;
+        const plotVisibleData = plot.data.slice(this.dataViewport.startIndex, this.dataViewport.startIndex + this.dataViewport.visibleCount);
+        return this.calculatePriceRange(plot, plotVisibleData, this.dataViewport);
+    }
+
+    /**
+     * Turns fitting a plot to the visible data on or off. Turning it off keeps the current range.
+     * @param {string} plotId - The id of a non-overlay plot
+     * @param {boolean} [enabled=true] - Whether the plot is auto-scaled
+     * @public
+     */
+    setAutoScale(plotId, enabled = true) {
+        if (enabled) {
+            if (!this.manualPriceRanges.delete(plotId)) return;
+            this.render();
+            const { minPrice, maxPrice } = this.getPriceRange(plotId) || {};
+            this.emit('priceRangeChange', { plotId, minPrice, maxPrice, autoScale: true });
+        } else if (this.isAutoScale(plotId)) {
+            const range = this.getPriceRange(plotId);
+            if (range) {
+                this.setPriceRange(plotId, range.minPrice, range.maxPrice);
+            }
+        }
+    }
+
+    /**
+     * Whether a plot is fitted to the visible data.
+     * @param {string} plotId - The plot id
+     * @returns {boolean}
+     * @public
+     */
+    isAutoScale(plotId) {
+        return !this.manualPriceRanges.has(plotId);
+    }
+
+    /**
+     * Zooms the prices of a plot, turning off its auto-scaling.
+     * @private
+     * @param {string} plotId - The id of a non-overlay plot
+     * @param {number} factor - Above 1 zooms in, below 1 zooms out
+     * @param {number} [anchorY] - The y-coordinate that stays at its price, the middle of the plot by default
+     */
+    zoomPriceRange(plotId, factor, anchorY) {
+        const layout = this.plotLayoutManager.getPlotLayout(plotId);
+        const range = this.getPriceRange(plotId);
+        if (!layout || !range || !(factor > 0)) return;
+
+        // On a log scale zoom works on ratios, like the padding in calculatePriceRange
+        const isLog = layout.scaleMode === ScaleMode.LOG && range.minPrice > 0;
+        const toScale = isLog ? Math.log : (value => value);
+        const fromScale = isLog ? Math.exp : (value => value);
+        const scaledMin = toScale(range.minPrice);
+        const scaledMax = toScale(range.maxPrice);
+        const anchor = anchorY === undefined ? (scaledMin + scaledMax) / 2 :
+            toScale(getValueBasedOnY(anchorY, layout.y, layout.height, range.minPrice, range.maxPrice, layout.scaleMode));
+
+        this.setPriceRange(plotId, fromScale(anchor + (scaledMin - anchor) / factor), fromScale(anchor + (scaledMax - anchor) / factor));
+    }
+
+    /**
+     * Moves the prices of a plot with a vertical drag, turning off its auto-scaling.
+     * @private
+     * @param {string} plotId - The id of a non-overlay plot
+     * @param {number} deltaY - Pixels dragged, positive is down
+     */
+    panPriceRange(plotId, deltaY) {
+        const layout = this.plotLayoutManager.getPlotLayout(plotId);
+        const range = this.getPriceRange(plotId);
+        if (!layout || !range || deltaY === 0 || layout.height === 0) return;
+
+        const isLog = layout.scaleMode === ScaleMode.LOG && range.minPrice > 0;
+        const toScale = isLog ? Math.log : (value => value);
+        const fromScale = isLog ? Math.exp : (value => value);
+        const shift = (toScale(range.maxPrice) - toScale(range.minPrice)) * deltaY / layout.height;
+
+        this.setPriceRange(plotId, fromScale(toScale(range.minPrice) + shift), fromScale(toScale(range.maxPrice) + shift));
+    }
+
+    /**
+     * The value of the first visible bar of a plot, which the percent and indexed scales are relative to.
+     * @private
+     * @param {string} plotId - The plot id
+     * @returns {number|null}
+     */
+    getScaleBaseValue(plotId) {
+        const plot = this.options.plots.find(p => p.id === plotId);
+        const data = plot?.data?.length ? plot.data : this.dataViewport.allData;
+        const endIndex = Math.min(data.length, this.dataViewport.startIndex + this.dataViewport.visibleCount);
+
+        for (let i = this.dataViewport.startIndex; i < endIndex; i++) {
+            const value = data[i]?.close ?? data[i]?.value;
+            if (typeof value === 'number' && isFinite(value) && value !== 0) {
+                return value;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Formats a price as shown on a percent or indexed price axis.
+     * @private
+     * @param {number} price - The price
+     * @param {string} scaleMode - ScaleMode.PERCENT or ScaleMode.INDEXED
+     * @param {number|null} baseValue - The value of the first visible bar
+     * @returns {string}
+     */
+    formatScaleValue(price, scaleMode, baseValue) {
+        const value = toScaleValue(price, scaleMode, baseValue);
+        if (scaleMode === ScaleMode.PERCENT) {
+            return `${value > 0 ? '+' : ''}${value.toFixed(2)}%`;
+        }
+        return value.toFixed(2);
+    }
+
+    /**
+     * Sets the price scale mode of a plot. Overlays follow the mode of the plot they are drawn on.
+     * @param {string} plotId - The id of a non-overlay plot
+     * @param {'linear'|'log'|'percent'|'indexed'} scaleMode - The scale mode
+     * @public
+     */
+    setScaleMode(plotId, scaleMode) {
+        const plot = this.options.plots.find(p => p.id === plotId && !p.overlay);
+        if (!plot) {
+            console.error(`StockChart: setScaleMode found no plot with id '${plotId}'`);
+            return;
+        }
+        if (!Object.values(ScaleMode).includes(scaleMode)) {
+            console.error(`StockChart: Unknown scale mode '${scaleMode}'`);
+            return;
+        }
+
+        const previousMode = plot.scaleMode || ScaleMode.LINEAR;
+        if (previousMode === scaleMode) return;
+
+        plot.scaleMode = scaleMode;
+        // Percent labels can be wider than prices
+        const yAxisWidth = this.calculateYAxisWidth();
+        this.plotLayoutManager.updateCanvasDimensions(this.canvas.width, this.canvas.height, yAxisWidth);
+        this.plotLayoutManager.updatePlotConfigurations(this.options.plots);
+        this.render();
+        this.emit('scaleModeChange', { plotId, scaleMode, previousMode });
+    }
+
+    /**
+     * Gets the price scale mode of a plot.
+     * @param {string} plotId - The plot id
+     * @returns {'linear'|'log'|'percent'|'indexed'}
+     * @public
+     */
+    getScaleMode(plotId) {
+        const plot = this.options.plots.find(p => p.id === plotId);
+        return plot?.scaleMode || ScaleMode.LINEAR;
+    }
+
+    /**
+     * Switches a plot to the next scale mode: linear, log, percent, indexed.
+     * @private
+     * @param {string} plotId - The plot id
+     */
+    cycleScaleMode(plotId) {
+        const modes = Object.values(ScaleMode);
+        const index = modes.indexOf(this.getScaleMode(plotId));
+        this.setScaleMode(plotId, modes[(index + 1) % modes.length]);
+    }
+
+    /**
+     * Sets how the main plot draws its bars. Drawings and indicators are kept.
+     * Renko, Kagi, Point & Figure and line break build their own bars from the
+     * original data, so switching to or from them resets the visible range.
+     * @param {import('./stock-chart.d.ts').ChartType} chartType - The chart type
+     * @param {Object} [settings] - Settings of a Renko, Kagi, Point & Figure or line break chart,
+     *   merged into the chartTypeSettings option
+     * @public
+     */
+    setChartType(chartType, settings) {
+        const mainPlot = this.options.plots.find(p => p.id === 'main');
+        if (!mainPlot) return;
+        if (!Object.prototype.hasOwnProperty.call(CHART_TYPES, chartType)) {
+            console.error(`StockChart: Unknown chart type '${chartType}'`);
+            return;
+        }
+
+        if (settings) {
+            this.options.chartTypeSettings = {
+                ...this.options.chartTypeSettings,
+                [chartType]: { ...this.options.chartTypeSettings?.[chartType], ...settings }
+            };
+        }
+
+        const previousChartType = mainPlot.type;
+        if (previousChartType === chartType && !(settings && isPriceChartType(chartType))) return;
+
+        mainPlot.type = chartType;
+        if (isPriceChartType(chartType) || isPriceChartType(previousChartType)) {
+            // Bricks and columns have bars of their own, so the main plot is rebuilt like on a timeframe change
+            this.handleTimeframeChange(this.timeframeOnScreen);
+        } else {
+            // Line types use the closes only, which changes the price range
+            const yAxisWidth = this.calculateYAxisWidth();
+            this.plotLayoutManager.updateCanvasDimensions(this.canvas.width, this.canvas.height, yAxisWidth);
+            this.plotLayoutManager.updatePlotConfigurations(this.options.plots);
+            this.render();
+        }
+
+        if (previousChartType !== chartType) {
+            this.emit('chartTypeChange', { chartType, previousChartType });
+        }
+    }
+
+    /**
+     * Gets how the main plot draws its bars.
+     * @returns {ChartType}
+     * @public
+     */
+    getChartType() {
+        return /** @type {ChartType} */ (this.options.plots.find(p => p.id === 'main')?.type);
+    }
+
+    /**
+     * Shows or hides the navigator below the X-axis: the whole history as a small area chart
+     * with a window over the visible range. Drag the window to scroll and its edges to zoom.
+     * @param {boolean|{height?: number}} options - true for the default height, the height in pixels, or false to hide it
+     * @public
+     */
+    setNavigator(options) {
+        this.options.navigator = options === true ? {} : (options || false);
+        this.navigator.handlePointerUp();
+        this.resize();
+        this.render();
+    }
+
+    /**
+     * @private
+     * @returns {number} Height of the navigator in pixels, 0 while it is hidden
+     */
+    getNavigatorHeight() {
+        const navigator = this.options.navigator;
+        if (!navigator) return 0;
+        const height = typeof navigator === 'object' ? navigator.height : undefined;
+        return height > 0 ? height : NAVIGATOR_DEFAULT_HEIGHT;
+    }
+
+    /**
+     * Shows the volume at price of the visible bars on the right side of the main plot.
+     * It is recalculated as the chart scrolls and zooms.
+     * @param {boolean|import('./stock-chart.d.ts').VolumeProfileOptions} options - true for the defaults,
+     *   rows, valueAreaPercent, width and colors, or false to hide it
+     * @public
+     */
+    setVolumeProfile(options) {
+        this.options.volumeProfile = options === true ? {} : (options || false);
+        this.render();
+    }
+
+    /**
+     * Gets the volume profile of the visible bars of the main plot.
+     * @returns {import('./stock-chart.d.ts').VolumeProfile | null} null while it is hidden or the bars have no volume
+     * @public
+     */
+    getVolumeProfile() {
+        if (!this.options.volumeProfile) return null;
+        return calculateVolumeProfile(this.getVisibleMainBars(), this.getVolumeProfileOptions());
+    }
+
+    /**
+     * @private
+     * @returns {import('./stock-chart.d.ts').VolumeProfileOptions} The volumeProfile option with the defaults filled in
+     */
+    getVolumeProfileOptions() {
+        return { ...VOLUME_PROFILE_DEFAULTS, ...(typeof this.options.volumeProfile === 'object' ? this.options.volumeProfile : {}) };
+    }
+
+    /**
+     * @private
+     * @returns {Array<StockData>} The visible bars of the main plot
+     */
+    getVisibleMainBars() {
+        const mainPlot = this.options.plots.find(p => p.id === 'main');
+        if (!mainPlot) return [];
+        return mainPlot.data.slice(this.dataViewport.startIndex, this.dataViewport.startIndex + this.dataViewport.visibleCount);
+    }
+
+    /**
+     * Draws the visible range volume profile on the right side of the main plot.
+     * @private
+     * @param {PlotLayout} mainPlotLayout - The layout of the main plot
+     * @param {{minPrice: number, maxPrice: number}} priceRange - The price range of the main plot
+     */
+    drawVisibleVolumeProfile(mainPlotLayout, priceRange) {
+        const options = this.getVolumeProfileOptions();
+        const profile = calculateVolumeProfile(this.getVisibleMainBars(), options);
+        if (!profile || !priceRange) return;
+
+        const { minPrice, maxPrice } = priceRange;
+        const toY = price => getYPixel(price, minPrice, maxPrice, mainPlotLayout.height, mainPlotLayout.y, mainPlotLayout.scaleMode);
+        drawVolumeProfile(this.ctx, profile, mainPlotLayout, toY, options, this.currentTheme);
+    }
+
+    /**
+     * Opens or closes the chart type menu next to the toolbar button.
+     * @private
+     * @param {HTMLElement} button - The chart type button
+     */
+    toggleChartTypeMenu(button) {
+        if (this.chartTypeMenu) {
+            this.chartTypeMenu.remove();
+            this.chartTypeMenu = null;
+            return;
+        }
+
+        const isMobile = window.innerWidth <= this.mobileSize;
+        const menu = document.createElement('div');
+        menu.style.position = 'absolute';
+        if (isMobile) {
+            // The toolbar sits below the chart on mobile
+            menu.style.left = button.offsetLeft + 'px';
+            menu.style.bottom = '0px';
+        } else {
+            menu.style.left = this.toolbar.offsetWidth + 'px';
+            menu.style.top = button.offsetTop + 'px';
+        }
+        menu.style.display = 'flex';
+        menu.style.flexDirection = 'column';
+        menu.style.padding = '4px';
+        menu.style.backgroundColor = this.currentTheme?.background || '#ffffff';
+        menu.style.border = '1px solid ' + (this.currentTheme?.gridColor || '#e0e0e0');
+        menu.style.borderRadius = '4px';
+        menu.style.zIndex = '1001';
+
+        Object.entries(CHART_TYPES).forEach(([chartType, label]) => {
+            const item = document.createElement('button');
+            item.textContent = label;
+            item.style.border = 'none';
+            item.style.borderRadius = '4px';
+            item.style.padding = '6px 10px';
+            item.style.textAlign = 'left';
+            item.style.whiteSpace = 'nowrap';
+            item.style.cursor = 'pointer';
+            item.style.color = this.currentTheme?.textColor || '#000000';
+            item.style.fontWeight = chartType === this.getChartType() ? 'bold' : 'normal';
+            item.style.backgroundColor = 'transparent';
+            item.addEventListener('mouseover', () => {
+                item.style.backgroundColor = this.currentTheme?.gridColor || '#e0e0e0';
+            });
+            item.addEventListener('mouseout', () => {
+                item.style.backgroundColor = 'transparent';
+            });
+            item.addEventListener('click', () => {
+                this.toggleChartTypeMenu(button);
+                this.setChartType(/** @type {ChartType} */ (chartType));
+            });
+            menu.appendChild(item);
+        });
+
+        this.wrapper.appendChild(menu);
+        this.chartTypeMenu = menu;
+    }
+
+    /**
+     * Overlays another symbol on the main plot, e.g. an index or a sector ETF.
+     * Its bars are aligned with the main bars by time, not by index, and the line starts
+     * at the main series at the first visible bar. The first comparison switches the main
+     * price axis to percent mode. Adding a symbol key again replaces its bars.
+     * @param {string} symbolKey - Unique key of the comparison, shown in the legend
+     * @param {Array<StockData|{time: number, value: number}>} bars - Bars of the other symbol
+     * @param {{lineColor?: string, lineWidth?: number}} [style] - Line style, a color is picked when omitted
+     * @public
+     */
+    addComparison(symbolKey, bars, style = {}) {
+        if (typeof symbolKey !== 'string' || !symbolKey) {
+            console.error('StockChart: addComparison expects a non-empty symbol key');
+            return;
+        }
+        if (!Array.isArray(bars)) {
+            console.error('StockChart: addComparison expects an array of bars');
+            return;
+        }
+
+        const existing = this.comparisons.get(symbolKey);
+        const lineColor = style.lineColor || existing?.style.lineColor ||
+            COMPARISON_COLORS[this.comparisons.size % COMPARISON_COLORS.length];
+
+        this.comparisons.set(symbolKey, {
+            symbolKey,
+            // Bars with only a value are read as closes, so they aggregate like the main bars
+            bars: bars
+                .filter(bar => bar && typeof bar.time === 'number' && typeof ('close' in bar ? bar.close : bar.value) === 'number')
+                .map(bar => 'close' in bar ? bar :
+                    { time: bar.time, open: bar.value, high: bar.value, low: bar.value, close: bar.value })
+                .sort((a, b) => a.time - b.time),
+            style: { lineWidth: 1.5, ...existing?.style, ...style, lineColor },
+            visible: existing?.visible ?? true,
+            // Bars in the timeframe on screen, filled in by syncComparisonPlots
+            timeframe: null,
+            displayBars: []
+        });
+        this.syncComparisonPlots();
+
+        if (!existing && this.comparisons.size === 1) {
+            this.scaleModeBeforeComparison = this.getScaleMode('main');
+            if (this.scaleModeBeforeComparison !== ScaleMode.PERCENT) {
+                this.setScaleMode('main', ScaleMode.PERCENT);
+                return;
+            }
+        }
+        this.render();
+    }
+
+    /**
+     * Removes a comparison. Removing the last one restores the main price axis mode
+     * from before the first comparison was added, unless it was changed since.
+     * @param {string} symbolKey - The key given to addComparison
+     * @public
+     */
+    removeComparison(symbolKey) {
+        if (!this.comparisons.delete(symbolKey)) {
+            console.warn(`StockChart: No comparison '${symbolKey}' to remove`);
+            return;
+        }
+
+        this.options.plots = this.options.plots.filter(plot => plot.comparison !== symbolKey);
+        this.plotLayoutManager.updatePlotConfigurations(this.options.plots);
+
+        if (this.comparisons.size === 0 && this.getScaleMode('main') === ScaleMode.PERCENT &&
+            this.scaleModeBeforeComparison && this.scaleModeBeforeComparison !== ScaleMode.PERCENT) {
+            this.setScaleMode('main', this.scaleModeBeforeComparison);
+            return;
+        }
+        this.render();
+    }
+
+    /**
+     * Shows or hides a comparison without removing it, like clicking its legend entry.
+     * @param {string} symbolKey - The key given to addComparison
+     * @param {boolean} visible - Whether the comparison line is drawn
+     * @public
+     */
+    setComparisonVisible(symbolKey, visible) {
+        const comparison = this.comparisons.get(symbolKey);
+        if (!comparison) {
+            console.warn(`StockChart: No comparison '${symbolKey}'`);
+            return;
+        }
+
+        comparison.visible = !!visible;
+        this.render();
+    }
+
+    /**
+     * Gets the comparisons in the order they were added.
+     * @returns {Array<{symbolKey: string, style: {lineColor: string, lineWidth: number}, visible: boolean}>}
+     * @public
+     */
+    getComparisons() {
+        return [...this.comparisons.values()].map(({ symbolKey, style, visible }) => ({ symbolKey, style: { ...style }, visible }));
+    }
+
+    /**
+     * Keeps one overlay plot per comparison and aligns its values with the main bars by time.
+     * Called whenever the main plot data is replaced, e.g. on a timeframe change.
+     * @private
+     * @param {string} [timeframe] - The timeframe of the main plot data
+     */
+    syncComparisonPlots(timeframe = this.timeframeOnScreen) {
+        const mainPlot = this.options.plots.find(p => p.id === 'main');
+        if (!mainPlot || this.comparisons.size === 0) return;
+
+        let addedPlot = false;
+        this.comparisons.forEach(comparison => {
+            if (comparison.timeframe !== timeframe) {
+                comparison.timeframe = timeframe;
+                comparison.displayBars = timeframe === this.getBaseTimeframe() ?
+                    comparison.bars :
+                    this.aggregateForTimeframe(comparison.bars, timeframe);
+            }
+
+            let plot = this.options.plots.find(p => p.comparison === comparison.symbolKey);
+            if (!plot) {
+                plot = {
+                    id: `comparison_${comparison.symbolKey}`,
+                    type: 'line',
+                    overlay: true,
+                    targetId: 'main',
+                    heightRatio: 0,
+                    keyLabel: comparison.symbolKey,
+                    comparison: comparison.symbolKey,
+                    data: []
+                };
+                this.options.plots.push(plot);
+                addedPlot = true;
+            }
+            plot.style = comparison.style;
+            plot.data = mainPlot.data.map(bar => ({ time: bar.time, value: this.getComparisonValue(comparison, bar.time) }));
+        });
+
+        if (addedPlot) {
+            this.plotLayoutManager.updatePlotConfigurations(this.options.plots);
+        }
+    }
+
+    /**
+     * Close of a comparison at a main bar time: the bar at or before that time.
+     * Gaps such as holidays are filled with the previous close, but the value is
+     * null before the first bar and once the main bars run ahead of the comparison.
+     * @private
+     * @param {Object} comparison - The comparison entry
+     * @param {number} time - The time of a main bar
+     * @returns {number|null}
+     */
+    getComparisonValue(comparison, time) {
+        const bars = comparison.displayBars;
+        const index = findIndexAtOrBeforeTime(bars, time);
+        if (index === -1) return null;
+
+        const barSeconds = getIntradaySeconds(comparison.timeframe) ?? 24 * 60 * 60;
+        if (index === bars.length - 1 && time - bars[index].time >= barSeconds) return null;
+
+        return bars[index].close;
+    }
+
+    /**
+     * The first visible value of a comparison plot, which its line and legend change are relative to.
+     * @private
+     * @param {PlotConfig} plotConfig - The comparison plot
+     * @returns {number|null}
+     */
+    getComparisonBaseValue(plotConfig) {
+        const endIndex = Math.min(plotConfig.data.length, this.dataViewport.startIndex + this.dataViewport.visibleCount);
+        for (let i = this.dataViewport.startIndex; i < endIndex; i++) {
+            const value = plotConfig.data[i]?.value;
+            if (typeof value === 'number' && isFinite(value) && value !== 0) {
+                return value;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Visible values of a comparison plot in main plot prices. The line is rescaled to start
+     * at the first visible main close, so on a percent axis it reads as its own change.
+     * @private
+     * @param {PlotConfig} plotConfig - The comparison plot
+     * @returns {Array<{time: number, value: number|null}>}
+     */
+    getComparisonVisibleData(plotConfig) {
+        const mainBase = this.getScaleBaseValue('main');
+        const base = this.getComparisonBaseValue(plotConfig);
+        if (mainBase === null || base === null) return [];
+
+        return plotConfig.data
+            .slice(this.dataViewport.startIndex, this.dataViewport.startIndex + this.dataViewport.visibleCount)
+            .map(point => ({ time: point.time, value: point.value === null ? null : point.value * mainBase / base }));
+    }
+
+    /**
+     * Draws a legend line per comparison with its value at the crosshair and its change
+     * since the first visible bar. Clicking the name toggles the line, the cross removes it.
+     * @private
+     * @param {import('./stock-chart.d.ts').PlotLayout} plotLayout - The layout of the main plot
+     * @param {number} dataIndex - The bar index at the crosshair
+     * @param {number} lineOffset - Legend lines already drawn above
+     */
+    drawComparisonLegend(plotLayout, dataIndex, lineOffset) {
+        const lineHeight = 15;
+        const padding = 10;
+        const isMobile = window.innerWidth <= this.mobileSize;
+
+        this.ctx.save();
+        this.ctx.font = isMobile ? '10px Arial' : '12px Arial';
+        this.ctx.textAlign = 'right';
+        this.ctx.textBaseline = 'alphabetic';
+
+        let line = lineOffset;
+        this.comparisons.forEach(comparison => {
+            const plot = this.options.plots.find(p => p.comparison === comparison.symbolKey);
+            if (!plot) return;
+
+            line++;
+            const textY = plotLayout.y + line * lineHeight;
+            const hitY = textY - lineHeight + 3;
+            let textX = plotLayout.x + plotLayout.width - padding;
+
+            const removeText = '×';
+            const removeWidth = this.ctx.measureText(removeText).width;
+            this.ctx.fillStyle = this.currentTheme.overlayTextColor;
+            this.ctx.fillText(removeText, textX, textY);
+            this.comparisonLegendHits.push({
+                symbolKey: comparison.symbolKey, action: 'remove',
+                x: textX - removeWidth - 3, y: hitY, width: removeWidth + 6, height: lineHeight
+            });
+            textX -= removeWidth + 8;
+
+            const value = plot.data[Math.min(dataIndex, plot.data.length - 1)]?.value;
+            const base = this.getComparisonBaseValue(plot);
+            let label = comparison.symbolKey;
+            if (typeof value === 'number') {
+                label += ` ${value.toFixed(2)}`;
+                if (base !== null) {
+                    label += ` (${this.formatScaleValue(value, ScaleMode.PERCENT, base)})`;
+                }
+            }
+            const labelWidth = this.ctx.measureText(label).width;
+            this.ctx.globalAlpha = comparison.visible ? 1 : 0.4;
+            this.ctx.fillStyle = comparison.style.lineColor;
+            this.ctx.fillText(label, textX, textY);
+            this.ctx.globalAlpha = 1;
+            this.comparisonLegendHits.push({
+                symbolKey: comparison.symbolKey, action: 'toggle',
+                x: textX - labelWidth, y: hitY, width: labelWidth, height: lineHeight
+            });
+        });
+
+        this.ctx.restore();
+    }
+
+    /**
+     * Toggles or removes a comparison when its legend entry is at the given position.
+     * @private
+     * @param {number} x - The x-coordinate on the canvas
+     * @param {number} y - The y-coordinate on the canvas
+     * @returns {boolean} Whether a legend entry was hit
+     */
+    handleComparisonLegendClick(x, y) {
+        const hit = this.comparisonLegendHits.find(area =>
+            x >= area.x && x <= area.x + area.width && y >= area.y && y <= area.y + area.height);
+        if (!hit) return false;
+
+        if (hit.action === 'remove') {
+            this.removeComparison(hit.symbolKey);
+        } else {
+            this.setComparisonVisible(hit.symbolKey, !this.comparisons.get(hit.symbolKey)?.visible);
+        }
+        return true;
+    }
+
+    /**
+     * Displays price and indicator information at the crosshair position.
+     */
+
+    /**
+     * Draws arrow lines connecting points with the same ID
+     * @param {Array<Object>} plotVisibleData - The visible data points for the plot.
+     * @param {import('./stock-chart.d.ts').PlotLayout} plotLayout - The layout information for the plot.
+     * @param {number} barWidth - The width of each bar in the plot.
+     * @param {number} minPrice - The minimum price in the visible data range.
+     * @param {number} maxPrice - The maximum price in the visible data range.
+     */
+    drawArrowLines(plotVisibleData, plotLayout, barWidth, minPrice, maxPrice) {
+        // Group points by ID
+        const groupedPoints = new Map();
+        const flat = plotVisibleData.flat();
+        flat.filter(d => d).forEach(point => {
+            if (!point || !point.id) return;
+            if (!groupedPoints.has(point.id)) {
+                groupedPoints.set(point.id, []);
+            }
+            groupedPoints.get(point.id).push(point);
+        });
+
+        const firstVisible = flat.find(d => d);
+        const lastVisible = [...flat].reverse().find(d => d);
+
+        const visibleTimeRange = {
+            start: firstVisible ? firstVisible.time : 0,
+            end: lastVisible ? lastVisible.time : 0
+        };
+
+        const predictionX = new Set();
         const predictionY = new Set();
         let predictionHit = 0;
         const extraWidthForPrediction = 5 * barWidth;
@@ -2005,7 +3903,7 @@ class StockChart {
                 barWidth
             ) + barWidth / 2;
 
-            const y1 = getYPixel(firstPoint.value, minPrice, maxPrice, plotLayout.height, plotLayout.y);
+            const y1 = getYPixel(firstPoint.value, minPrice, maxPrice, plotLayout.height, plotLayout.y, plotLayout.scaleMode);
 
             const lastIndex = this.findTimeIndex(lastPoint.time, this.dataViewport.allData);
             const x2 = plotLayout.x + getXPixel(
@@ -2016,7 +3914,7 @@ class StockChart {
                 barWidth
             ) + barWidth / 2;
 
-            const y2 = getYPixel(lastPoint.value, minPrice, maxPrice, plotLayout.height, plotLayout.y);
+            const y2 = getYPixel(lastPoint.value, minPrice, maxPrice, plotLayout.height, plotLayout.y, plotLayout.scaleMode);
 
             const isPrediction = firstPoint.isPrediction;
             // use dashed line for prediction
@@ -2124,6 +4022,7 @@ class StockChart {
         const relativeX = this.crosshairX - mainPlotLayout.x;
         const dataIndexAtCrosshair = Math.max(0, Math.floor(relativeX / barWidth));
         let actualDataIndex = this.dataViewport.startIndex + dataIndexAtCrosshair;
+        this.comparisonLegendHits = [];
 
         this.options.plots.forEach(plotConfig => {
             const plotLayout = this.plotLayoutManager.getPlotLayout(plotConfig.id);
@@ -2149,12 +4048,15 @@ class StockChart {
                         plotLayout.y,
                         plotLayout.height,
                         minPrice,
-                        maxPrice
+                        maxPrice,
+                        plotLayout.scaleMode
                     );
 
                     // Format the value based on plot type and magnitude
                     let valueText;
-                    if (plotConfig.type === 'volume') {
+                    if (plotLayout.scaleMode === ScaleMode.PERCENT || plotLayout.scaleMode === ScaleMode.INDEXED) {
+                        valueText = this.formatScaleValue(cursorValue, plotLayout.scaleMode, this.getScaleBaseValue(plotConfig.id));
+                    } else if (plotConfig.type === 'volume') {
                         if (cursorValue >= 1000000) {
                             valueText = (cursorValue / 1000000).toFixed(2) + 'M';
                         } else if (cursorValue >= 1000) {
@@ -2183,11 +4085,9 @@ class StockChart {
 
                 // Show date at the bottom of crosshair
                 if (plotConfig.id === 'main' && dataPoint.time !== undefined) {
-                    const date = new Date(dataPoint.time * 1000);
-                    const year = date.getFullYear();
-                    const month = String(date.getMonth() + 1).padStart(2, '0'); // getMonth() returns 0-11
-                    const day = String(date.getDate()).padStart(2, '0');
-                    const dateText = `${year}/${month}/${day}`;
+                    const dateText = dataPoint.startTime !== undefined && dataPoint.startTime !== dataPoint.endTime ?
+                        `${this.formatBarTime(dataPoint.startTime)} - ${this.formatBarTime(dataPoint.endTime)}` :
+                        this.formatBarTime(dataPoint.time);
                     this.ctx.textAlign = 'center';
                     this.ctx.textBaseline = 'middle';
                     // Position the date text 5 pixels below the bottom of the plot area
@@ -2196,7 +4096,7 @@ class StockChart {
                 }
 
                 // Show summary in top-right corner with each plot on a new line
-                const infoPlots = this.options.plots.filter(p => p.targetId === plotConfig.id || p.id === plotConfig.id)
+                const infoPlots = this.options.plots.filter(p => (p.targetId === plotConfig.id || p.id === plotConfig.id) && !p.comparison)
                     //.filter(p => !p.ignoreRenderInfo);
                 
                 // Group plots by their base id (removing any suffix like '_upper', '_lower')
@@ -2234,6 +4134,17 @@ class StockChart {
                         const isMainPlot = infoPlot.id === 'main';
                         const infoPlotData = infoPlot.data && infoPlot.data.length > 0 ? infoPlot.data : visibleData;
 
+                        const seriesType = getSeriesType(infoPlot.type);
+                        if (seriesType) {
+                            const seriesDataPoint = infoPlot.data?.[actualDataIndex];
+                            const legendText = seriesType.legend && seriesDataPoint !== undefined && seriesDataPoint !== null ?
+                                seriesType.legend(seriesDataPoint) : null;
+                            if (legendText) {
+                                combinedTexts.push(legendText);
+                            }
+                            return;
+                        }
+
                         if (actualDataIndex >= 0 && actualDataIndex < infoPlotData.length) {
                             const infoDataPoint = infoPlotData[actualDataIndex];
                             const plotTexts = Object.entries(infoDataPoint)
@@ -2248,11 +4159,7 @@ class StockChart {
                                     let formattedValue = '';
 
                                     if (key === 'time' && isMainPlot) {
-                                        const date = new Date(value * 1000);
-                                        const year = date.getFullYear();
-                                        const month = String(date.getMonth() + 1).padStart(2, '0'); // getMonth() returns 0-11
-                                        const day = String(date.getDate()).padStart(2, '0');
-                                        formattedValue = `${year}/${month}/${day}`;
+                                        formattedValue = this.formatBarTime(value);
                                         return `${formattedValue}`;
                                     }
 
@@ -2305,8 +4212,17 @@ class StockChart {
                 });
                 this.ctx.textAlign = 'left'; // Reset alignment for other text
                 this.ctx.textBaseline = 'alphabetic'; // Reset baseline
+
+                if (plotConfig.id === 'main') {
+                    this.drawComparisonLegend(plotLayout, actualDataIndex, infoTexts.length);
+                }
             }
         });
+
+        // Keep the comparison legend clickable while the crosshair is past the last bar
+        if (this.comparisons.size > 0 && this.comparisonLegendHits.length === 0) {
+            this.drawComparisonLegend(mainPlotLayout, this.dataViewport.allData.length - 1, 0);
+        }
     }
 
 
@@ -2325,11 +4241,11 @@ class StockChart {
     /**
      * Updates the stock data for all plots at once
      * @param {Array<import('./stock-chart.d.ts').PlotConfig>} plots - Array of plot configurations to update
-     * @param {boolean} [updateOriginalData=true] - Whether to update the original data for the main plot
+     * @param {boolean} [updateOriginalData=false] - Whether the main plot data also replaces the original
+     *   data that timeframe changes are aggregated from
      * @public
      */
-    updateStockData(plots, updateOriginalData = true) {
-        this.timeframeOnScreen = 'daily';
+    updateStockData(plots, updateOriginalData = false) {
 
         // const container = document.getElementById(this.elementId);
         // if (!container) {
@@ -2339,58 +4255,356 @@ class StockChart {
         // Ensure container has a valid size
         // this.ensureContainerSize(container);
 
-        if (!Array.isArray(plots)) {
-            console.error('StockChart: updateStockData expects an array of plots');
+        if (!Array.isArray(plots)) {
+            console.error('StockChart: updateStockData expects an array of plots');
+            return;
+        }
+
+        const mainPlot = plots.find(p => p.id === 'main');
+        if (mainPlot) {
+            if (updateOriginalData) {
+                this.originalData = mainPlot.data;
+                if (isPriceChartType(mainPlot.type)) {
+                    mainPlot.data = this.getDisplayData(this.getBaseTimeframe(), mainPlot.type);
+                }
+            }
+            this.timeframeOnScreen = this.getBaseTimeframe();
+            // update view port allData
+            this.dataViewport = new DataViewport(mainPlot.data, this.options.initialVisibleCandles, 5, this.handleRequestOlderData);
+            this.drawingPanel.clearDrawings();
+            // Reload drawings after clearing to support cross-timeframe drawings
+            this.loadDrawingsFromIndexedDB();
+        }
+
+        const _plots = [...plots];
+
+        this.options.plots.length = 0;
+        this.options.plots = _plots;
+        this.syncComparisonPlots();
+
+        // Recalculate Y-axis width and update layout
+        const yAxisWidth = this.calculateYAxisWidth();
+        this.plotLayoutManager.updateCanvasDimensions(this.canvas.width, this.canvas.height, yAxisWidth);
+
+        // Update plot layout with potentially new plot configurations
+        this.plotLayoutManager.updatePlotConfigurations(this.options.plots);
+
+        // Render the updated chart
+        // this.render();
+        this.loadIndicatorSettings();
+    }
+
+    /**
+     * Updates the chart name information
+     * @param {import('./stock-chart.d.ts').ChartName} chartName - The new chart name information
+     */
+    async updateChartName(chartName) {
+        const previousScopeKey = this.getIndicatorScopeKey();
+        this.options.chartName = chartName;
+
+        // With indicators saved per symbol the chart switches to the set of the new symbol
+        if (this.getIndicatorScopeKey() !== previousScopeKey) {
+            this.reloadIndicatorSettings();
+        }
+        
+        // Load drawings for the new chart name
+        await this.loadDrawingsFromIndexedDB();
+
+        this.updateMetaStringWithTimeframe(this.timeframeOnScreen);
+        
+        this.render();
+    }
+
+    /**
+     * Updates the original data used for the main plot
+     * @param {Array<Object>} data - The new original data array
+     */
+    updateMainPlotOriginalData(data) {
+        this.originalData = data;
+    }
+
+    /**
+     * Appends a new bar to the chart without rebuilding the viewport, drawings or indicators.
+     * A bar with the same time as the last bar is treated as an update of that bar.
+     * @param {StockData} bar - The new bar
+     * @public
+     */
+    appendBar(bar) {
+        if (!bar || typeof bar.time !== 'number') {
+            console.error('StockChart: appendBar expects a bar with a numeric time');
+            return;
+        }
+
+        const lastBar = this.originalData[this.originalData.length - 1];
+        if (lastBar && bar.time === lastBar.time) {
+            this.updateLastBar(bar);
+            return;
+        }
+        if (lastBar && bar.time < lastBar.time) {
+            console.warn('StockChart: appendBar ignored a bar older than the last bar');
+            return;
+        }
+
+        this.applyStreamingBar(bar, false);
+    }
+
+    /**
+     * Updates the last bar in place, e.g. with the latest tick of the current period.
+     * Fields missing from the bar are kept from the existing last bar.
+     * @param {Partial<StockData>} bar - The updated values of the last bar
+     * @public
+     */
+    updateLastBar(bar) {
+        const lastBar = this.originalData[this.originalData.length - 1];
+        if (!lastBar) {
+            this.appendBar(/** @type {StockData} */ (bar));
+            return;
+        }
+        if (!bar || (bar.time !== undefined && bar.time !== lastBar.time)) {
+            console.error('StockChart: updateLastBar expects a bar with the same time as the last bar, use appendBar for new bars');
+            return;
+        }
+
+        this.applyStreamingBar({ ...lastBar, ...bar }, true);
+    }
+
+    /**
+     * Writes a streamed bar into the original data, the displayed main plot and the indicators,
+     * keeping the viewport pinned to the right edge when the user is already there.
+     * @private
+     * @param {StockData} bar - The bar to write
+     * @param {boolean} isSamePeriod - Whether the bar replaces the last bar of the original data
+     */
+    applyStreamingBar(bar, isSamePeriod) {
+        const mainPlot = this.options.plots.find(p => p.id === 'main');
+        if (!mainPlot) return;
+
+        const wasAtRightEdge = this.dataViewport.isAtRightEdge();
+        const sharesOriginalData = mainPlot.data === this.originalData;
+
+        if (isSamePeriod) {
+            this.originalData[this.originalData.length - 1] = bar;
+        } else {
+            this.originalData.push(bar);
+        }
+
+        if (isPriceChartType(mainPlot.type)) {
+            // Bricks and columns depend on every bar before them, so they are rebuilt
+            const previousLength = mainPlot.data.length;
+            this.setMainPlotData(this.getDisplayData(this.timeframeOnScreen));
+            this.dataViewport.prependData(mainPlot.data, 0);
+            const addedCount = mainPlot.data.length - previousLength;
+            if (addedCount > 0 && wasAtRightEdge) {
+                this.dataViewport.scroll(addedCount);
+            }
+            this.render();
+            return;
+        }
+
+        // Weekly and monthly views rebuild their newest bar from the original data
+        let displayBar = bar;
+        let isSameDisplayPeriod = isSamePeriod;
+        if (!sharesOriginalData) {
+            const displayData = mainPlot.data;
+            const lastDisplayBar = displayData[displayData.length - 1];
+            displayBar = this.aggregateLatestBar(lastDisplayBar);
+            isSameDisplayPeriod = !!lastDisplayBar && lastDisplayBar.time === displayBar.time;
+
+            if (isSameDisplayPeriod) {
+                displayData[displayData.length - 1] = displayBar;
+            } else {
+                displayData.push(displayBar);
+            }
+        }
+
+        // Volume plots carry their own copy of the volume series
+        this.options.plots.forEach(plot => {
+            if (plot.type !== 'volume' || plot.data === mainPlot.data || !Array.isArray(plot.data)) return;
+            const point = { time: displayBar.time, volume: displayBar.volume };
+            if (isSameDisplayPeriod && plot.data.length > 0) {
+                plot.data[plot.data.length - 1] = point;
+            } else {
+                plot.data.push(point);
+            }
+        });
+
+        // Comparison plots stay aligned by index with the main plot
+        this.options.plots.forEach(plot => {
+            const comparison = plot.comparison && this.comparisons.get(plot.comparison);
+            if (!comparison) return;
+            const point = { time: displayBar.time, value: this.getComparisonValue(comparison, displayBar.time) };
+            if (isSameDisplayPeriod && plot.data.length > 0) {
+                plot.data[plot.data.length - 1] = point;
+            } else {
+                plot.data.push(point);
+            }
+        });
+
+        this.drawingPanel.updateIndicatorsWithBar(displayBar, isSameDisplayPeriod);
+
+        if (!isSameDisplayPeriod && wasAtRightEdge) {
+            this.dataViewport.scroll(1);
+        }
+
+        this.render();
+    }
+
+    /**
+     * Aggregates the newest bar of the current timeframe from the original data.
+     * @private
+     * @param {StockData} [lastDisplayBar] - The current last bar of the main plot
+     * @returns {StockData} The newest bar of the current timeframe
+     */
+    aggregateLatestBar(lastDisplayBar) {
+        const latestBar = this.originalData[this.originalData.length - 1];
+
+        // Only the bars of the last displayed period and newer can affect the result
+        let fromIndex = this.originalData.length - 1;
+        if (lastDisplayBar) {
+            while (fromIndex > 0 && this.originalData[fromIndex - 1].time >= lastDisplayBar.time) {
+                fromIndex--;
+            }
+        }
+        const aggregated = this.aggregateForTimeframe(this.originalData.slice(fromIndex), this.timeframeOnScreen);
+
+        return aggregated[aggregated.length - 1] || latestBar;
+    }
+
+    /**
+     * Aggregates original data into the given timeframe.
+     * @private
+     * @param {Array<StockData>} data - The original (daily) data
+     * @param {string} timeframe - The timeframe to aggregate to
+     * @returns {Array<StockData>} The aggregated data
+     */
+    aggregateForTimeframe(data, timeframe) {
+        // Reducers given in the aggregation option are merged over the defaults
+        const spec = this.options.aggregation || DEFAULT_AGGREGATION_SPEC;
+        const barInterval = detectBarInterval(this.originalData);
+        const intradaySeconds = getIntradaySeconds(timeframe);
+
+        const calendar = this.getCalendarOptions();
+
+        if (intradaySeconds !== null) {
+            return intradaySeconds > barInterval ? aggregateToIntraday(data, intradaySeconds, spec, calendar) : [...data];
+        }
+
+        // Intraday bars are combined into days first
+        const dailyData = barInterval < 24 * 60 * 60 ? aggregateToDaily(data, spec, calendar) : [...data];
+
+        switch (timeframe) {
+            case 'weekly':
+                return aggregateToWeekly(dailyData, [], spec, calendar);
+            case 'monthly':
+                return aggregateToMonthly(dailyData, [], spec, calendar);
+            case 'daily':
+            default:
+                return dailyData;
+        }
+    }
+
+    /**
+     * Bars the main plot shows in a timeframe: the original data aggregated to the timeframe,
+     * built into bricks or columns for the time-independent chart types.
+     * @private
+     * @param {string} timeframe - The timeframe
+     * @param {string} [chartType] - The chart type of the main plot
+     * @returns {Array<StockData>}
+     */
+    getDisplayData(timeframe, chartType = this.getChartType()) {
+        const bars = this.aggregateForTimeframe(this.originalData, timeframe);
+        if (!isPriceChartType(chartType)) {
+            return bars;
+        }
+        return buildPriceChart(chartType, bars, this.options.chartTypeSettings?.[chartType]);
+    }
+
+    /**
+     * Timezone and session of the chart, used for buckets, sessions, labels and centerOnDate.
+     * Without a timezone option the browser's timezone is used everywhere.
+     * @private
+     * @returns {import('./stock-chart.d.ts').CalendarOptions}
+     */
+    getCalendarOptions() {
+        return { timezone: this.options.timezone || getLocalTimezone(), session: this.options.session };
+    }
+
+    /**
+     * The timeframe of the original data, e.g. '1m' for 1-minute bars or 'daily'.
+     * @private
+     * @returns {string}
+     */
+    getBaseTimeframe() {
+        return getTimeframeForSeconds(detectBarInterval(this.originalData));
+    }
+
+    /**
+     * Prepends older history, e.g. in response to a dataRequest event.
+     * The visible candles keep their position, indicators are recalculated and
+     * drawings stay anchored to their times.
+     * @param {Array<StockData>} bars - Bars older than the current first bar
+     * @public
+     */
+    prependData(bars) {
+        if (!Array.isArray(bars)) {
+            console.error('StockChart: prependData expects an array of bars');
             return;
         }
 
-        const mainPlot = plots.find(p => p.id === 'main');
-        if (mainPlot) {
-            // update view port allData
-            this.dataViewport = new DataViewport(mainPlot.data, this.options.initialVisibleCandles, 5);
-            this.drawingPanel.clearDrawings();
-            // Reload drawings after clearing to support cross-timeframe drawings
-            this.loadDrawingsFromIndexedDB();
-        }
+        const mainPlot = this.options.plots.find(p => p.id === 'main');
+        if (!mainPlot) return;
 
-        const _plots = [...plots];
+        // Only keep bars older than the data we already have
+        const oldestTime = this.originalData[0]?.time;
+        const olderBars = bars
+            .filter(bar => bar && typeof bar.time === 'number' && (oldestTime === undefined || bar.time < oldestTime))
+            .sort((a, b) => a.time - b.time)
+            .filter((bar, i, sorted) => i === 0 || bar.time !== sorted[i - 1].time);
+        if (olderBars.length === 0) return;
 
-        this.options.plots.length = 0;
-        this.options.plots = _plots;
+        const previousMainData = mainPlot.data;
+        const sharesOriginalData = previousMainData === this.originalData;
 
-        // Recalculate Y-axis width and update layout
-        const yAxisWidth = this.calculateYAxisWidth();
-        this.plotLayoutManager.updateCanvasDimensions(this.canvas.width, this.canvas.height, yAxisWidth);
+        this.originalData = olderBars.concat(this.originalData);
+        mainPlot.data = sharesOriginalData ?
+            this.originalData :
+            this.getDisplayData(this.timeframeOnScreen);
 
-        // Update plot layout with potentially new plot configurations
-        this.plotLayoutManager.updatePlotConfigurations(this.options.plots);
+        const prependedCount = mainPlot.data.length - previousMainData.length;
+        const prependedBars = mainPlot.data.slice(0, Math.max(0, prependedCount));
 
-        // Render the updated chart
-        // this.render();
-        this.loadIndicatorSettings();
-    }
+        if (isPriceChartType(mainPlot.type)) {
+            // Older bars can move every brick or column, so the plots that follow them are rebuilt
+            this.setMainPlotData(mainPlot.data);
+        } else {
+            // Keep the other plots aligned by index with the main plot
+            this.options.plots.forEach(plot => {
+                if (plot === mainPlot || !Array.isArray(plot.data)) return;
+                if (plot.data === previousMainData) {
+                    plot.data = mainPlot.data;
+                    return;
+                }
+                const padding = prependedBars.map(bar => plot.type === 'volume' ?
+                    { time: bar.time, volume: bar.volume } :
+                    { time: bar.time, value: null });
+                plot.data = padding.concat(plot.data);
+            });
+            this.syncComparisonPlots();
+            this.drawingPanel.recalculateIndicators();
+        }
 
-    /**
-     * Updates the chart name information
-     * @param {import('./stock-chart.d.ts').ChartName} chartName - The new chart name information
-     */
-    async updateChartName(chartName) {
-        this.options.chartName = chartName;
-        
-        // Load drawings for the new chart name
-        await this.loadDrawingsFromIndexedDB();
+        this.dataViewport.prependData(mainPlot.data, Math.max(0, prependedCount));
 
-        this.updateMetaStringWithTimeframe('daily'); // Default timeframe
-        
         this.render();
     }
 
     /**
-     * Updates the original data used for the main plot
-     * @param {Array<Object>} data - The new original data array
+     * Forwards the viewport's request for older data as a dataRequest event on the chart.
+     * @private
+     * @param {Object} detail - The request details
      */
-    updateMainPlotOriginalData(data) {
-        this.originalData = data;
+    handleRequestOlderData(detail) {
+        this.emit('dataRequest', { direction: 'older', ...detail });
     }
 
     /**
@@ -2436,7 +4650,7 @@ class StockChart {
 
     /**
      * Set the active drawing tool
-     * @param {string|null} tool - The drawing tool to activate ('line', 'rectangle', 'ellipse', 'text', 'fibonacci', null)
+     * @param {string|null} tool - The drawing tool to activate ('trend-line', 'rectangle', 'fibonacci-retrace', 'volume-profile', ..., null)
      */
     setDrawingTool(tool) {
         this.activeDrawingTool = tool;
@@ -2465,9 +4679,13 @@ class StockChart {
      * Clear all drawings from the chart
      */
     clearDrawings() {
+        const removed = [...this.drawingPanel.drawings];
         const removeFromDb = true;
         this.drawingPanel.clearDrawings(removeFromDb);
         this.render();
+        removed.forEach((drawing, index) => {
+            this.emit('drawingRemoved', { drawing: drawing.toJSON(), index });
+        });
     }
 
     /**
@@ -2668,6 +4886,125 @@ class StockChart {
         };
     }
 
+    /**
+     * Gets the layout of the chart as a JSON document: plots and their height ratios, scale modes
+     * and price ranges, indicators, drawings, positions, timeframe, chart type, visible range and theme.
+     * Bars and comparisons are not included.
+     * @returns {import('./stock-chart.d.ts').ChartState}
+     * @public
+     */
+    getState() {
+        const themeName = Object.keys(StockChart.themes).find(name => StockChart.themes[name] === this.currentTheme);
+        const range = this.dataViewport.getVisibleStartEndTime();
+
+        const state = {
+            version: STATE_VERSION,
+            theme: themeName || this.currentTheme,
+            timeframe: this.timeframeOnScreen,
+            chartType: this.getChartType(),
+            chartTypeSettings: this.options.chartTypeSettings || {},
+            plots: this.options.plots.filter(plot => !plot.overlay).map(plot => ({
+                id: plot.id,
+                heightRatio: plot.heightRatio,
+                scaleMode: this.getScaleMode(plot.id),
+                priceRange: this.manualPriceRanges.get(plot.id) || null
+            })),
+            indicators: this.getActiveIndicators(),
+            drawings: this.drawingPanel.drawings.map(drawing => drawing.toJSON()),
+            positions: this.positionMarker.getPositions(),
+            visibleRange: range ? {
+                from: range.startTime,
+                to: range.endTime,
+                visibleCount: Math.round(this.dataViewport.visibleCount)
+            } : null,
+            volumeProfile: this.options.volumeProfile || false,
+            navigator: this.options.navigator || false
+        };
+        // A plain copy, later changes to the chart don't show up in it
+        return JSON.parse(JSON.stringify(state));
+    }
+
+    /**
+     * Restores a layout from getState. Parts missing from the document are left as they are.
+     * The restored indicators and drawings are not saved to the storage, so the saved ones
+     * and the other tabs are left alone.
+     * @param {import('./stock-chart.d.ts').ChartState} state - The document from getState
+     * @public
+     */
+    setState(state) {
+        if (!state || typeof state !== 'object' || !Number.isInteger(state.version)) {
+            console.error('StockChart: setState needs a document from getState');
+            return;
+        }
+        if (state.version > STATE_VERSION) {
+            console.error(`StockChart: Chart state version ${state.version} is newer than the supported version ${STATE_VERSION}`);
+            return;
+        }
+
+        this.stopViewportAnimation();
+
+        if (state.theme) {
+            this.applyTheme(state.theme);
+        }
+        if (state.timeframe && state.timeframe !== this.timeframeOnScreen) {
+            this.handleTimeframeChange(state.timeframe);
+        }
+        if (state.chartType) {
+            this.options.chartTypeSettings = { ...state.chartTypeSettings };
+            this.setChartType(state.chartType, state.chartTypeSettings?.[state.chartType]);
+        }
+
+        if (Array.isArray(state.indicators)) {
+            this.indicatorsLoadToken++;
+            [...this.drawingPanel.indicatorInstances.keys()].forEach(plotId => this.drawingPanel.removeIndicator(plotId, false));
+            state.indicators.forEach(({ id, settings }) => this.drawingPanel.addIndicatorWithSettings(id, settings, false));
+        }
+
+        // Indicator plots exist again by now, so their ratios and scales can be applied
+        if (Array.isArray(state.plots)) {
+            this.manualPriceRanges.clear();
+            state.plots.forEach(({ id, heightRatio, scaleMode, priceRange }) => {
+                const plot = this.options.plots.find(p => p.id === id && !p.overlay);
+                if (!plot) return;
+                if (heightRatio > 0) {
+                    plot.heightRatio = heightRatio;
+                }
+                if (Object.values(ScaleMode).includes(scaleMode)) {
+                    plot.scaleMode = scaleMode;
+                }
+                if (priceRange && priceRange.minPrice < priceRange.maxPrice) {
+                    this.manualPriceRanges.set(id, { minPrice: priceRange.minPrice, maxPrice: priceRange.maxPrice });
+                }
+            });
+        }
+
+        if (Array.isArray(state.drawings)) {
+            this.drawingPanel.setDrawings(state.drawings);
+        }
+        if (Array.isArray(state.positions)) {
+            this.positionMarker.clearPositions();
+            this.positionMarker.addPositions(state.positions);
+        }
+        if (state.volumeProfile !== undefined) {
+            this.options.volumeProfile = state.volumeProfile || false;
+        }
+        if (state.navigator !== undefined) {
+            this.options.navigator = state.navigator || false;
+            this.navigator.handlePointerUp();
+        }
+
+        this.plotLayoutManager.updatePlotConfigurations(this.options.plots);
+        this.resize();
+
+        const range = state.visibleRange;
+        if (range && isFinite(range.from) && range.visibleCount > 0) {
+            const startIndex = Math.max(0, findIndexAtOrBeforeTime(this.dataViewport.allData, range.from));
+            this.dataViewport.setRange(startIndex, range.visibleCount);
+        }
+
+        this.render();
+    }
+
     /**
      * Centers the chart on a specific date and draws a vertical line
      * @param {number} timestamp - Unix timestamp (in seconds) to center on
@@ -2697,14 +5034,21 @@ class StockChart {
             );
         }
 
+        // Daily and longer bars match the calendar day in the chart timezone
+        if (targetIndex === -1 && !this.isIntradayOnScreen()) {
+            const { timezone } = this.getCalendarOptions();
+            const dateKey = toDateKey(tsInSeconds, timezone);
+            targetIndex = this.dataViewport.allData.findIndex(d => toDateKey(d.time, timezone) === dateKey);
+        }
+
         // If still no match, fallback to closest
         if (targetIndex === -1) {
             const closest = this.dataViewport.allData.reduce((prev, curr) =>
                 Math.abs(curr.time - tsInSeconds) < Math.abs(prev.time - tsInSeconds) ? curr : prev
             );
             console.warn(
-                `StockChart: No exact match for ${new Date(timestamp)}. ` +
-                `Closest is ${new Date(closest.time * 1000)}`
+                `StockChart: No exact match for ${this.formatBarTime(tsInSeconds)}. ` +
+                `Closest is ${this.formatBarTime(closest.time)}`
             );
             targetIndex = this.dataViewport.allData.indexOf(closest);
         }
@@ -2721,10 +5065,13 @@ class StockChart {
         }
 
         // Update the viewport to center on this date
+        this.stopViewportAnimation();
         this.dataViewport.startIndex = newStartIndex;
 
         // Create a vertical line at the target date
-        if (options.drawLine !== false) {
+        if (options.drawLine === false) {
+            this.render();
+        } else {
             const mainPlot = this.plotLayoutManager.getPlotLayout('main');
             if (mainPlot) {
                 const barWidth = mainPlot.width / this.dataViewport.visibleCount;
@@ -2766,54 +5113,388 @@ class StockChart {
         this.ctx.lineTo(x, this.plotLayoutManager.getPlotTotalHeight());
         this.ctx.stroke();
     }
+
+    /**
+     * Draws the box dragged with the zoom tool.
+     * @private
+     */
+    drawBoxZoomSelection() {
+        const { startX, startY, endX, endY } = this.boxZoomSelection;
+        this.ctx.save();
+        this.ctx.fillStyle = withAlpha(this.currentTheme.lineColor, 0.1);
+        this.ctx.fillRect(Math.min(startX, endX), Math.min(startY, endY), Math.abs(endX - startX), Math.abs(endY - startY));
+        this.ctx.strokeStyle = this.currentTheme.crosshairColor;
+        this.ctx.lineWidth = 1;
+        this.ctx.setLineDash([4, 4]);
+        this.ctx.strokeRect(Math.min(startX, endX), Math.min(startY, endY), Math.abs(endX - startX), Math.abs(endY - startY));
+        this.ctx.restore();
+    }
+
+    /**
+     * Zooms the main plot to the bars and prices of the box dragged with the zoom tool,
+     * remembering the previous range for zoomBack(). Boxes of a few pixels are ignored.
+     * @private
+     */
+    completeBoxZoom() {
+        const { startX, startY, endX, endY } = this.boxZoomSelection;
+        this.boxZoomSelection = null;
+        this.setDrawingTool(null);
+
+        const mainPlot = this.plotLayoutManager.getPlotLayout('main');
+        if (!mainPlot || Math.abs(endX - startX) < 5 || Math.abs(endY - startY) < 5) {
+            this.render();
+            return;
+        }
+
+        const { minPrice, maxPrice } = this.getPriceRange('main');
+        const { startIndex, visibleCount } = this.dataViewport;
+        const barWidth = mainPlot.width / visibleCount;
+        const firstIndex = startIndex + Math.floor((Math.min(startX, endX) - mainPlot.x) / barWidth);
+        const lastIndex = startIndex + Math.floor((Math.max(startX, endX) - mainPlot.x) / barWidth);
+        const toPrice = y => getValueBasedOnY(y, mainPlot.y, mainPlot.height, minPrice, maxPrice, mainPlot.scaleMode);
+
+        this.pushZoomHistory(this.zoomHistory);
+        this.zoomForwardHistory = [];
+        this.dataViewport.setRange(firstIndex, lastIndex - firstIndex + 1);
+        this.setPriceRange('main', toPrice(Math.max(startY, endY)), toPrice(Math.min(startY, endY)));
+    }
+
+    /**
+     * Returns to the range before the last box zoom.
+     * @returns {boolean} False when there is no earlier range
+     * @public
+     */
+    zoomBack() {
+        return this.restoreZoomHistory(this.zoomHistory, this.zoomForwardHistory);
+    }
+
+    /**
+     * Returns to the range zoomBack() left.
+     * @returns {boolean} False when there is no later range
+     * @public
+     */
+    zoomForward() {
+        return this.restoreZoomHistory(this.zoomForwardHistory, this.zoomHistory);
+    }
+
+    /**
+     * Remembers the visible bars, by time so prepended history doesn't move them, and the main price range.
+     * @private
+     * @param {Array<Object>} history - The stack to push to
+     */
+    pushZoomHistory(history) {
+        const { allData, startIndex, visibleCount } = this.dataViewport;
+        history.push({
+            startTime: allData[startIndex]?.time,
+            startIndex,
+            visibleCount,
+            priceRange: this.manualPriceRanges.get('main') || null
+        });
+        if (history.length > 50) {
+            history.shift();
+        }
+    }
+
+    /**
+     * @private
+     * @param {Array<Object>} from - The stack to take the range from
+     * @param {Array<Object>} to - The stack the current range is pushed to
+     * @returns {boolean} False when the stack is empty
+     */
+    restoreZoomHistory(from, to) {
+        const entry = from.pop();
+        if (!entry) return false;
+
+        this.stopViewportAnimation();
+        this.pushZoomHistory(to);
+        const startIndex = entry.startTime !== undefined ?
+            Math.max(0, findIndexAtOrBeforeTime(this.dataViewport.allData, entry.startTime)) : entry.startIndex;
+        this.dataViewport.setRange(startIndex, entry.visibleCount);
+
+        if (entry.priceRange) {
+            this.setPriceRange('main', entry.priceRange.minPrice, entry.priceRange.maxPrice);
+        } else if (!this.isAutoScale('main')) {
+            this.setAutoScale('main', true);
+        } else {
+            this.render();
+        }
+        return true;
+    }
+
+    /**
+     * Shows the bars between two times. Unlike centerOnDate no line is drawn.
+     * @param {{from: number|Date, to: number|Date}} range - Unix timestamps in seconds or Date objects,
+     *   like startTime and endTime of viewportChange
+     * @param {Object} [options]
+     * @param {boolean} [options.animate=true] - Move to the range in a short animation
+     * @public
+     */
+    setVisibleRange(range, { animate = true } = {}) {
+        const toSeconds = time => (time instanceof Date ? Math.floor(time.getTime() / 1000) : time);
+        const fromTime = toSeconds(range?.from);
+        const toTime = toSeconds(range?.to);
+        if (!isFinite(fromTime) || !isFinite(toTime) || fromTime > toTime) {
+            console.error('StockChart: setVisibleRange needs from and to timestamps with from before to');
+            return;
+        }
+
+        const data = this.dataViewport.allData;
+        const lastIndex = findIndexAtOrBeforeTime(data, toTime);
+        const beforeFrom = findIndexAtOrBeforeTime(data, fromTime);
+        const firstIndex = beforeFrom >= 0 && data[beforeFrom].time === fromTime ? beforeFrom : beforeFrom + 1;
+        if (lastIndex < firstIndex) {
+            console.warn(`StockChart: setVisibleRange found no bars between ${this.formatBarTime(fromTime)} and ${this.formatBarTime(toTime)}`);
+            return;
+        }
+
+        this.animateViewport(firstIndex, lastIndex - firstIndex + 1, animate);
+    }
+
+    /**
+     * Gets the times of the first and last visible bars.
+     * @returns {{from: number, to: number} | null} Unix timestamps in seconds, null without data
+     * @public
+     */
+    getVisibleRange() {
+        const range = this.dataViewport.getVisibleStartEndTime();
+        return range ? { from: range.startTime, to: range.endTime } : null;
+    }
+
+    /**
+     * Scrolls to the newest bar, keeping the number of visible bars.
+     * @param {Object} [options]
+     * @param {boolean} [options.animate=true] - Scroll in a short animation
+     * @public
+     */
+    scrollToRealtime({ animate = true } = {}) {
+        const { allData, visibleCount, rightPadding } = this.dataViewport;
+        this.animateViewport(allData.length - (visibleCount - rightPadding), visibleCount, animate);
+    }
+
+    /**
+     * Zooms out so every bar is visible.
+     * @param {Object} [options]
+     * @param {boolean} [options.animate=true] - Zoom in a short animation
+     * @public
+     */
+    fitContent({ animate = true } = {}) {
+        const { allData, rightPadding } = this.dataViewport;
+        this.animateViewport(0, allData.length + rightPadding, animate);
+    }
+
+    /**
+     * Sets the width of a bar, keeping the newest visible bar in place.
+     * @param {number} spacing - Width of a bar in pixels
+     * @public
+     */
+    setBarSpacing(spacing) {
+        const mainPlotLayout = this.plotLayoutManager.getPlotLayout('main');
+        if (!(spacing > 0) || !mainPlotLayout) {
+            console.error('StockChart: setBarSpacing needs a positive number of pixels');
+            return;
+        }
+
+        this.stopViewportAnimation();
+        const { startIndex, visibleCount } = this.dataViewport;
+        const newCount = Math.round(mainPlotLayout.width / spacing);
+        this.dataViewport.setRange(startIndex + visibleCount - newCount, newCount);
+        this.render();
+    }
+
+    /**
+     * Gets the width of a bar.
+     * @returns {number} Width of a bar in pixels
+     * @public
+     */
+    getBarSpacing() {
+        const mainPlotLayout = this.plotLayoutManager.getPlotLayout('main');
+        return mainPlotLayout ? mainPlotLayout.width / this.dataViewport.visibleCount : 0;
+    }
+
+    /**
+     * Moves the viewport to a range of bars. Every frame is rendered, so viewportChange
+     * follows the animation.
+     * @private
+     * @param {number} startIndex - Index of the first visible bar
+     * @param {number} visibleCount - Number of visible bars
+     * @param {boolean} animate - Whether to animate, without requestAnimationFrame the range is set at once
+     */
+    animateViewport(startIndex, visibleCount, animate) {
+        this.stopViewportAnimation();
+        const viewport = this.dataViewport;
+
+        if (!animate || typeof requestAnimationFrame !== 'function') {
+            viewport.setRange(startIndex, visibleCount);
+            this.render();
+            return;
+        }
+
+        const fromStart = viewport.startIndex;
+        const fromCount = viewport.visibleCount;
+        const duration = 250;
+        let startTime = null;
+        const step = now => {
+            startTime = startTime ?? now;
+            const progress = Math.min(1, (now - startTime) / duration);
+            const eased = 1 - Math.pow(1 - progress, 3);
+            viewport.setRange(fromStart + (startIndex - fromStart) * eased, fromCount + (visibleCount - fromCount) * eased);
+            this.render();
+            this.viewportAnimationFrame = progress < 1 ? requestAnimationFrame(step) : null;
+        };
+        this.viewportAnimationFrame = requestAnimationFrame(step);
+    }
+
+    /**
+     * Stops a running setVisibleRange, scrollToRealtime or fitContent animation where it is.
+     * @private
+     */
+    stopViewportAnimation() {
+        if (this.viewportAnimationFrame) {
+            cancelAnimationFrame(this.viewportAnimationFrame);
+            this.viewportAnimationFrame = null;
+        }
+    }
+
     /**
      * Handles timeframe change
      * @param {string} timeframe - The timeframe to change to
-     * @private
      */
     handleTimeframeChange(timeframe) {
         const mainPlot = this.options.plots.find(p => p.id === 'main');
         if (!mainPlot) return;
 
-        let aggregatedData;
-
-        switch (timeframe) {
-            case 'daily':
-                aggregatedData = [...this.originalData];
-                break;
-            case 'weekly':
-                aggregatedData = aggregateToWeekly([...this.originalData], []);
-                break;
-            case 'monthly':
-                aggregatedData = aggregateToMonthly([...this.originalData], []);
-                break;
-            default:
-                aggregatedData = [...this.originalData];
+        if (!isValidTimeframe(timeframe)) {
+            console.warn(`StockChart: Unknown timeframe '${timeframe}'`);
+            return;
+        }
+        const intradaySeconds = getIntradaySeconds(timeframe);
+        if (intradaySeconds !== null && intradaySeconds < detectBarInterval(this.originalData)) {
+            console.warn(`StockChart: Cannot show ${timeframe} bars, the data has ${this.getBaseTimeframe()} bars`);
+            return;
         }
 
+        const previousTimeframe = this.timeframeOnScreen;
+        const previousScopeKey = this.getIndicatorScopeKey();
+        const aggregatedData = this.getDisplayData(timeframe);
+
         this.updateMetaStringWithTimeframe(timeframe);
 
-        this.options.plots = this.options.plots.filter(p => {
-            return !(['sma', 'ema'].includes(p.indicator?.id));
-        })
+        this.dataViewport = new DataViewport(aggregatedData, this.options.initialVisibleCandles, 5, this.handleRequestOlderData);
+        this.setMainPlotData(aggregatedData, timeframe);
+
+        // Reload drawings after clearing to support cross-timeframe drawings
+        this.drawingPanel.clearDrawings();
+        this.loadDrawingsFromIndexedDB();
+
+        // Recalculate Y-axis width and update layout
+        const yAxisWidth = this.calculateYAxisWidth();
+        this.plotLayoutManager.updateCanvasDimensions(this.canvas.width, this.canvas.height, yAxisWidth);
+        this.plotLayoutManager.updatePlotConfigurations(this.options.plots);
 
-        mainPlot.data = aggregatedData;
-        const updateOriginalData = false;
-        this.updateStockData(this.options.plots, updateOriginalData);
-        
         this.timeframeOnScreen = timeframe;
         
         this.render();
+
+        // With indicators saved per timeframe the chart switches to the set of the new timeframe
+        if (this.getIndicatorScopeKey() !== previousScopeKey) {
+            this.reloadIndicatorSettings();
+        }
+
+        if (previousTimeframe !== timeframe) {
+            this.emit('timeframeChange', { timeframe, previousTimeframe });
+        }
     }
 
-    updateMetaStringWithTimeframe(timeframe) {
+    /**
+     * Replaces the bars of the main plot and updates the plots that follow them:
+     * volume plots, indicators and comparisons.
+     * @private
+     * @param {Array<StockData>} data - The new bars of the main plot
+     * @param {string} [timeframe] - The timeframe of the bars
+     */
+    setMainPlotData(data, timeframe = this.timeframeOnScreen) {
+        const mainPlot = this.options.plots.find(p => p.id === 'main');
+        mainPlot.data = data;
+
+        // Volume plots carry their own copy of the volume series, rebuild it from the new bars
+        if (data.some(bar => bar.volume !== undefined)) {
+            this.options.plots.forEach(plot => {
+                if (plot.type !== 'volume' || plot.data === mainPlot.data || !Array.isArray(plot.data)) return;
+                plot.data = data.map(bar => ({ time: bar.time, volume: bar.volume }));
+            });
+        }
+
+        // Every active indicator keeps its settings and is recalculated on the new bars.
+        // Back on daily this gives the original values again.
+        this.drawingPanel.recalculateIndicators();
+        this.syncComparisonPlots(timeframe);
+    }
+
+    /**
+     * Display name of a timeframe, e.g. '15 Minutes' or 'Weekly'.
+     * @private
+     * @param {string} timeframe - The timeframe id
+     * @param {boolean} [short=false] - Return the toolbar label instead, e.g. '15m' or 'W'
+     * @returns {string}
+     */
+    getTimeframeLabel(timeframe, short = false) {
         const timeframeMap = {
-            intraday: 'Intraday',
-            daily: 'Daily',
-            weekly: 'Weekly',
-            monthly: 'Monthly'
+            intraday: ['Intraday', 'I'],
+            daily: ['Daily', 'D'],
+            weekly: ['Weekly', 'W'],
+            monthly: ['Monthly', 'M']
         };
-        const timeframeText = timeframeMap[timeframe] || '';
+        if (timeframeMap[timeframe]) {
+            return timeframeMap[timeframe][short ? 1 : 0];
+        }
+
+        const intradaySeconds = getIntradaySeconds(timeframe);
+        if (intradaySeconds === null) return '';
+        if (short) return timeframe;
+
+        const count = parseInt(timeframe, 10);
+        const unit = timeframe.endsWith('h') ? 'Hour' : 'Minute';
+        return `${count} ${unit}${count === 1 ? '' : 's'}`;
+    }
+
+    /**
+     * Formats the time of day of an intraday bar as HH:mm.
+     * @private
+     * @param {{hours: number, minutes: number}} parts - The bar time parts, see getDateParts
+     * @returns {string}
+     */
+    formatTimeOfDay(parts) {
+        const hours = String(parts.hours).padStart(2, '0');
+        const minutes = String(parts.minutes).padStart(2, '0');
+        return `${hours}:${minutes}`;
+    }
+
+    /**
+     * Formats a bar time for the crosshair and info labels in the chart timezone,
+     * as YYYY/MM/DD with the time of day for intraday bars.
+     * @private
+     * @param {number} time - The bar time in seconds
+     * @returns {string}
+     */
+    formatBarTime(time) {
+        const parts = getDateParts(time, this.getCalendarOptions().timezone);
+        const month = String(parts.month).padStart(2, '0');
+        const day = String(parts.day).padStart(2, '0');
+        const date = `${parts.year}/${month}/${day}`;
+        return this.isIntradayOnScreen() ? `${date} ${this.formatTimeOfDay(parts)}` : date;
+    }
+
+    /**
+     * Whether the chart currently shows intraday bars.
+     * @private
+     * @returns {boolean}
+     */
+    isIntradayOnScreen() {
+        return getIntradaySeconds(this.timeframeOnScreen) !== null;
+    }
+
+    updateMetaStringWithTimeframe(timeframe) {
+        const timeframeText = this.getTimeframeLabel(timeframe);
 
         if (!this.options.chartName) {
             this.options.chartName = {};
@@ -2824,7 +5505,7 @@ class StockChart {
 
         // Remove existing timeframe from meta
         let meta = this.options.chartName.metaString;
-        meta = meta.replace(/(Intraday|Daily|Weekly|Monthly)/i, '').trim();
+        meta = meta.replace(/(Intraday|Daily|Weekly|Monthly|\d+ (Minute|Hour)s?)/i, '').trim();
 
         // Append new timeframe if available
         if (timeframeText) {
@@ -21,6 +21,8 @@ const darkTheme = {
     overlayTextColor: '#E0E0E0',
     positiveColor: 'rgba(102, 187, 106, 0.8)',
     negativeColor: 'rgba(239, 83, 80, 0.8)',
+    // Background of pre-market and after-hours bars
+    extendedHoursColor: 'rgba(100, 181, 246, 0.08)',
     borderColorUseBodyColor: true
 };
 
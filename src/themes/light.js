@@ -21,6 +21,8 @@ const lightTheme = {
     overlayTextColor: '#333333',
     positiveColor: 'rgba(76, 175, 80, 0.8)',
     negativeColor: 'rgba(244, 67, 54, 0.8)',
+    // Background of pre-market and after-hours bars
+    extendedHoursColor: 'rgba(33, 150, 243, 0.06)',
 };
 
 export default lightTheme;
\ No newline at end of file
@@ -0,0 +1,199 @@
+/**
+ * @fileoverview Synchronizes crosshair, visible range, zoom and timeframe between linked charts.
+ * @author H Chen
+ */
+
+import { findIndexAtOrBeforeTime } from './data.js';
+
+/**
+ * Default options for ChartSyncGroup. Each flag decides what a member chart follows.
+ */
+const DEFAULT_OPTIONS = {
+    crosshair: true,
+    visibleRange: false,
+    zoom: false,
+    timeframe: false
+};
+
+/**
+ * Groups created through the syncGroup chart option, by group id
+ * @type {Map<string, ChartSyncGroup>}
+ */
+const namedGroups = new Map();
+
+/**
+ * Set while a change is pushed to other charts, so their own events don't echo back.
+ * Shared by all groups because a chart can be a member of several groups.
+ */
+let isSyncing = false;
+
+/**
+ * ChartSyncGroup links charts so they follow each other.
+ * Crosshairs are matched by timestamp, so charts with different widths,
+ * date ranges or timeframes line up on the same bar time.
+ */
+export class ChartSyncGroup {
+    /**
+     * @param {Partial<typeof DEFAULT_OPTIONS>} [options] - Default sync options for charts added to the group
+     * @param {string|null} [id] - Group id when created through the syncGroup option
+     */
+    constructor(options = {}, id = null) {
+        this.id = id;
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        /** @type {Map<import('../stock-chart.d.ts').default, {options: typeof DEFAULT_OPTIONS, unsubscribe: Array<function(): void>}>} */
+        this.members = new Map();
+    }
+
+    /**
+     * Add a chart to the group.
+     * @param {import('../stock-chart.d.ts').default} chart - The chart to add
+     * @param {Partial<typeof DEFAULT_OPTIONS>} [options] - What this chart follows, defaults to the group options
+     */
+    add(chart, options = {}) {
+        if (this.members.has(chart)) return;
+
+        const unsubscribe = [
+            chart.on('crosshairMove', payload => this.broadcast(chart, 'crosshair', target => {
+                showCrosshairAtTime(target, payload.time);
+            })),
+            chart.on('viewportChange', () => this.broadcast(chart, null, (target, memberOptions) => {
+                syncViewport(chart, target, memberOptions);
+            })),
+            chart.on('timeframeChange', ({ timeframe }) => this.broadcast(chart, 'timeframe', (target, memberOptions) => {
+                if (target.timeframeOnScreen !== timeframe) {
+                    target.handleTimeframeChange(timeframe);
+                    // The timeframe change resets the target viewport, so line it up again
+                    syncViewport(chart, target, memberOptions);
+                }
+            }))
+        ];
+
+        this.members.set(chart, { options: { ...this.options, ...options }, unsubscribe });
+        chart.syncGroups.add(this);
+    }
+
+    /**
+     * Remove a chart from the group.
+     * @param {import('../stock-chart.d.ts').default} chart - The chart to remove
+     */
+    remove(chart) {
+        const member = this.members.get(chart);
+        if (!member) return;
+
+        member.unsubscribe.forEach(unsubscribe => unsubscribe());
+        this.members.delete(chart);
+        chart.syncGroups.delete(this);
+
+        if (this.id !== null && this.members.size === 0 && namedGroups.get(this.id) === this) {
+            namedGroups.delete(this.id);
+        }
+    }
+
+    /**
+     * Remove every chart from the group.
+     */
+    unlink() {
+        [...this.members.keys()].forEach(chart => this.remove(chart));
+    }
+
+    /**
+     * Apply a change of the source chart to every other member that follows it.
+     * @private
+     * @param {import('../stock-chart.d.ts').default} source - The chart the change came from
+     * @param {keyof typeof DEFAULT_OPTIONS | null} flag - The option a member needs to follow the change, or null to let apply decide
+     * @param {function(import('../stock-chart.d.ts').default, typeof DEFAULT_OPTIONS): void} apply - Applies the change to one member
+     */
+    broadcast(source, flag, apply) {
+        if (isSyncing) return;
+
+        isSyncing = true;
+        try {
+            this.members.forEach((member, target) => {
+                if (target === source || target.isDestroyed) return;
+                if (flag && !member.options[flag]) return;
+                apply(target, member.options);
+            });
+        } finally {
+            isSyncing = false;
+        }
+    }
+}
+
+/**
+ * Get the group for a syncGroup option, creating it on first use.
+ * @param {string} id - The group id
+ * @returns {ChartSyncGroup}
+ */
+export function getNamedSyncGroup(id) {
+    if (!namedGroups.has(id)) {
+        namedGroups.set(id, new ChartSyncGroup({}, id));
+    }
+    return namedGroups.get(id);
+}
+
+/**
+ * Show a vertical crosshair on the bar at or before the given time.
+ * The crosshair is hidden when the time is null or outside the visible bars.
+ * @param {import('../stock-chart.d.ts').default} chart - The chart to update
+ * @param {number|null} time - The bar time from the source chart
+ */
+function showCrosshairAtTime(chart, time) {
+    const viewport = chart.dataViewport;
+    const layout = chart.plotLayoutManager.getPlotLayout('main');
+    const index = time === null ? -1 : findIndexAtOrBeforeTime(viewport.allData, time);
+
+    if (!layout || index < viewport.startIndex || index >= viewport.startIndex + viewport.visibleCount) {
+        chart.crosshairX = -1;
+        chart.crosshairY = -1;
+    } else {
+        const barWidth = layout.width / viewport.visibleCount;
+        chart.crosshairX = layout.x + (index - viewport.startIndex) * barWidth + barWidth / 2;
+        // Below the plots, so only the vertical line is drawn
+        chart.crosshairY = chart.plotLayoutManager.getPlotTotalHeight() + 1;
+    }
+    chart.render();
+}
+
+/**
+ * Copy the visible range and/or zoom of the source chart to the target chart.
+ * The range is matched by time: when the source shows its newest bar the target
+ * does too, otherwise the target starts at the source's first visible bar time.
+ * @param {import('../stock-chart.d.ts').default} source - The chart that changed
+ * @param {import('../stock-chart.d.ts').default} target - The chart to update
+ * @param {typeof DEFAULT_OPTIONS} options - What the target follows
+ */
+function syncViewport(source, target, options) {
+    if (!options.visibleRange && !options.zoom) return;
+
+    const sourceViewport = source.dataViewport;
+    const targetViewport = target.dataViewport;
+    const previousStart = targetViewport.startIndex;
+    const previousCount = targetViewport.visibleCount;
+
+    if (options.zoom) {
+        const endIndex = targetViewport.startIndex + targetViewport.visibleCount;
+        targetViewport.visibleCount = Math.max(
+            Math.min(targetViewport.MIN_PORT_VISIBLE_COUNT, targetViewport.allData.length),
+            Math.min(sourceViewport.visibleCount, targetViewport.allData.length + targetViewport.rightPadding)
+        );
+        // Keep the right edge in place when only the zoom follows
+        targetViewport.startIndex = endIndex - targetViewport.visibleCount;
+    }
+
+    if (options.visibleRange && sourceViewport.allData.length > 0) {
+        if (sourceViewport.isAtRightEdge()) {
+            const emptySlots = sourceViewport.startIndex + sourceViewport.visibleCount - sourceViewport.allData.length;
+            targetViewport.startIndex = targetViewport.allData.length + emptySlots - targetViewport.visibleCount;
+        } else {
+            const startTime = sourceViewport.allData[sourceViewport.startIndex].time;
+            targetViewport.startIndex = findIndexAtOrBeforeTime(targetViewport.allData, startTime);
+        }
+    }
+
+    targetViewport.maxStartIndex = Math.max(0, targetViewport.allData.length - targetViewport.visibleCount + targetViewport.rightPadding);
+    targetViewport.startIndex = Math.max(0, Math.min(targetViewport.maxStartIndex, targetViewport.startIndex));
+
+    if (targetViewport.startIndex !== previousStart || targetViewport.visibleCount !== previousCount) {
+        target.render();
+    }
+}
@@ -213,6 +213,18 @@ export class ClickHandler {
             position: { x, y }
         };
 
+        // Renko, Kagi, Point & Figure and line break bars cover a range of bars
+        if (data.startTime !== undefined) {
+            detail.data.startTime = data.startTime;
+            detail.data.endTime = data.endTime;
+        }
+
+        // Point of a custom series under the click, see StockChart.registerSeriesType
+        const series = this.stockChart.hitTestSeries(x, y);
+        if (series) {
+            detail.series = series;
+        }
+
         const event = new CustomEvent('candleClick', {
             detail,
             bubbles: true,
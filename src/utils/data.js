@@ -10,9 +10,14 @@ export class DataViewport {
     /**
      * @param {Array<object>} allData - The complete dataset.
      * @param {number} initialVisibleCount - The initial number of data points visible.
+     * @param {number} [rightPadding=0] - Number of empty slots kept to the right of the latest data point.
+     * @param {function(Object): void} [onRequestOlderData] - Called when the viewport needs data older than the first data point.
      */
-    constructor(allData, initialVisibleCount, rightPadding = 0) {
+    constructor(allData, initialVisibleCount, rightPadding = 0, onRequestOlderData = null) {
         this.allData = allData;
+        this.onRequestOlderData = onRequestOlderData;
+        // Oldest time already requested, so the request is not repeated on every wheel tick
+        this.requestedOldestTime = null;
         // Set visible count including right padding but not exceeding total data plus padding
         this.visibleCount = Math.min(initialVisibleCount, allData.length + rightPadding);
         this.rightPadding = rightPadding;
@@ -37,6 +42,14 @@ export class DataViewport {
         return this.allData.slice(this.startIndex, endIndex);
     }
 
+    /**
+     * Checks whether the newest data point is inside the viewport.
+     * @returns {boolean} True if the viewport is showing the right edge of the data.
+     */
+    isAtRightEdge() {
+        return this.startIndex + this.visibleCount >= this.allData.length;
+    }
+
     getVisibleStartEndTime() {
         const vd = this.getVisibleData();
         if (!vd || vd.length === 0) return null;
@@ -64,6 +77,13 @@ export class DataViewport {
         
         // Ensure we can't scroll too far past the beginning or end of the data
         this.startIndex = Math.max(minStart, Math.min(maxStart, newStartIndex));
+
+        // Request older data once the user scrolls to the start of the data
+        if (delta < 0 && this.startIndex === minStart) {
+            this.requestOlderData({
+                requestedCount: Math.round(this.visibleCount * 0.5) // Request 50% more data
+            });
+        }
     }
 
     /**
@@ -75,14 +95,11 @@ export class DataViewport {
         // If zooming out (zoomFactor < 1) and we're already at the start of data
         if (zoomFactor < 1 && this.startIndex <= 0) {
             // Request more data before proceeding with zoom
-            window.dispatchEvent(new CustomEvent('requestOlderData', {
-                detail: {
-                    currentOldestDataTime: this.allData[0]?.time,
-                    requestedCount: Math.round(this.visibleCount * 0.5), // Request 50% more data
-                    zoomFactor: zoomFactor,
-                    anchorIndex: anchorIndex
-                }
-            }));
+            this.requestOlderData({
+                requestedCount: Math.round(this.visibleCount * 0.5), // Request 50% more data
+                zoomFactor: zoomFactor,
+                anchorIndex: anchorIndex
+            });
             
             // Don't proceed with zoom if we're at the data boundary
             if (this.startIndex === 0) {
@@ -128,13 +145,55 @@ export class DataViewport {
 
         // Dispatch an event if we're at the start of the data and trying to zoom out
         if (this.startIndex <= minStart && zoomFactor < 1) {
-            window.dispatchEvent(new CustomEvent('requestOlderData', {
-                detail: {
-                    currentOldestDataTime: this.allData[0]?.time,
-                    requestedCount: Math.round(this.visibleCount * 0.5) // Request 50% more data
-                }
-            }));
+            this.requestOlderData({
+                requestedCount: Math.round(this.visibleCount * 0.5) // Request 50% more data
+            });
+        }
+    }
+
+    /**
+     * Requests data older than the first data point. The request is sent once per
+     * oldest data point and is allowed again after older data has been prepended.
+     * @private
+     * @param {Object} detail - Additional request details.
+     */
+    requestOlderData(detail) {
+        const oldestTime = this.allData[0]?.time;
+        if (oldestTime === undefined || oldestTime === this.requestedOldestTime) {
+            return;
         }
+        this.requestedOldestTime = oldestTime;
+
+        if (typeof this.onRequestOlderData === 'function') {
+            this.onRequestOlderData({ currentOldestDataTime: oldestTime, ...detail });
+        }
+    }
+
+    /**
+     * Shows a range of data points. The visible count is kept between the minimum and
+     * the data length plus the right padding, and the start index within the data.
+     * @param {number} startIndex - Index of the first visible data point.
+     * @param {number} visibleCount - The number of data points visible.
+     */
+    setRange(startIndex, visibleCount) {
+        this.visibleCount = Math.max(
+            Math.min(this.MIN_PORT_VISIBLE_COUNT, this.allData.length + this.rightPadding),
+            Math.min(this.allData.length + this.rightPadding, Math.round(visibleCount))
+        );
+        this.maxStartIndex = Math.max(0, this.allData.length - this.visibleCount + this.rightPadding);
+        this.startIndex = Math.max(0, Math.min(this.maxStartIndex, Math.round(startIndex)));
+    }
+
+    /**
+     * Replaces the dataset after older data points were added to its start.
+     * The start index is shifted so the visible data points don't move.
+     * @param {Array<object>} newData - The new complete dataset.
+     * @param {number} prependedCount - Number of data points added before the previous first data point.
+     */
+    prependData(newData, prependedCount) {
+        this.allData = newData;
+        this.startIndex += prependedCount;
+        this.maxStartIndex = Math.max(0, this.allData.length - this.visibleCount + this.rightPadding);
     }
 
     /**
@@ -147,6 +206,28 @@ export class DataViewport {
     }
 }
 
+/**
+ * Finds the last data point whose time is at or before the given time.
+ * @param {Array<{time: number}>} data - Data points sorted by time.
+ * @param {number} time - The time to look up.
+ * @returns {number} The index of the data point, or -1 if the time is before the first data point.
+ */
+export function findIndexAtOrBeforeTime(data, time) {
+    let low = 0;
+    let high = data.length - 1;
+    let result = -1;
+    while (low <= high) {
+        const mid = (low + high) >> 1;
+        if (data[mid].time <= time) {
+            result = mid;
+            low = mid + 1;
+        } else {
+            high = mid - 1;
+        }
+    }
+    return result;
+}
+
 /**
  * Calculates the pixel position for a given data index within a plot.
  * @param {number} index - The data index.
@@ -161,6 +242,27 @@ export function getXPixel(index, startIndex, visibleCount, plotWidth, barWidth)
     return (dataIndexInView * barWidth);
 }
 
+/**
+ * Price scale modes of a plot.
+ * Percent and indexed map prices to pixels like linear and only change the axis labels.
+ */
+export const ScaleMode = /** @type {const} */ ({
+    LINEAR: 'linear',
+    LOG: 'log',
+    PERCENT: 'percent',
+    INDEXED: 'indexed'
+});
+
+/**
+ * Whether a price range is drawn logarithmically. Ranges that reach zero or below fall back to linear.
+ * @param {string} scaleMode - The scale mode of the plot.
+ * @param {number} minValue - The minimum value in the visible range.
+ * @returns {boolean}
+ */
+function isLogScale(scaleMode, minValue) {
+    return scaleMode === ScaleMode.LOG && minValue > 0;
+}
+
 /**
  * Calculates the pixel position for a given price value within a plot's y-axis.
  * @param {number} price - The price value.
@@ -168,9 +270,17 @@ export function getXPixel(index, startIndex, visibleCount, plotWidth, barWidth)
  * @param {number} maxPrice - The maximum price in the visible range.
  * @param {number} plotHeight - The height of the plot area in pixels.
  * @param {number} plotY - The y-coordinate of the top of the plot area.
+ * @param {string} [scaleMode='linear'] - The scale mode of the plot, see ScaleMode.
  * @returns {number} The y-coordinate on the canvas.
  */
-export function getYPixel(price, minPrice, maxPrice, plotHeight, plotY) {
+export function getYPixel(price, minPrice, maxPrice, plotHeight, plotY, scaleMode = ScaleMode.LINEAR) {
+    if (isLogScale(scaleMode, minPrice)) {
+        // Prices at or below zero can't be shown on a log scale, put them at the bottom
+        price = Math.log(Math.max(price, minPrice / 1e6));
+        minPrice = Math.log(minPrice);
+        maxPrice = Math.log(maxPrice);
+    }
+
     const priceRange = maxPrice - minPrice;
     if (priceRange === 0) return plotY + plotHeight / 2; // Avoid division by zero
 
@@ -186,12 +296,32 @@ export function getYPixel(price, minPrice, maxPrice, plotHeight, plotY) {
  * @param {number} plotHeight - The height of the plot area in pixels.
  * @param {number} minValue - The minimum value in the visible range.
  * @param {number} maxValue - The maximum value in the visible range.
+ * @param {string} [scaleMode='linear'] - The scale mode of the plot, see ScaleMode.
  * @returns {number} The value at the given y-coordinate.
  */
-export function getValueBasedOnY(y, plotY, plotHeight, minValue, maxValue) {
+export function getValueBasedOnY(y, plotY, plotHeight, minValue, maxValue, scaleMode = ScaleMode.LINEAR) {
     if (plotHeight === 0) return (maxValue + minValue) / 2; // Avoid division by zero
 
     const normalizedY = 1 - ((y - plotY) / plotHeight); // Invert Y axis
+    if (isLogScale(scaleMode, minValue)) {
+        const logMin = Math.log(minValue);
+        return Math.exp(logMin + normalizedY * (Math.log(maxValue) - logMin));
+    }
+
     const valueRange = maxValue - minValue;
     return minValue + (normalizedY * valueRange);
+}
+
+/**
+ * The value shown on the price axis for a price.
+ * @param {number} price - The price value.
+ * @param {string} scaleMode - The scale mode of the plot, see ScaleMode.
+ * @param {number} baseValue - The value of the first visible bar, used by the percent and indexed modes.
+ * @returns {number} The change from the base value in percent, the price indexed to 100 at the base value, or the price itself.
+ */
+export function toScaleValue(price, scaleMode, baseValue) {
+    if (!baseValue) return price;
+    if (scaleMode === ScaleMode.PERCENT) return (price / baseValue - 1) * 100;
+    if (scaleMode === ScaleMode.INDEXED) return (price / baseValue) * 100;
+    return price;
 }
\ No newline at end of file
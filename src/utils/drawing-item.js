@@ -1,19 +1,35 @@
+import { getYPixel } from './data.js';
+import { calculateVolumeProfile, drawVolumeProfile } from './volume-profile.js';
+
 /**
  * @typedef {object} DrawingItemPoints
  * @property {number} time - The time value (x-coordinate)
  * @property {number} price - The price value (y-coordinate)
  */
 
+/**
+ * Style of a drawing item. A volume profile drawing also reads its rows, value area,
+ * width and colors from it.
+ * @typedef {{strokeStyle: string, lineWidth: number, fillStyle: string} & import('../stock-chart.d.ts').VolumeProfileOptions} DrawingItemStyle
+ */
+
 /**
  * Base class for all drawing items
  */
 class DrawingItem {
     constructor(type) {
         this.type = type;
+        // Identifies the drawing across saves and browser tabs
+        this.id = `drawing_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        // Time of the last saved change in milliseconds, decides which tab's version wins
+        this.updatedAt = Date.now();
         /**
          * @type {DrawingItemPoints[]} points
          */
         this.points = []; // Array of {time, price} points
+        /**
+         * @type {DrawingItemStyle} style
+         */
         this.style = {
             strokeStyle: '#000000',
             lineWidth: 1,
@@ -61,12 +77,8 @@ class DrawingItem {
         // Calculate the x coordinate based on its position relative to the viewport's start index.
         const x = plotLayout.x + ((nearestTimeIndex - viewport.startIndex) * barWidth) + barWidth / 2;
 
-        // Calculate y coordinate
-        const priceRange = maxPrice - minPrice;
-        // Avoid division by zero if price range is zero
-        const y = priceRange > 0
-            ? plotLayout.y + ((maxPrice - price) / priceRange) * plotLayout.height
-            : plotLayout.y + plotLayout.height / 2; // Middle of the plot if no range
+        // Calculate y coordinate in the price scale mode of the plot
+        const y = getYPixel(price, minPrice, maxPrice, plotLayout.height, plotLayout.y, plotLayout.scaleMode);
 
         // If we don't ignore price limits and the calculated y is outside the plot, return null.
         // This check is now less critical as we draw the line to the boundary, but can be useful.
@@ -95,9 +107,11 @@ class DrawingItem {
      */
     toJSON() {
         return {
+            id: this.id,
             type: this.type,
             points: this.points,
-            style: this.style
+            style: this.style,
+            updatedAt: this.updatedAt
         };
     }
 
@@ -108,6 +122,9 @@ class DrawingItem {
     fromJSON(json) {
         this.points = json.points;
         this.style = json.style;
+        // Drawings saved before ids existed keep the generated id
+        if (json.id) this.id = json.id;
+        this.updatedAt = json.updatedAt ?? 0;
     }
 }
 
@@ -472,5 +489,47 @@ class FibonacciZoonDrawing extends DrawingItem {
     }
 }
 
+/**
+ * Fixed range volume profile - the volume at price of the bars between two dates.
+ * Only the times of the points are used, rows, valueAreaPercent, width and the colors are in the style.
+ */
+class VolumeProfileDrawing extends DrawingItem {
+    constructor() {
+        super('volume-profile');
+    }
+
+    draw(ctx, plotLayout, viewport, minPrice, maxPrice, currentTheme) {
+        if (this.points.length < 2 || !viewport?.allData) return;
+
+        const startTime = Math.min(this.points[0].time, this.points[1].time);
+        const endTime = Math.max(this.points[0].time, this.points[1].time);
+        const start = this.getPixelCoordinates(startTime, minPrice, plotLayout, viewport, minPrice, maxPrice);
+        const end = this.getPixelCoordinates(endTime, minPrice, plotLayout, viewport, minPrice, maxPrice);
+        if (!start || !end) return;
+
+        const halfBarWidth = plotLayout.width / viewport.visibleCount / 2;
+        const area = { x: start.x - halfBarWidth, width: end.x - start.x + halfBarWidth * 2 };
+        const toY = price => getYPixel(price, minPrice, maxPrice, plotLayout.height, plotLayout.y, plotLayout.scaleMode);
+
+        const bars = viewport.allData.filter(d => d.time >= startTime && d.time <= endTime);
+        const profile = calculateVolumeProfile(bars, this.style);
+
+        // Frame the range so it stays visible without volume
+        const topY = profile ? toY(profile.rows[profile.rows.length - 1].high) : plotLayout.y;
+        const bottomY = profile ? toY(profile.rows[0].low) : plotLayout.y + plotLayout.height;
+        ctx.fillStyle = this.style.fillStyle;
+        ctx.fillRect(area.x, Math.min(topY, bottomY), area.width, Math.abs(bottomY - topY));
+        ctx.strokeStyle = this.style.strokeStyle;
+        ctx.lineWidth = this.style.lineWidth;
+        ctx.setLineDash([4, 4]);
+        ctx.strokeRect(area.x, Math.min(topY, bottomY), area.width, Math.abs(bottomY - topY));
+        ctx.setLineDash([]);
+
+        if (profile) {
+            drawVolumeProfile(ctx, profile, area, toY, this.style, currentTheme);
+        }
+    }
+}
+
 // Export the classes
-export { DrawingItem, LineDrawing, RectangleDrawing, FibonacciDrawing, FibonacciZoonDrawing };
+export { DrawingItem, LineDrawing, RectangleDrawing, FibonacciDrawing, FibonacciZoonDrawing, VolumeProfileDrawing };
@@ -21,11 +21,11 @@ function isDarkColor(color) {
     return luminance < 0.5;
 }
 
-import { calculateBollingerBands, calculateDeMarker, calculateEMA, calculateMACD, calculateRSI, calculateSMA } from '../indicators/indicator-utils.js';
-import { DataViewport, getXPixel } from './data.js';
-import { DrawingItem, LineDrawing, RectangleDrawing, FibonacciDrawing, FibonacciZoonDrawing } from './drawing-item.js';
+import { getIndicator, getIndicators, withDefaultSettings } from '../indicators/indicator-registry.js';
+import { DataViewport, getValueBasedOnY, getXPixel } from './data.js';
+import { DrawingItem, LineDrawing, RectangleDrawing, FibonacciDrawing, FibonacciZoonDrawing, VolumeProfileDrawing } from './drawing-item.js';
 import { PlotLayoutManager } from './layout.js';
-import { indexedDBHelper } from './indexeddb-helper.js';
+import { isSameDrawingVersions, mergeDrawings } from './tab-sync.js';
 /**
  * @typedef {Object} StockChart
  * @property {HTMLCanvasElement} canvas - The chart canvas element.
@@ -38,13 +38,33 @@ import { indexedDBHelper } from './indexeddb-helper.js';
  * @property {Function} setDrawingTool - Function to set the active drawing tool
  * @property {Function} render - Function to render/redraw the chart
  * @property {Function} loadIndicatorSettings - Function to load indicator settings
+ * @property {import('../stock-chart.d.ts').StorageAdapter} storage - Where drawings and indicator settings are saved
+ * @property {import('./tab-sync.js').TabSync|null} tabSync - Syncs drawings and indicators with other tabs, null when off
  * @property {Function} applyTheme - Function to apply the current theme
+ * @property {Function} emit - Function to emit a public chart event
+ * @property {function(): string} getIndicatorScopeKey - Key of the saved indicator set in use
+ * @property {function(): string} getIndicatorScope - Scope of the saved indicators
+ * @property {function(string): void} setIndicatorScope - Function to switch to another indicator scope
+ * @property {function(): Promise<Array<import('../stock-chart.d.ts').IndicatorTemplate>>} getIndicatorTemplates - Function to load the indicator templates
+ * @property {function(string): Promise<void>} saveIndicatorTemplate - Function to save the indicators on the chart as a template
+ * @property {function(string): Promise<boolean>} applyIndicatorTemplate - Function to replace the indicators with a template
+ * @property {function(string): Promise<boolean>} deleteIndicatorTemplate - Function to delete a template
  */
 
 /**
  * @typedef {LineDrawing | RectangleDrawing} Drawing
  */
 
+/**
+ * Content of a drawing without its modification time, to tell whether it changed.
+ * @param {Object} drawingJSON - The result of the drawing's toJSON()
+ * @returns {string}
+ */
+function getDrawingSnapshot(drawingJSON) {
+    const { updatedAt, ...content } = drawingJSON;
+    return JSON.stringify(content);
+}
+
 /**
  * Manages drawing tools and annotations on the chart
  */
@@ -63,6 +83,20 @@ export class DrawingPanel {
         this.isEditing = false;
         this._isChartFrozen = false;
         this.editPlotId = null;
+        // Active indicator instances keyed by their first plot id:
+        // { indicatorId, settings, plotIds, idSuffix, updater } where updater is null without incremental support
+        // and idSuffix is appended to the plot ids of further instances of the same indicator, e.g. 'rsi_2'
+        this.indicatorInstances = new Map();
+        this.settingsOverlay = null;
+        this.isDestroyed = false;
+        // Bumped by every load from the storage and by setDrawings, so only the latest one applies
+        this.drawingsLoadToken = 0;
+        // Pending saves of indicator settings, see updateSavedIndicators
+        this.indicatorSaveQueue = Promise.resolve();
+        // Content of the drawings as last saved or loaded by id, to tell which ones changed or were deleted
+        this.savedDrawings = new Map();
+        // Deletion time of the drawings deleted since they were loaded by id, so other tabs don't bring them back
+        this.deletedDrawings = new Map();
 
         // We'll calculate barWidth dynamically when needed instead of storing it
         
@@ -122,10 +156,42 @@ export class DrawingPanel {
                 strokeStyle: stockChart.options.theme === 'dark' ? '#ffffffc5' : '#000000a9',
                 lineWidth: 1,
                 fillStyle: 'rgba(76, 175, 80, 0.1)'
+            },
+            'volume-profile': {
+                strokeStyle: '#2196F3',
+                lineWidth: 1,
+                fillStyle: 'rgba(33, 150, 243, 0.05)',
+                rows: 24,
+                valueAreaPercent: 70,
+                width: 0.7
             }
         };
     }
 
+    /**
+     * Remove all listeners and dialogs and close the storage
+     */
+    destroy() {
+        this.isDestroyed = true;
+
+        this.stockChart.canvas.removeEventListener('mousedown', this.handleMouseDownBound);
+        this.stockChart.canvas.removeEventListener('mousemove', this.handleMouseMoveBound);
+        this.stockChart.canvas.removeEventListener('mouseup', this.handleMouseUpBound);
+        this.stockChart.canvas.removeEventListener('touchstart', this.handleTouchStartBound);
+        this.stockChart.canvas.removeEventListener('touchmove', this.handleTouchMoveBound);
+        this.stockChart.canvas.removeEventListener('touchend', this.handleTouchEndBound);
+
+        clearTimeout(this.touchTimeout);
+
+        if (this.settingsOverlay && this.settingsOverlay.parentNode) {
+            this.settingsOverlay.parentNode.removeChild(this.settingsOverlay);
+        }
+        this.settingsOverlay = null;
+
+        this.indicatorInstances.clear();
+        this.stockChart.storage.close?.();
+    }
+
 /**
  * Get whether the chart should be frozen (not draggable/zoomable)
  * @returns {boolean} True if the chart should be frozen
@@ -222,8 +288,7 @@ _getTouchCoordinates(touch) {
         const { minPrice, maxPrice } = priceRange;
 
         // Calculate price from y coordinate
-        const relativeY = y - mainPlotLayout.y;
-        const price = maxPrice - (relativeY / mainPlotLayout.height) * (maxPrice - minPrice);
+        const price = getValueBasedOnY(y, mainPlotLayout.y, mainPlotLayout.height, minPrice, maxPrice, mainPlotLayout.scaleMode);
 
         // Create the appropriate drawing item
         switch (type) {
@@ -245,6 +310,9 @@ _getTouchCoordinates(touch) {
             case 'vertical-line':
                 this.currentDrawing = new LineDrawing(barWidth, 'vertical-line');
                 break;
+            case 'volume-profile':
+                this.currentDrawing = new VolumeProfileDrawing();
+                break;
             default:
                 return;
         }
@@ -328,9 +396,8 @@ _getTouchCoordinates(touch) {
             if (!priceRange) return;
 
             // Calculate price from y coordinate
-            const relativeY = y - mainPlot.y;
             const { minPrice, maxPrice } = priceRange;
-            const price = maxPrice - (relativeY / mainPlot.height) * (maxPrice - minPrice);
+            const price = getValueBasedOnY(y, mainPlot.y, mainPlot.height, minPrice, maxPrice, mainPlot.scaleMode);
 
             let needsRender = false;
 
@@ -396,12 +463,23 @@ _getTouchCoordinates(touch) {
         if (this.isEditing) {
             // Keep editing mode active, just release the point being edited
             this.selectedPoint = null;
+            if (this.selectedDrawing && this.editStartPoints !== JSON.stringify(this.selectedDrawing.points)) {
+                this.stockChart.emit('drawingUpdated', {
+                    drawing: this.selectedDrawing.toJSON(),
+                    index: this.drawings.indexOf(this.selectedDrawing)
+                });
+            }
+            this.editStartPoints = null;
             // Save drawings after editing
             this.saveDrawingsToIndexedDB();
         } else if (this.isDrawing && this.currentDrawing && this.currentDrawing.points.length >= 2) {
             // Complete new drawing
             this.drawings.push(this.currentDrawing);
             this.isDrawing = false;
+            this.stockChart.emit('drawingCreated', {
+                drawing: this.currentDrawing.toJSON(),
+                index: this.drawings.length - 1
+            });
 
             // Reset drawing state but don't automatically select the drawing
             this.selectedDrawing = null;
@@ -416,91 +494,207 @@ _getTouchCoordinates(touch) {
                 this.stockChart.setDrawingTool(null);
             }
             
-            // Save drawings to IndexedDB
+            // Save drawings to the storage
             this.saveDrawingsToIndexedDB();
         }
     }
 
     /**
-     * Save all drawings to IndexedDB
+     * Save all drawings to the chart's storage, IndexedDB unless the storage option is set
      */
     async saveDrawingsToIndexedDB() {
         try {
             const chartName = this.stockChart.options?.chartName;
             if (!chartName) {
-                console.warn('No chart name provided, skipping save to IndexedDB');
+                console.warn('No chart name provided, skipping save of drawings');
                 return;
             }
 
+            // Stamp changed drawings and remember deleted ones, other tabs merge by these times
+            const now = Date.now();
+            const drawingIds = new Set(this.drawings.map(drawing => drawing.id));
+            this.drawings.forEach(drawing => {
+                const snapshot = getDrawingSnapshot(drawing.toJSON());
+                if (this.savedDrawings.get(drawing.id) !== snapshot) {
+                    drawing.updatedAt = now;
+                    this.savedDrawings.set(drawing.id, snapshot);
+                }
+            });
+            [...this.savedDrawings.keys()].filter(id => !drawingIds.has(id)).forEach(id => {
+                this.savedDrawings.delete(id);
+                this.deletedDrawings.set(id, now);
+            });
+
             // Convert drawings to JSON format
             const drawingsJSON = this.drawings.map(drawing => drawing.toJSON());
             
-            await indexedDBHelper.saveDrawings(chartName, drawingsJSON);
+            await this.stockChart.storage.saveDrawings(chartName, drawingsJSON);
+            this.stockChart.tabSync?.publishDrawings(chartName, drawingsJSON, Object.fromEntries(this.deletedDrawings));
         } catch (error) {
-            console.error('Failed to save drawings to IndexedDB:', error);
+            console.error('Failed to save drawings:', error);
         }
     }
 
     /**
-     * Load drawings from IndexedDB
+     * Load drawings from the chart's storage, IndexedDB unless the storage option is set
      */
     async loadDrawingsFromIndexedDB() {
         try {
             const chartName = this.stockChart.options?.chartName;
             if (!chartName) {
-                console.warn('No chart name provided, skipping load from IndexedDB');
+                console.warn('No chart name provided, skipping load of drawings');
                 return;
             }
+            const loadToken = ++this.drawingsLoadToken;
 
-            // First try to load drawings for the current timeframe
-            const drawingsJSON = await indexedDBHelper.loadDrawings(chartName);
-            
-            // If no drawings found for current timeframe, try loading across all timeframes
-            let allDrawingsJSON = drawingsJSON;
-            if (drawingsJSON.length === 0) {
-                allDrawingsJSON = await indexedDBHelper.loadDrawingsAcrossTimeframes(chartName);
+            const allDrawingsJSON = await this.stockChart.storage.loadDrawings(chartName);
+
+            // The chart may have been destroyed, or its drawings replaced, while loading
+            if (this.isDestroyed || loadToken !== this.drawingsLoadToken) {
+                return;
             }
             
-            // Clear existing drawings
-            this.drawings = [];
-            
-            // Recreate drawing objects from JSON
-            allDrawingsJSON.forEach(drawingJSON => {
-                let drawing;
-                
-                switch (drawingJSON.type) {
-                    case 'trend-line':
-                    case 'horizontal-line':
-                    case 'vertical-line':
-                        drawing = new LineDrawing(10, drawingJSON.type); // barWidth will be updated dynamically
-                        break;
-                    case 'rectangle':
-                        drawing = new RectangleDrawing();
-                        break;
-                    case 'fibonacci-retrace':
-                        drawing = new FibonacciDrawing(this.stockChart.options.theme);
-                        break;
-                    case 'fibonacci-zoon':
-                        drawing = new FibonacciZoonDrawing(this.stockChart.options.theme, 10); // barWidth will be updated dynamically
-                        break;
-                    default:
-                        console.warn('Unknown drawing type:', drawingJSON.type);
-                        return;
-                }
-                
-                drawing.fromJSON(drawingJSON);
-                this.drawings.push(drawing);
-            });
+            // Drawings saved before ids existed get the same id in every tab
+            this.drawings = allDrawingsJSON
+                .map((drawingJSON, index) => this.createDrawingFromJSON(drawingJSON.id ? drawingJSON : { ...drawingJSON, id: `drawing_legacy_${index}` }))
+                .filter(Boolean);
+            this.resetSavedDrawings();
             
             // Re-render the chart to show loaded drawings
             if (this.stockChart) {
                 this.stockChart.render();
             }
         } catch (error) {
-            console.error('Failed to load drawings from IndexedDB:', error);
+            console.error('Failed to load drawings:', error);
+        }
+    }
+
+    /**
+     * Take the current drawings as the saved ones, after they were loaded from the storage
+     * or unloaded for another chartName or timeframe.
+     * @private
+     */
+    resetSavedDrawings() {
+        this.savedDrawings = new Map(this.drawings.map(drawing => [drawing.id, getDrawingSnapshot(drawing.toJSON())]));
+        this.deletedDrawings.clear();
+    }
+
+    /**
+     * Merge the drawings published by another tab or chart with the same chartName, see TabSync.
+     * Drawings changed there replace the ones here. When this chart has drawings the other one
+     * lacks, the merged drawings are saved and published back, so both end up the same.
+     * @param {Array<Object>} drawingsJSON - The other chart's drawings as returned by their toJSON()
+     * @param {Object<string, number>} deleted - Deletion time of the drawings deleted there, by id
+     */
+    applyRemoteDrawings(drawingsJSON, deleted) {
+        const merged = mergeDrawings(
+            this.drawings.map(drawing => drawing.toJSON()),
+            Object.fromEntries(this.deletedDrawings),
+            drawingsJSON,
+            deleted
+        );
+
+        // Update drawings in place, so a selected drawing stays selected
+        const drawingsById = new Map(this.drawings.map(drawing => [drawing.id, drawing]));
+        this.drawings = merged.drawings.map(drawingJSON => {
+            const drawing = drawingsById.get(drawingJSON.id);
+            if (!drawing) return this.createDrawingFromJSON(drawingJSON);
+            if (drawing.updatedAt !== drawingJSON.updatedAt) drawing.fromJSON(drawingJSON);
+            return drawing;
+        }).filter(Boolean);
+
+        this.savedDrawings = new Map(this.drawings.map(drawing => [drawing.id, getDrawingSnapshot(drawing.toJSON())]));
+        this.deletedDrawings = new Map(Object.entries(merged.deleted));
+
+        if (this.selectedDrawing && !this.drawings.includes(this.selectedDrawing)) {
+            this.selectedDrawing = null;
+            this.selectedPoint = null;
+            this.isEditing = false;
+            this._isChartFrozen = false;
+        }
+        this.stockChart.render();
+
+        if (!isSameDrawingVersions(merged.drawings, drawingsJSON)) {
+            this.saveDrawingsToIndexedDB();
+        }
+    }
+
+    /**
+     * Show the indicators saved by another tab or chart in the same indicator scope, see TabSync.
+     * They are saved already, so nothing is saved again.
+     * @param {Array<import('../stock-chart.d.ts').SavedIndicator>} indicators - The saved indicators
+     */
+    applyRemoteIndicators(indicators) {
+        const remoteKeys = indicators.map(({ id, settings }) => this.getInstanceKey(id, settings));
+        const localKeys = [...this.indicatorInstances.values()]
+            .map(entry => this.getInstanceKey(entry.indicatorId, entry.settings));
+
+        // An instance being edited in the settings dialog must not be replaced by a remote one
+        const editPlotId = this.editPlotId;
+        this.editPlotId = null;
+        [...this.indicatorInstances.entries()].forEach(([plotId, entry]) => {
+            if (!remoteKeys.includes(this.getInstanceKey(entry.indicatorId, entry.settings))) {
+                this.removeIndicator(plotId, false);
+            }
+        });
+        indicators.forEach(({ id, settings }, index) => {
+            if (!localKeys.includes(remoteKeys[index])) {
+                this.addIndicatorWithSettings(id, settings, false);
+            }
+        });
+        this.editPlotId = this.indicatorInstances.has(editPlotId) ? editPlotId : null;
+
+        if (this.settingsOverlay?.parentNode) {
+            this.indicators.forEach(indicator => this.updateInstancesList(indicator.id));
         }
     }
 
+    /**
+     * Recreate a drawing from its JSON
+     * @param {Object} drawingJSON - The result of the drawing's toJSON()
+     * @returns {Object|null} The drawing, null for an unknown type
+     */
+    createDrawingFromJSON(drawingJSON) {
+        let drawing;
+        switch (drawingJSON?.type) {
+            case 'trend-line':
+            case 'horizontal-line':
+            case 'vertical-line':
+                drawing = new LineDrawing(10, drawingJSON.type); // barWidth will be updated dynamically
+                break;
+            case 'rectangle':
+                drawing = new RectangleDrawing();
+                break;
+            case 'fibonacci-retrace':
+                drawing = new FibonacciDrawing(this.stockChart.options.theme);
+                break;
+            case 'fibonacci-zoon':
+                drawing = new FibonacciZoonDrawing(this.stockChart.options.theme, 10); // barWidth will be updated dynamically
+                break;
+            case 'volume-profile':
+                drawing = new VolumeProfileDrawing();
+                break;
+            default:
+                console.warn('Unknown drawing type:', drawingJSON?.type);
+                return null;
+        }
+
+        drawing.fromJSON(drawingJSON);
+        return drawing;
+    }
+
+    /**
+     * Replace all drawings. A load from the storage that is still running is discarded.
+     * @param {Array<Object>} drawingsJSON - Drawings as returned by their toJSON()
+     */
+    setDrawings(drawingsJSON) {
+        this.drawingsLoadToken++;
+        this.drawings = drawingsJSON.map(drawingJSON => this.createDrawingFromJSON(drawingJSON)).filter(Boolean);
+        this.currentDrawing = null;
+        this.isDrawing = false;
+        this.selectedDrawing = null;
+    }
+
     /**
      * Handle mouse down event
      * @param {MouseEvent} event - The mouse event
@@ -696,7 +890,7 @@ _getTouchCoordinates(touch) {
 
     /**
      * Clear all drawings
-     * @param {boolean} removeFromDb - Whether to also remove from IndexedDB
+     * @param {boolean} removeFromDb - Whether to also remove from the storage
      */
     async clearDrawings(removeFromDb = false) {
         this.drawings = [];
@@ -705,16 +899,13 @@ _getTouchCoordinates(touch) {
         this.selectedDrawing = null;
         
         if (!removeFromDb) {
+            // The drawings stay saved, they are only unloaded
+            this.resetSavedDrawings();
             return;
         }
-        // Also clear from IndexedDB
-        try {
-            const chartName = this.stockChart.options?.chartName;
-            if (chartName) {
-                await indexedDBHelper.saveDrawings(chartName, []);
-            }
-        } catch (error) {
-            console.error('Failed to clear drawings from IndexedDB:', error);
+        // Also clear from the storage, which deletes them in other tabs as well
+        if (this.stockChart.options?.chartName) {
+            await this.saveDrawingsToIndexedDB();
         }
     }
 
@@ -840,6 +1031,7 @@ _getTouchCoordinates(touch) {
                 break;
             case 'fibonacci-retrace':
             case 'fibonacci-zoon':
+            case 'volume-profile':
                 const times = this.stockChart.dataViewport.getVisibleStartEndTime();
                 drawing.draw(ctx, 
                     this.stockChart.plotLayoutManager.getPlotLayout('main'),
@@ -1041,6 +1233,9 @@ _getTouchCoordinates(touch) {
                 return this.isPointInRectangle(x, y, screenPoints);
             case 'fibonacci-retrace':
                 return this.isPointNearLine(x, y, screenPoints, 10); // Handle like a line
+            case 'volume-profile':
+                // Only the dates of the points matter
+                return x >= Math.min(screenPoints[0].x, screenPoints[1].x) && x <= Math.max(screenPoints[0].x, screenPoints[1].x);
             default:
                 return false;
         }
@@ -1177,6 +1372,8 @@ _getTouchCoordinates(touch) {
                 this.selectedDrawing = result.drawing;
                 this.selectedPoint = result.pointIndex;
                 this.isEditing = true;
+                // Snapshot the points so completeDrawing() only reports real changes
+                this.editStartPoints = JSON.stringify(result.drawing.points);
                 return true;
             }
         }
@@ -1197,125 +1394,14 @@ _getTouchCoordinates(touch) {
      */
     importDrawings(jsonString) {
         try {
-            const drawings = JSON.parse(jsonString);
-            this.drawings = drawings;
+            this.setDrawings(JSON.parse(jsonString));
         } catch (error) {
             console.error('Failed to import drawings:', error);
         }
     }
     showIndicatorSettings(options = {}) {
         const { indicatorId: editIndicatorId, settings: editSettings, plotId: editPlotId } = options;
-        this.indicators = [
-            {
-                name: 'SMA',
-                id: 'sma',
-                settings: [
-                    { key: 'period', label: 'Period', type: 'number', default: 20, min: 1, max: 200 },
-                    { key: 'priceType', label: 'Price Type', type: 'select', default: 'close',
-                    options: [
-                        { value: 'close', label: 'Close' },
-                        { value: 'hlc/3', label: 'HLC/3' },
-                        { value: 'ohlc/4', label: 'OHLC/4' },
-                        { value: 'hlcc/4', label: 'HLCC/4' }
-                    ]
-                    },
-                    { key: 'lineColor', label: 'Line Color', type: 'color', default: '#2196F3' }
-                ]
-            },
-            { 
-                name: 'EMA', 
-                id: 'ema',
-                settings: [
-                    { key: 'period', label: 'Period', type: 'number', default: 20, min: 1, max: 200 },
-                    { key: 'priceType', label: 'Price Type', type: 'select', default: 'close', 
-                    options: [
-                        { value: 'close', label: 'Close' },
-                        { value: 'hlc/3', label: 'HLC/3' },
-                        { value: 'ohlc/4', label: 'OHLC/4' },
-                        { value: 'hlcc/4', label: 'HLCC/4' }
-                    ]
-                    },
-                    { key: 'lineColor', label: 'Line Color', type: 'color', default: '#FF9800' }
-                ]
-            },
-            { 
-                name: 'RSI', 
-                id: 'rsi',
-                settings: [
-                    { key: 'period', label: 'Period', type: 'number', default: 14, min: 2, max: 100 },
-                    { key: 'priceType', label: 'Price Type', type: 'select', default: 'close', 
-                    options: [
-                        { value: 'close', label: 'Close' },
-                        { value: 'hlc/3', label: 'HLC/3' },
-                        { value: 'ohlc/4', label: 'OHLC/4' },
-                        { value: 'hlcc/4', label: 'HLCC/4' }
-                    ]
-                    },
-                    // { key: 'overbought', label: 'Overbought Level', type: 'number', default: 70, min: 50, max: 90 },
-                    // { key: 'oversold', label: 'Oversold Level', type: 'number', default: 30, min: 10, max: 50 },
-                    { key: 'lineColor', label: 'RSI Line Color', type: 'color', default: '#9C27B0' },
-                    // { key: 'overboughtColor', label: 'Overbought Color', type: 'color', default: '#F44336' },
-                    // { key: 'oversoldColor', label: 'Oversold Color', type: 'color', default: '#4CAF50' }
-                ]
-            },
-            {
-                id: 'macd',
-                name: 'MACD',
-                plots: [
-                    { name: 'MACD Line', type: 'line' },
-                    { name: 'Signal Line', type: 'line' },
-                    { name: 'Histogram', type: 'histogram' }
-                ],
-                settings: [
-                    { key: 'fastPeriod', label: 'Fast Period', type: 'number', default: 12, min: 1, max: 50 },
-                    { key: 'slowPeriod', label: 'Slow Period', type: 'number', default: 26, min: 1, max: 100 },
-                    { key: 'signalPeriod', label: 'Signal Period', type: 'number', default: 9, min: 1, max: 50 },
-                    { key: 'priceType', label: 'Price Type', type: 'select', default: 'close',
-                    options: [
-                        { value: 'close', label: 'Close' },
-                        { value: 'hlc/3', label: 'HLC/3' },
-                        { value: 'ohlc/4', label: 'OHLC/4' },
-                        { value: 'hlcc/4', label: 'HLCC/4' }
-                    ]
-                    },
-                    { key: 'macdColor', label: 'MACD Line Color', type: 'color', default: '#2196F3' },
-                    { key: 'signalColor', label: 'Signal Line Color', type: 'color', default: '#FF9800' },
-                    { key: 'histogramColor', label: 'Histogram Color', type: 'color', default: '#4CAF50' }
-                ]
-            },
-            { 
-                name: 'Bollinger Bands', 
-                id: 'bollinger',
-                settings: [
-                    { key: 'period', label: 'Period', type: 'number', default: 20, min: 2, max: 100 },
-                    { key: 'stdDev', label: 'Standard Deviation', type: 'number', default: 2, min: 0.1, max: 5, step: 0.001 },
-                    { key: 'priceType', label: 'Price Type', type: 'select', default: 'close', 
-                    options: [
-                        { value: 'close', label: 'Close' },
-                        { value: 'hlc/3', label: 'HLC/3' },
-                        { value: 'ohlc/4', label: 'OHLC/4' },
-                        { value: 'hlcc/4', label: 'HLCC/4' }
-                    ]
-                    },
-                    { key: 'upperBandColor', label: 'Upper Band Color', type: 'color', default: '#3F51B5' },
-                    { key: 'middleBandColor', label: 'Middle Band Color', type: 'color', default: '#2196F3' },
-                    { key: 'lowerBandColor', label: 'Lower Band Color', type: 'color', default: '#3F51B5' },
-                    // { key: 'fillColor', label: 'Fill Color', type: 'color', default: '#E1F5FE', opacity: true }
-                ]
-            },
-            { 
-                name: 'DeMarker', 
-                id: 'demarker',
-                settings: [
-                    { key: 'period', label: 'Period', type: 'number', default: 14, min: 1, max: 100 },
-                    // { key: 'overbought', label: 'Overbought Level', type: 'number', default: 0.7, min: 0.5, max: 0.9, step: 0.01 },
-                    // { key: 'oversold', label: 'Oversold Level', type: 'number', default: 0.3, min: 0.1, max: 0.5, step: 0.01 },
-                    { key: 'lineColor', label: 'DeMarker Line Color', type: 'color', default: '#607D8B' },
-                    // { key: 'overboughtColor', label: 'Overbought Color', type: 'color', default: '#F44336' },
-                    // { key: 'oversoldColor', label: 'Oversold Color', type: 'color', default: '#4CAF50' }
-                ]
-            }
-        ];
+        this.indicators = getIndicators().map(({ id, name, settingsSchema }) => ({ id, name, settings: settingsSchema }));
 
         // Create overlay
         const overlay = document.createElement('div');
@@ -1394,6 +1480,18 @@ _getTouchCoordinates(touch) {
                         white-space: nowrap;
                         min-width: 80px;
                     ">Theme</button>
+                    <button class="tab-btn" data-tab="indicator-sets" style="
+                        flex: 0 0 auto;
+                        padding: 12px 16px;
+                        border: none;
+                        background: transparent;
+                        color: ${isDarkTheme ? '#aaa' : '#666'};
+                        cursor: pointer;
+                        border-bottom: 2px solid transparent;
+                        font-weight: 500;
+                        white-space: nowrap;
+                        min-width: 80px;
+                    ">Indicator Sets</button>
                 </div>
             </div>
 
@@ -1502,6 +1600,29 @@ _getTouchCoordinates(touch) {
                         </form>
                     </div>
                 </div>
+                <div id="indicator-sets-tab" class="tab-pane" style="display: none;">
+                    <div class="indicator-sets-settings">
+                        <h4 style="margin: 0 0 20px 0; color: ${currentTheme.textColor || '#333'}; font-size: 16px;">Saved Indicators</h4>
+                        <div class="form-group" style="margin-bottom: 16px;">
+                            <label style="display: block; margin-bottom: 6px; color: ${currentTheme.textColor || '#333'}; font-weight: 500; font-size: 14px;">Share Indicators With</label>
+                            <select name="indicatorScope" style="width: 100%; padding: 8px 12px; border: 1px solid ${currentTheme.gridColor || '#ddd'}; border-radius: 4px; font-size: 14px; background: ${isDarkTheme ? currentTheme.chartAreaBackground || '#2c2c2c' : 'white'}; color: ${currentTheme.textColor || '#333'};">
+                                <option value="global">All charts</option>
+                                <option value="symbol">This symbol</option>
+                                <option value="timeframe">This timeframe</option>
+                            </select>
+                        </div>
+                        <form class="settings-form" id="template-form" style="margin-top: 24px; padding-top: 20px; border-top: 1px solid ${currentTheme.gridColor || '#e0e0e0'};">
+                            <h5 style="margin: 0 0 12px 0; color: ${currentTheme.textColor || '#333'}; font-size: 14px;">Templates</h5>
+                            <div style="display: flex; gap: 12px;">
+                                <input type="text" name="templateName" placeholder="Template name, e.g. Swing setup" required maxlength="60" style="flex: 1; padding: 8px 12px; border: 1px solid ${currentTheme.gridColor || '#ddd'}; border-radius: 4px; font-size: 14px; background: ${isDarkTheme ? currentTheme.chartAreaBackground || '#2c2c2c' : 'white'}; color: ${currentTheme.textColor || '#333'};">
+                                <button type="submit" class="save-template-btn" style="background: #00c2ff; color: white; border: none; padding: 10px 20px; border-radius: 4px; cursor: pointer; font-size: 14px; font-weight: 500; white-space: nowrap;">Save Current Indicators</button>
+                            </div>
+                        </form>
+                        <div id="indicator-templates-list" style="margin-top: 16px;">
+                            <!-- Saved templates will be populated here -->
+                        </div>
+                    </div>
+                </div>
                 ${this.indicators.map((indicator, index) => `
                     <div id="${indicator.id}-tab" class="tab-pane" style="display: none;">
                         <div class="indicator-settings">
@@ -1671,6 +1792,7 @@ _getTouchCoordinates(touch) {
 
         overlay.appendChild(dialog);
         document.body.appendChild(overlay);
+        this.settingsOverlay = overlay;
 
         // Initialize the dialog
         this.initializeIndicatorDialog(overlay, this.indicators, { editIndicatorId, editSettings, editPlotId });
@@ -1746,6 +1868,25 @@ _getTouchCoordinates(touch) {
             }, 2000);
         });
         
+        // Handle where saved indicators are shared
+        const scopeSelect = dialog.querySelector('select[name="indicatorScope"]');
+        scopeSelect.value = this.stockChart.getIndicatorScope();
+        scopeSelect.addEventListener('change', async (event) => {
+            await this.stockChart.setIndicatorScope(event.target.value);
+            indicators.forEach(indicator => this.updateInstancesList(indicator.id));
+        });
+
+        // Handle saving the current indicators as a template
+        const templateForm = dialog.querySelector('#template-form');
+        templateForm.addEventListener('submit', async (event) => {
+            event.preventDefault();
+            const nameInput = templateForm.querySelector('input[name="templateName"]');
+            await this.stockChart.saveIndicatorTemplate(nameInput.value);
+            nameInput.value = '';
+            this.updateTemplatesList();
+        });
+        this.updateTemplatesList();
+
         // Main group switching functionality
         const mainTabBtns = dialog.querySelectorAll('.main-tab-btn');
         const tabGroups = dialog.querySelectorAll('.tab-group');
@@ -1861,13 +2002,15 @@ _getTouchCoordinates(touch) {
                     targetTab.style.display = 'block';
                 }
 
+                const isIndicatorTab = indicators.some(indicator => indicator.id === btn.dataset.tab);
+
                 // Update instances list for indicators
-                if (btn.dataset.tab !== 'theme') {
+                if (isIndicatorTab) {
                     this.updateInstancesList(btn.dataset.tab);
                 }
 
                 // Reset form for this indicator (only if not editing)
-                if (btn.dataset.tab !== 'theme') {
+                if (isIndicatorTab) {
                     const form = targetTab.querySelector('form');
                     if (form && !this.editPlotId) {
                         form.reset();
@@ -1937,7 +2080,17 @@ _getTouchCoordinates(touch) {
         });
 
         // Preview functionality
-        dialog.addEventListener('click', (event) => {
+        dialog.addEventListener('click', async (event) => {
+
+            // Template functionality
+            if (event.target.classList.contains('apply-template-btn')) {
+                await this.stockChart.applyIndicatorTemplate(event.target.dataset.template);
+                indicators.forEach(indicator => this.updateInstancesList(indicator.id));
+            }
+            if (event.target.classList.contains('delete-template-btn')) {
+                await this.stockChart.deleteIndicatorTemplate(event.target.dataset.template);
+                this.updateTemplatesList();
+            }
 
             // Remove instance functionality
             if (event.target.classList.contains('remove-instance-btn')) {
@@ -2090,22 +2243,12 @@ _getTouchCoordinates(touch) {
             `;
         } 
         else {
-            const renderInstances = [];
-            // find unique name from instances
-            const uniqueNames = new Set(instances.map(instance => instance.name));
-            uniqueNames.forEach(name => {
-                const instance = instances.find(inst => inst.name === name);
-                if (instance) {
-                    renderInstances.push(instance);
-                }
-            });
-
             const backgroundColor = isDarkColor ? '#333' : '#f9f9f9';
             const borderColor = isDarkColor ? '#555' : '#e0e0e0';
             const textColor = isDarkColor ? '#f9f9f9' : '#333';
             const subTextColor = isDarkColor ? '#bbb' : '#666';
-            // For single-plot indicators, show all instances
-            instancesContainer.innerHTML = renderInstances.map(instance => {
+            // Show every instance, also several of the same indicator
+            instancesContainer.innerHTML = instances.map(instance => {
                 const isEditing = this.editPlotId === instance.plotId;
                 const editingStyle = isEditing ? `
                     border-color: #007bff;
@@ -2158,6 +2301,68 @@ _getTouchCoordinates(touch) {
         }
     }
 
+    /**
+     * Show the saved indicator templates in the settings dialog. Built with textContent
+     * as the names are typed by users.
+     * @returns {Promise<void>}
+     */
+    async updateTemplatesList() {
+        const container = document.querySelector('#indicator-templates-list');
+        if (!container) return;
+
+        const templates = await this.stockChart.getIndicatorTemplates();
+        const currentTheme = this.stockChart.currentTheme;
+        const isDarkTheme = currentTheme.name === 'dark' ||
+                           (currentTheme.background && isDarkColor(currentTheme.background));
+        container.replaceChildren();
+
+        if (templates.length === 0) {
+            const empty = document.createElement('div');
+            empty.style.cssText = 'color: #666; font-style: italic; padding: 12px; text-align: center; border: 1px dashed #ddd; border-radius: 4px;';
+            empty.textContent = 'No templates saved yet';
+            container.appendChild(empty);
+            return;
+        }
+
+        const createButton = (className, text, background, color, templateName) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = className;
+            button.dataset.template = templateName;
+            button.textContent = text;
+            button.style.cssText = `background: ${background}; color: ${color}; border: none; padding: 4px 8px; border-radius: 3px; cursor: pointer; font-size: 11px;`;
+            return button;
+        };
+
+        templates.forEach(template => {
+            const item = document.createElement('div');
+            item.className = 'template-item';
+            item.style.cssText = `display: flex; align-items: center; justify-content: space-between; padding: 10px 12px; border: 1px solid ${isDarkTheme ? '#555' : '#e0e0e0'}; border-radius: 4px; margin-bottom: 8px; background: ${isDarkTheme ? '#333' : '#f9f9f9'};`;
+
+            const info = document.createElement('div');
+            info.style.flex = '1';
+            const name = document.createElement('div');
+            name.style.cssText = `font-weight: 500; color: ${isDarkTheme ? '#f9f9f9' : '#333'}; font-size: 13px;`;
+            name.textContent = template.name;
+            const summary = document.createElement('div');
+            summary.style.cssText = `color: ${isDarkTheme ? '#bbb' : '#666'}; font-size: 11px;`;
+            summary.textContent = template.indicators
+                .map(({ id }) => this.indicators.find(indicator => indicator.id === id)?.name || id)
+                .join(', ') || 'No indicators';
+            info.append(name, summary);
+
+            const actions = document.createElement('div');
+            actions.style.cssText = 'display: flex; gap: 6px;';
+            actions.append(
+                createButton('apply-template-btn', 'Apply', '#00c2ff', 'white', template.name),
+                createButton('delete-template-btn', 'Delete', '#dc3545', 'white', template.name)
+            );
+
+            item.append(info, actions);
+            container.appendChild(item);
+        });
+    }
+
     getColorIndicatorsForInstance(instance) {
         // Extract color settings from instance and display them as small color squares
         const colorSettings = Object.entries(instance.settings).filter(([key, value]) => 
@@ -2194,12 +2399,13 @@ _getTouchCoordinates(touch) {
             return [];
         }
         
-        return this.stockChart.options.plots
-            .filter(plot => plot.indicator && plot.indicator.id === indicatorId)
-            .map(plot => ({
-                name: plot.indicator.name,
-                plotId: plot.id,
-                settings: plot.indicator.settings || {}
+        // One entry per instance, multi-plot indicators like MACD are listed once
+        return [...this.indicatorInstances.entries()]
+            .filter(([, entry]) => entry.indicatorId === indicatorId)
+            .map(([plotId, entry]) => ({
+                name: this.stockChart.options.plots.find(plot => plot.id === plotId)?.indicator?.name || indicatorId,
+                plotId,
+                settings: entry.settings || {}
             }));
     }
 
@@ -2207,15 +2413,23 @@ _getTouchCoordinates(touch) {
      * Add a new indicator with the specified settings.
      * @param {string} indicatorId - The ID of the indicator to add.
      * @param {Object} settings - The settings for the indicator.
+     * @param {boolean} [persist=true] - Whether to also add it to the saved indicators,
+     *   false when it shows indicators saved elsewhere
      */
-    addIndicatorWithSettings(indicatorId, settings) {
+    addIndicatorWithSettings(indicatorId, settings, persist = true) {
+        const definition = getIndicator(indicatorId);
+        if (!definition) {
+            console.error(`DrawingPanel: Indicator '${indicatorId}' is not registered.`);
+            return;
+        }
+        settings = withDefaultSettings(definition, settings);
+
         if (this.editPlotId) {
             this.removeIndicator(this.editPlotId);
         }
-        const timestamp = Date.now();
         
         // Create a descriptive name based on settings
-        let name = this.getIndicatorDisplayName(indicatorId);
+        let name = definition.name;
         if (settings.period) {
             name += ` (${settings.period})`;
         }
@@ -2224,35 +2438,27 @@ _getTouchCoordinates(touch) {
             this.stockChart.options.plots = [];
         }
 
-        const valueSelector = this.getValueSelector(settings.priceType || 'close');
-
-        let data = [];
-        const mainPlotData = this.getMainPlotStockData();
-        switch (indicatorId) {
-            case 'sma':
-                data = calculateSMA(mainPlotData, settings.period, valueSelector);
-                break;
-            case 'bollinger':
-                data = calculateBollingerBands(mainPlotData, settings.period, settings.standardDeviationMultiplier, valueSelector);
-                break;
-            case 'demarker':
-                data = calculateDeMarker(mainPlotData, settings.period);
-                break;
-            case 'macd':
-                data = calculateMACD(mainPlotData, settings.fastPeriod, settings.slowPeriod, settings.signalPeriod, valueSelector);
-                break;
-            case 'ema':
-                data = calculateEMA(mainPlotData, settings.period, valueSelector);
-                break;
-            case 'rsi':
-                data = calculateRSI(mainPlotData, settings.period, valueSelector);
-                break;
-            // Add more cases for different indicators as needed
+        // Keep the updater so streamed bars can advance the indicator without a full recalculation
+        const { data, updater } = this.calculateIndicator(definition, settings, this.getMainPlotStockData());
+        const basePlots = definition.toPlots(data, settings);
+
+        // An instance with the same settings is replaced, any other gets plot ids of its own
+        const instanceKey = this.getInstanceKey(indicatorId, settings);
+        const sameInstance = [...this.indicatorInstances.values()]
+            .find(entry => this.getInstanceKey(entry.indicatorId, entry.settings) === instanceKey);
+        const idSuffix = sameInstance ? sameInstance.idSuffix : this.getFreePlotIdSuffix(basePlots);
+        const plots = this.toInstancePlots(basePlots, idSuffix);
+
+        if (plots.length > 0) {
+            this.indicatorInstances.set(plots[0].id, {
+                indicatorId,
+                settings,
+                plotIds: plots.map(plot => plot.id),
+                idSuffix,
+                updater
+            });
         }
 
-        const totalPlots = this.stockChart.options.plots?.length || 1;
-        const plots = this.getPlotsByIndicatorId(indicatorId, data, totalPlots, settings);
-
         plots.forEach((plot, idx) => {
             plot.indicator = {
                 id: indicatorId,
@@ -2283,196 +2489,182 @@ _getTouchCoordinates(touch) {
         
         this.stockChart.render();
 
-        // Save indicator settings to local storage
-        const savedIndicators = JSON.parse(localStorage.getItem('asv-chart-indicator-settings')) || [];
-        let existingIndicatorIndex;
-        if (['sma', 'ema'].includes(indicatorId)) {
-            existingIndicatorIndex = savedIndicators.findIndex(i => i.id === indicatorId && i.settings.period === settings.period);
-        }
-        else {
-            existingIndicatorIndex = savedIndicators.findIndex(i => i.id === indicatorId);
-        }
+        // Save indicator settings to the storage
+        if (persist) {
+            this.updateSavedIndicators(savedIndicators => {
+                const existingIndicatorIndex = savedIndicators.findIndex(i =>
+                    i.id === indicatorId && this.getInstanceKey(i.id, i.settings) === instanceKey
+                );
 
-        if (existingIndicatorIndex > -1) {
-            savedIndicators[existingIndicatorIndex].settings = settings;
-        } else {
-            savedIndicators.push({ id: indicatorId, settings });
+                if (existingIndicatorIndex > -1) {
+                    savedIndicators[existingIndicatorIndex].settings = settings;
+                } else {
+                    savedIndicators.push({ id: indicatorId, settings });
+                }
+                return savedIndicators;
+            });
         }
-        
-        localStorage.setItem('asv-chart-indicator-settings', JSON.stringify(savedIndicators));
 
         this.editPlotId = null;
+
+        this.stockChart.emit('indicatorAdded', {
+            indicatorId,
+            settings,
+            plotIds: plots.map(plot => plot.id)
+        });
     }
 
     /**
-     * Get the value selector function based on the price type.
-     * @param {'hlc/3' | 'ohlc/4' | 'hlcc/4' | 'close'} priceType 
-     * @returns {function} Value selector function
+     * Advance every indicator by one bar of the main plot.
+     * @param {import('../stock-chart.js').StockData} bar - The newest bar of the main plot.
+     * @param {boolean} isSamePeriod - Whether the bar replaces the last bar instead of appending a new one.
      */
-    getValueSelector(priceType) {
-        switch (priceType) {
-            case 'hlc/3':
-                return d => (d.high + d.low + d.close) / 3;
-            case 'ohlc/4':
-                return d => (d.open + d.high + d.low + d.close) / 4;
-            case 'hlcc/4':
-                return d => (d.high + d.low + d.close * 2) / 4;
-            case 'close':
-            default:
-                return d => d.close;
+    updateIndicatorsWithBar(bar, isSamePeriod) {
+        const plots = this.stockChart.options.plots;
+
+        this.indicatorInstances.forEach((entry, plotId) => {
+            // Drop instances whose plots were replaced or filtered out
+            if (!plots.some(p => p.id === plotId)) {
+                this.indicatorInstances.delete(plotId);
+                return;
+            }
+
+            const definition = getIndicator(entry.indicatorId);
+            if (!definition) return;
+
+            if (!entry.updater) {
+                // Without incremental support the whole series is calculated again
+                const rows = definition.calculate(this.getMainPlotStockData(), entry.settings);
+                this.applyIndicatorData(this.toInstancePlots(definition.toPlots(rows, entry.settings), entry.idSuffix));
+                return;
+            }
+
+            const row = entry.updater.update(bar, isSamePeriod);
+            const rowPlots = this.toInstancePlots(definition.toPlots([row], entry.settings), entry.idSuffix);
+
+            rowPlots.forEach(rowPlot => {
+                const plot = plots.find(p => p.id === rowPlot.id);
+                if (!plot || !plot.data) return;
+
+                const point = rowPlot.data[0];
+                if (isSamePeriod && plot.data.length > 0) {
+                    plot.data[plot.data.length - 1] = point;
+                } else {
+                    plot.data.push(point);
+                }
+            });
+        });
+    }
+
+    /**
+     * Recalculate every indicator from the current main plot data,
+     * e.g. after older data was prepended or the timeframe changed.
+     */
+    recalculateIndicators() {
+        const plots = this.stockChart.options.plots;
+        const mainPlotData = this.getMainPlotStockData();
+
+        // Indicator plots passed in through the chart options have no instance yet
+        plots.forEach(plot => {
+            const definition = plot.indicator && getIndicator(plot.indicator.id);
+            if (!definition || [...this.indicatorInstances.values()].some(entry => entry.plotIds.includes(plot.id))) {
+                return;
+            }
+
+            const settings = plot.indicator.settings || {};
+            const plotIds = definition.toPlots([], settings).map(p => p.id);
+            if (plotIds.includes(plot.id) && !this.indicatorInstances.has(plotIds[0])) {
+                this.indicatorInstances.set(plotIds[0], { indicatorId: definition.id, settings, plotIds, idSuffix: '', updater: null });
+            }
+        });
+
+        this.indicatorInstances.forEach((entry, plotId) => {
+            const definition = getIndicator(entry.indicatorId);
+            if (!definition || !plots.some(p => p.id === plotId)) {
+                this.indicatorInstances.delete(plotId);
+                return;
+            }
+
+            const { data, updater } = this.calculateIndicator(definition, entry.settings, mainPlotData);
+            entry.updater = updater;
+            this.applyIndicatorData(this.toInstancePlots(definition.toPlots(data, entry.settings), entry.idSuffix));
+        });
+    }
+
+    /**
+     * Calculate an indicator over the given data.
+     * Indicators with incremental support are calculated through their updater,
+     * which is returned so later bars can continue from its state.
+     * @param {import('../stock-chart.d.ts').IndicatorDefinition} definition - The indicator definition
+     * @param {Object} settings - The indicator settings
+     * @param {Array<import('../stock-chart.js').StockData>} data - The bars to calculate over
+     * @returns {{data: Array<Object>, updater: {update: function(Object, boolean=): Object} | null}}
+     */
+    calculateIndicator(definition, settings, data) {
+        const updater = definition.incremental ? definition.incremental(settings) : null;
+        if (updater) {
+            return { data: data.map(point => updater.update(point)), updater };
         }
+        return { data: definition.calculate(data, settings), updater: null };
     }
 
     /**
-     * 
-     * @param {string} indicatorId 
-     * @param {Array} data 
-     * @param {number} totalPlots
-     * @param {Object} settings
-     * @returns {Array<import('../stock-chart.js').PlotConfig>}
+     * Replace the data of existing plots with the data of freshly calculated plots with the same ids.
+     * @param {Array<import('../stock-chart.js').PlotConfig>} freshPlots - Plots returned by an indicator's toPlots()
      */
-    getPlotsByIndicatorId(indicatorId, data, totalPlots, settings) {
-        const plots = [];
-
-        switch (indicatorId) {
-            case 'macd':
-                plots.push({
-                    id: 'macd',
-                    type: 'line',
-                    heightRatio: 0.15,
-                    data: data.map(d => ({ time: d.time, value: d.macd })),
-                    keyLabel: 'MACD',
-                    style: {
-                        lineColor: settings.macdColor,
-                        lineWidth: 3
-                    }
-                });
-                plots.push({
-                    id: 'signal',
-                    type: 'line',
-                    data: data.map(d => ({ time: d.time, value: d.signal })),
-                    overlay: true,
-                    targetId: 'macd',
-                    keyLabel: 'Signal',
-                    style: {
-                        lineColor: settings.signalColor,
-                        lineWidth: 1.5
-                    }
-                });
-                plots.push({
-                    id: 'histogram',
-                    type: 'histogram',
-                    data: data.map(d => ({ time: d.time, value: d.histogram })),
-                    overlay: true,
-                    targetId: 'macd',
-                    keyLabel: 'Histogram',
-                    style: {
-                        positiveColor: 'rgba(0, 150, 136, 0.5)',
-                        negativeColor: 'rgba(233, 30, 99, 0.5)'
-                    }
-                });
-                break;
-            case 'rsi':
-                plots.push({
-                    id: 'rsi',
-                    type: 'line',
-                    heightRatio: 0.15,
-                    data: data,
-                    keyLabel: 'RSI',
-                    style: {
-                        lineColor: settings.lineColor,
-                        lineWidth: 1.5
-                    }
-                });
-                break;
-            case 'sma':
-                plots.push({
-                    id: 'sma_' + settings.period,
-                    type: 'line',
-                    data: data,
-                    targetId: 'main',
-                    keyLabel: `SMA (${settings.period})`,
-                    overlay: true,
-                    style: {
-                        lineColor: settings.lineColor,
-                        lineWidth: 1.5
-                    }
-                });
-                break;
-            case 'ema':
-                plots.push({
-                    id: 'ema_' + settings.period,
-                    type: 'line',
-                    heightRatio: 0.15,
-                    targetId: 'main',
-                    data: data,
-                    keyLabel: `EMA (${settings.period})`,
-                    overlay: true,
-                    style: {
-                        lineColor: settings.lineColor,
-                        lineWidth: 1.5
-                    }
-                });
-                break;
-            case 'bollinger':
-                plots.push({
-                    id: 'bollinger',
-                    type: 'line',
-                    heightRatio: 0.15,
-                    targetId: 'main',
-                    data: data.map(d => ({ time: d.time, value: d.upper })),
-                    overlay: true,
-                    keyLabel: 'Bollinger Bands',
-                    style: {
-                        lineColor: settings.upperBandColor,
-                        lineWidth: 1.5
-                    }
-                });
-                plots.push({
-                    id: 'bollinger_lower',
-                    type: 'line',
-                    heightRatio: 0.15,
-                    data: data.map(d => ({ time: d.time, value: d.lower })),
-                    overlay: true,
-                    targetId: 'main',
-                    keyLabel: 'Bollinger Bands',
-                    style: {
-                        lineColor: settings.lowerBandColor,
-                        lineWidth: 1.5
-                    }
-                });
-                plots.push({
-                    id: 'bollinger_middle',
-                    type: 'line',
-                    heightRatio: 0.15,
-                    data: data.map(d => ({ time: d.time, value: d.middle })),
-                    overlay: true,
-                    targetId: 'main',
-                    keyLabel: 'Bollinger Bands',
-                    style: {
-                        lineColor: settings.middleBandColor,
-                        lineWidth: 1.5
-                    }
-                });
-                break;
-            case 'demarker':
-                plots.push({
-                    id: 'demarker',
-                    type: 'line',
-                    heightRatio: 0.15,
-                    data: data,
-                    keyLabel: 'DeMarker',
-                    style: {
-                        lineColor: settings.lineColor,
-                        lineWidth: 1.5
-                    }
-                });
-                break;
+    applyIndicatorData(freshPlots) {
+        freshPlots.forEach(freshPlot => {
+            const plot = this.stockChart.options.plots.find(p => p.id === freshPlot.id);
+            if (plot) {
+                plot.data = freshPlot.data;
+            }
+        });
+    }
+
+    /**
+     * Get the key that identifies an indicator instance: the indicator id and its settings.
+     * Instances with the same key replace each other, e.g. two RSI (14) with the same color,
+     * while RSI (14) and RSI (21) are shown side by side.
+     * @param {string} indicatorId - The indicator id
+     * @param {Object} settings - The indicator settings
+     * @returns {string}
+     */
+    getInstanceKey(indicatorId, settings = {}) {
+        const sortedSettings = Object.keys(settings).sort().map(key => [key, settings[key]]);
+        return `${indicatorId}:${JSON.stringify(sortedSettings)}`;
+    }
+
+    /**
+     * Get the suffix that makes the plot ids of a new instance unique, '' when they are free
+     * and otherwise '_2', '_3' and so on.
+     * @param {Array<import('../stock-chart.js').PlotConfig>} plots - Plots returned by an indicator's toPlots()
+     * @returns {string}
+     */
+    getFreePlotIdSuffix(plots) {
+        const usedIds = new Set(this.stockChart.options.plots.map(plot => plot.id));
+        for (let n = 1; ; n++) {
+            const suffix = n === 1 ? '' : `_${n}`;
+            if (plots.every(plot => !usedIds.has(plot.id + suffix))) return suffix;
         }
+    }
+
+    /**
+     * Append an instance's suffix to the ids of its plots, and to the targetId of overlays
+     * drawn on one of them, e.g. the signal line of a second MACD.
+     * @param {Array<import('../stock-chart.js').PlotConfig>} plots - Plots returned by an indicator's toPlots()
+     * @param {string} idSuffix - The suffix of the instance
+     * @returns {Array<import('../stock-chart.js').PlotConfig>}
+     */
+    toInstancePlots(plots, idSuffix) {
+        if (!idSuffix) return plots;
+        const ids = new Set(plots.map(plot => plot.id));
+        return plots.map(plot => ({
+            ...plot,
+            id: plot.id + idSuffix,
+            targetId: ids.has(plot.targetId) ? plot.targetId + idSuffix : plot.targetId
+        }));
+    }
 
-        // @ts-ignore
-        return plots;
-    }   
 
     previewIndicator(indicatorId, settings) {
         
@@ -2529,35 +2721,46 @@ _getTouchCoordinates(touch) {
         this.updateInstancesList(indicatorId);
     }
 
+    /**
+     * Change the saved indicator settings of the chart's current scope. Changes run one after
+     * another, so quickly added or removed indicators don't overwrite each other's changes.
+     * @param {function(Array<Object>): Array<Object>} update - Gets the saved indicators and returns the new list
+     * @returns {Promise<void>}
+     */
+    updateSavedIndicators(update) {
+        const storage = this.stockChart.storage;
+        // The scope at the time of the change, the chart may move on to another symbol meanwhile
+        const scope = this.stockChart.getIndicatorScopeKey();
+        this.indicatorSaveQueue = this.indicatorSaveQueue
+            .then(async () => {
+                const savedIndicators = update(await storage.loadIndicators(scope));
+                await storage.saveIndicators(scope, savedIndicators);
+                this.stockChart.tabSync?.publishIndicators(scope, savedIndicators);
+            })
+            .catch(error => console.error('Failed to save indicator settings:', error));
+        return this.indicatorSaveQueue;
+    }
+
     /**
      * Remove an indicator from the chart
      * @param {string} plotId 
+     * @param {boolean} [persist=true] - Whether to also remove it from the saved indicators,
+     *   false when the chart switches to another set of saved indicators
      */
-    removeIndicator(plotId) {
+    removeIndicator(plotId, persist = true) {
     
         if (this.stockChart.options.plots) {
 
             const plotToRemove = this.stockChart.options.plots.find(plot => plot.id === plotId);
             
-            // For single-plot indicators (sma, ema, rsi, demarker), only remove the specific plot
-            // For multi-plot indicators (macd, bollinger), find and remove all related plots
-            let removedPlotIds = [plotId];
-            
-            if (plotToRemove && plotToRemove.indicator) {
-                const indicatorId = plotToRemove.indicator.id;
-                
-                // Multi-plot indicators have related sub-plots that should also be removed
-                if (['macd', 'bollinger'].includes(indicatorId)) {
-                    // Find all plots with the same indicator type
-                    const relatedPlots = this.stockChart.options.plots.filter(plot =>
-                        plot.indicator?.id === indicatorId
-                    );
-                    removedPlotIds = relatedPlots.map(p => p.id);
-                }
-            }
+            // Multi-plot indicators (e.g. macd, bollinger) remove all plots of the same instance
+            const instanceKey = [...this.indicatorInstances.keys()]
+                .find(key => this.indicatorInstances.get(key).plotIds.includes(plotId));
+            const removedPlotIds = instanceKey ? this.indicatorInstances.get(instanceKey).plotIds : [plotId];
             
             // Remove all plots at once
             this.stockChart.options.plots = this.stockChart.options.plots.filter(plot => !removedPlotIds.includes(plot.id));
+            this.indicatorInstances.delete(instanceKey);
             
             // Update the plot configurations in the layout manager
             this.stockChart.plotLayoutManager.updatePlotConfigurations(this.stockChart.options.plots);
@@ -2567,22 +2770,22 @@ _getTouchCoordinates(touch) {
             this.stockChart.render();
             
             if (plotToRemove && plotToRemove.indicator) {
-                // Remove indicator settings from local storage
-                const savedIndicators = JSON.parse(localStorage.getItem('asv-chart-indicator-settings')) || [];
+                // Remove indicator settings from the storage
                 const { id: indicatorId, settings: indicatorSettings } = plotToRemove.indicator;
                 
-                // For SMA/EMA, match both id and period. For others, match by id only.
-                const updatedIndicators = savedIndicators.filter(i => {
-                    if (['sma', 'ema'].includes(indicatorId)) {
-                        // Remove only the indicator with matching id AND period
-                        return !(i.id === indicatorId && i.settings.period === indicatorSettings.period);
-                    } else {
-                        // For other indicators, remove by id only
-                        return i.id !== indicatorId;
-                    }
+                // Remove only the saved instance with the same key, e.g. SMA (20) but not SMA (50)
+                const removedKey = this.getInstanceKey(indicatorId, indicatorSettings);
+                if (persist) {
+                    this.updateSavedIndicators(savedIndicators => savedIndicators.filter(i =>
+                        !(i.id === indicatorId && this.getInstanceKey(i.id, i.settings) === removedKey)
+                    ));
+                }
+
+                this.stockChart.emit('indicatorRemoved', {
+                    indicatorId,
+                    settings: indicatorSettings,
+                    plotIds: removedPlotIds
                 });
-                
-                localStorage.setItem('asv-chart-indicator-settings', JSON.stringify(updatedIndicators));
             }
         }
     }
@@ -2610,15 +2813,7 @@ _getTouchCoordinates(touch) {
     }
 
     getIndicatorDisplayName(indicatorId) {
-        const indicators = {
-            'bollinger': 'Bollinger Bands',
-            'demarker': 'DeMarker',
-            'ema': 'EMA',
-            'macd': 'MACD',
-            'rsi': 'RSI',
-            'sma': 'SMA'
-        };
-        return indicators[indicatorId] || indicatorId.toUpperCase();
+        return getIndicator(indicatorId)?.name || indicatorId.toUpperCase();
     }
 
 }
\ No newline at end of file
@@ -39,6 +39,70 @@ export function drawCandlestick(ctx, data, x, openY, highY, lowY, closeY, width,
     ctx.strokeRect(x, Math.min(openY, closeY), width, Math.abs(openY - closeY));
 }
 
+/**
+ * Draws a hollow candle: rising candles (close above open) are outlined, falling ones filled.
+ * The color shows whether the close is above or below the previous close.
+ * @param {CanvasRenderingContext2D} ctx - The canvas rendering context.
+ * @param {object} data - The candlestick data (open, high, low, close).
+ * @param {number|undefined} previousClose - The close of the previous bar.
+ * @param {number} x - The x-coordinate for the candlestick.
+ * @param {number} openY - The y-coordinate for the open price.
+ * @param {number} highY - The y-coordinate for the high price.
+ * @param {number} lowY - The y-coordinate for the low price.
+ * @param {number} closeY - The y-coordinate for the close price.
+ * @param {number} width - The width of the candlestick body.
+ * @param {import("../stock-chart.js").Theme} theme - The current theme object.
+ */
+export function drawHollowCandle(ctx, data, previousClose, x, openY, highY, lowY, closeY, width, theme) {
+    const color = data.close >= (previousClose ?? data.open) ? theme.candleUp : theme.candleDown;
+    const bodyTop = Math.min(openY, closeY);
+    const bodyBottom = Math.max(openY, closeY);
+
+    // Wicks stop at the body so they don't show through hollow bodies
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(x + width / 2, highY);
+    ctx.lineTo(x + width / 2, bodyTop);
+    ctx.moveTo(x + width / 2, bodyBottom);
+    ctx.lineTo(x + width / 2, lowY);
+    ctx.stroke();
+
+    if (data.close > data.open) {
+        ctx.strokeRect(x, bodyTop, width, bodyBottom - bodyTop);
+    } else {
+        ctx.fillStyle = color;
+        ctx.fillRect(x, bodyTop, width, Math.max(1, bodyBottom - bodyTop));
+    }
+}
+
+/**
+ * Draws an OHLC bar: a high-low line with the open tick on the left and the close tick on the right.
+ * @param {CanvasRenderingContext2D} ctx - The canvas rendering context.
+ * @param {object} data - The bar data (open, high, low, close).
+ * @param {number} x - The x-coordinate of the bar's left edge.
+ * @param {number} openY - The y-coordinate for the open price.
+ * @param {number} highY - The y-coordinate for the high price.
+ * @param {number} lowY - The y-coordinate for the low price.
+ * @param {number} closeY - The y-coordinate for the close price.
+ * @param {number} width - The width of the bar including both ticks.
+ * @param {import("../stock-chart.js").Theme} theme - The current theme object.
+ */
+export function drawOhlcBar(ctx, data, x, openY, highY, lowY, closeY, width, theme) {
+    const centerX = x + width / 2;
+
+    ctx.strokeStyle = data.close >= data.open ? theme.candleUp : theme.candleDown;
+    ctx.lineWidth = Math.max(1, Math.min(3, width / 6));
+    ctx.beginPath();
+    ctx.moveTo(centerX, highY);
+    ctx.lineTo(centerX, lowY);
+    ctx.moveTo(x, openY);
+    ctx.lineTo(centerX, openY);
+    ctx.moveTo(centerX, closeY);
+    ctx.lineTo(x + width, closeY);
+    ctx.stroke();
+}
+
 /**
  * Draws a line segment on the canvas.
  * @param {CanvasRenderingContext2D} ctx - The canvas rendering context.
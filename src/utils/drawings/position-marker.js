@@ -164,7 +164,8 @@ export class PositionMarker {
                     minPrice,
                     maxPrice,
                     mainPlot.height,
-                    mainPlot.y
+                    mainPlot.y,
+                    mainPlot.scaleMode
                 );
 
                 if (!positionsByX.has(x)) {
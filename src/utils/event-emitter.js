@@ -0,0 +1,105 @@
+/**
+ * @fileoverview Minimal event emitter used for the public StockChart events.
+ * @author H Chen
+ */
+
+/**
+ * Keeps handlers per event name and calls them with the event payload.
+ */
+export class EventEmitter {
+    constructor() {
+        /** @type {Map<string, Set<function(any): void>>} */
+        this.handlers = new Map();
+    }
+
+    /**
+     * Subscribe to an event.
+     * @param {string} eventName - The event name.
+     * @param {function(any): void} handler - Called with the event payload.
+     * @returns {function(): void} A function that removes the handler again.
+     */
+    on(eventName, handler) {
+        if (typeof handler !== 'function') {
+            throw new Error(`EventEmitter: handler for '${eventName}' must be a function`);
+        }
+
+        if (!this.handlers.has(eventName)) {
+            this.handlers.set(eventName, new Set());
+        }
+        this.handlers.get(eventName).add(handler);
+
+        return () => this.off(eventName, handler);
+    }
+
+    /**
+     * Unsubscribe from an event. Without a handler, all handlers of the event are removed.
+     * @param {string} eventName - The event name.
+     * @param {function(any): void} [handler] - The handler passed to on() or once().
+     */
+    off(eventName, handler) {
+        const handlers = this.handlers.get(eventName);
+        if (!handlers) return;
+
+        if (!handler) {
+            this.handlers.delete(eventName);
+            return;
+        }
+
+        handlers.delete(handler);
+        // once() wraps the handler, so remove the wrapper as well
+        handlers.forEach(registered => {
+            if (/** @type {any} */ (registered).originalHandler === handler) {
+                handlers.delete(registered);
+            }
+        });
+    }
+
+    /**
+     * Subscribe to the next occurrence of an event only.
+     * @param {string} eventName - The event name.
+     * @param {function(any): void} handler - Called with the event payload.
+     * @returns {function(): void} A function that removes the handler again.
+     */
+    once(eventName, handler) {
+        const wrapper = (payload) => {
+            this.off(eventName, wrapper);
+            handler(payload);
+        };
+        /** @type {any} */ (wrapper).originalHandler = handler;
+        return this.on(eventName, wrapper);
+    }
+
+    /**
+     * Call every handler of an event. A failing handler does not stop the others.
+     * @param {string} eventName - The event name.
+     * @param {any} payload - The event payload.
+     */
+    emit(eventName, payload) {
+        const handlers = this.handlers.get(eventName);
+        if (!handlers || handlers.size === 0) return;
+
+        [...handlers].forEach(handler => {
+            try {
+                handler(payload);
+            } catch (error) {
+                console.error(`EventEmitter: '${eventName}' handler failed:`, error);
+            }
+        });
+    }
+
+    /**
+     * Check whether an event has any handlers.
+     * @param {string} eventName - The event name.
+     * @returns {boolean}
+     */
+    hasListeners(eventName) {
+        return (this.handlers.get(eventName)?.size || 0) > 0;
+    }
+
+    /**
+     * Remove all handlers of all events.
+     */
+    removeAllListeners() {
+        this.handlers.clear();
+    }
+}
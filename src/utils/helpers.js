@@ -17,4 +17,26 @@ export function getSignalTypeColor(type) {
         default:
             return 'rgba(0, 0, 0, 0.75)';
     }
-}
\ No newline at end of file
+}
+
+/**
+ * Get a color with the given opacity, e.g. for gradient stops.
+ * @param {string} color - A hex, rgb() or rgba() color.
+ * @param {number} alpha - The opacity from 0 to 1.
+ * @returns {string} The RGBA color string, or the color itself when its format is not recognized.
+ */
+export function withAlpha(color, alpha) {
+    const hex = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(color);
+    if (hex) {
+        const digits = hex[1].length === 3 ? hex[1].replace(/./g, '$&$&') : hex[1];
+        const [r, g, b] = [0, 2, 4].map(i => parseInt(digits.slice(i, i + 2), 16));
+        return `rgba(${r}, ${g}, ${b}, ${alpha})`;
+    }
+
+    const rgb = /^rgba?\(\s*([^,\s]+)\s*,\s*([^,\s]+)\s*,\s*([^,\s)]+)/i.exec(color);
+    if (rgb) {
+        return `rgba(${rgb[1]}, ${rgb[2]}, ${rgb[3]}, ${alpha})`;
+    }
+
+    return color;
+}
@@ -1,12 +1,97 @@
+/**
+ * Version of the database, also written to every drawing record as its schemaVersion
+ */
+export const DB_VERSION = 3;
+
+const DRAWINGS_STORE = 'drawings';
+const BACKUPS_STORE = 'backups';
+
+/**
+ * Number of backups kept, older ones are deleted by the next migration
+ */
+const MAX_BACKUPS = 3;
+
+/**
+ * Schema migrations in version order. `upgrade` changes object stores and indexes and must
+ * leave the records alone; `migrateRecord` turns a drawing record of the previous version
+ * into one of its version. Bumping DB_VERSION needs a new step here, released steps must not change.
+ * @type {Array<{version: number, upgrade?: function(IDBDatabase, IDBTransaction): void, migrateRecord?: function(Object): Object}>}
+ */
+export const MIGRATIONS = [
+    {
+        version: 1,
+        upgrade(db) {
+            const store = db.createObjectStore(DRAWINGS_STORE, { keyPath: 'id', autoIncrement: true });
+            store.createIndex('chartName', 'chartName', { unique: false });
+            store.createIndex('chartCode', 'chartCode', { unique: false });
+        }
+    },
+    {
+        version: 2,
+        // Version 1 declared the composite index as multiEntry, which IndexedDB doesn't support
+        upgrade(db, transaction) {
+            const store = transaction.objectStore(DRAWINGS_STORE);
+            if (store.indexNames.contains('chartNameAndCode')) {
+                store.deleteIndex('chartNameAndCode');
+            }
+            store.createIndex('chartNameAndCode', ['chartName', 'chartCode'], { unique: false });
+        }
+    },
+    {
+        version: 3,
+        upgrade(db) {
+            db.createObjectStore(BACKUPS_STORE, { keyPath: 'id', autoIncrement: true });
+        },
+        // Records without a chart name or code were left out of the chartNameAndCode index
+        migrateRecord(record) {
+            return {
+                ...record,
+                chartName: record.chartName || '',
+                chartCode: record.chartCode || '',
+                chartMetaString: record.chartMetaString || ''
+            };
+        }
+    }
+];
+
+/**
+ * Bring drawing records to the current version. Records without a schemaVersion were
+ * written by the database version they are read from.
+ * @param {Array<Object>} records - Records of the drawings store
+ * @param {number} fromVersion - Version of the records without a schemaVersion
+ * @returns {Array<Object>} The migrated records
+ */
+export function migrateRecords(records, fromVersion) {
+    return records.map(record => {
+        const recordVersion = record.schemaVersion ?? fromVersion;
+        const migrated = MIGRATIONS
+            .filter(step => step.version > recordVersion && step.migrateRecord)
+            .reduce((current, step) => step.migrateRecord(current), record);
+        return { ...migrated, schemaVersion: DB_VERSION };
+    });
+}
+
+/**
+ * Remove the IndexedDB specific fields of a drawing record.
+ * @param {Object} record - Record of the drawings store
+ * @returns {Object} The drawing as returned by its toJSON()
+ */
+function toDrawingJSON(record) {
+    const { id, drawingId, chartName, chartCode, chartMetaString, timestamp, schemaVersion, ...drawingData } = record;
+    return drawingId ? { id: drawingId, ...drawingData } : drawingData;
+}
+
 /**
  * Helper class for managing IndexedDB operations for chart drawings
  */
 export class IndexedDBHelper {
     constructor() {
         this.dbName = 'StockChartDrawings';
-        this.dbVersion = 2;
-        this.storeName = 'drawings';
+        this.dbVersion = DB_VERSION;
+        this.storeName = DRAWINGS_STORE;
         this.db = null;
+        // Number of adapters using the connection, see retain() and release()
+        this.users = 0;
     }
 
     /**
@@ -28,26 +113,49 @@ export class IndexedDBHelper {
 
             request.onsuccess = (event) => {
                 this.db = /** @type {IDBDatabase} */ (/** @type {IDBOpenDBRequest} */ (event.target).result);
+                // Let a newer version in another tab upgrade the database
+                this.db.onversionchange = () => this.close();
                 resolve(this.db);
             };
 
             request.onupgradeneeded = (event) => {
                 const db = /** @type {IDBDatabase} */ (/** @type {IDBOpenDBRequest} */ (event.target).result);
-                
-                // Recreate object store with corrected schema (removed invalid multiEntry composite index)
-                if (db.objectStoreNames.contains(this.storeName)) {
-                    db.deleteObjectStore(this.storeName);
-                }
-                const store = db.createObjectStore(this.storeName, { keyPath: 'id', autoIncrement: true });
-                
-                // Create indexes for efficient querying
-                store.createIndex('chartName', 'chartName', { unique: false });
-                store.createIndex('chartCode', 'chartCode', { unique: false });
-                store.createIndex('chartNameAndCode', ['chartName', 'chartCode'], { unique: false });
+                this.migrate(db, request.transaction, event.oldVersion);
             };
         });
     }
 
+    /**
+     * Run the migration steps newer than the old version. The drawings are backed up before
+     * their records are migrated. A failing step aborts the upgrade, which leaves the
+     * database at the old version with its data.
+     * @private
+     * @param {IDBDatabase} db - The database being upgraded
+     * @param {IDBTransaction} transaction - The versionchange transaction
+     * @param {number} oldVersion - Version before the upgrade, 0 for a new database
+     */
+    migrate(db, transaction, oldVersion) {
+        const steps = MIGRATIONS.filter(step => step.version > oldVersion && step.version <= this.dbVersion);
+        steps.forEach(step => step.upgrade?.(db, transaction));
+        if (oldVersion === 0) return;
+
+        const drawingsStore = transaction.objectStore(DRAWINGS_STORE);
+        const backupsStore = transaction.objectStore(BACKUPS_STORE);
+        const readRequest = drawingsStore.getAll();
+        readRequest.onsuccess = () => {
+            const records = readRequest.result;
+            if (records.length === 0) return;
+
+            backupsStore.add({ fromVersion: oldVersion, toVersion: this.dbVersion, createdAt: Date.now(), records });
+            migrateRecords(records, oldVersion).forEach(record => drawingsStore.put(record));
+
+            const keysRequest = backupsStore.getAllKeys();
+            keysRequest.onsuccess = () => {
+                keysRequest.result.slice(0, -MAX_BACKUPS).forEach(key => backupsStore.delete(key));
+            };
+        };
+    }
+
     /**
      * Save drawings for a specific chart
      * @param {Object} chartName - Chart name information {name, code, metaString}
@@ -79,14 +187,16 @@ export class IndexedDBHelper {
                     store.delete(drawing.id);
                 });
 
-                // Add new drawings
-                drawings.forEach(drawing => {
+                // Add new drawings. The id of a drawing is kept as drawingId, id is the record key
+                drawings.forEach(({ id: drawingId, ...drawing }) => {
                     const drawingToSave = {
                         ...drawing,
+                        drawingId,
                         chartName: chartName.name || '',
                         chartCode: chartName.code || '',
                         chartMetaString: chartName.metaString || '',
-                        timestamp: Date.now()
+                        timestamp: Date.now(),
+                        schemaVersion: this.dbVersion
                     };
                     store.add(drawingToSave);
                 });
@@ -125,10 +235,7 @@ export class IndexedDBHelper {
             request.onsuccess = () => {
                 const drawings = request.result;
                 // Remove IndexedDB specific fields before returning
-                const cleanDrawings = drawings.map(drawing => {
-                    const { id, chartName, chartCode, chartMetaString, timestamp, ...drawingData } = drawing;
-                    return drawingData;
-                });
+                const cleanDrawings = drawings.map(toDrawingJSON);
                 resolve(cleanDrawings);
             };
 
@@ -165,10 +272,7 @@ export class IndexedDBHelper {
             request.onsuccess = () => {
                 const drawings = request.result;
                 // Remove IndexedDB specific fields before returning
-                const cleanDrawings = drawings.map(drawing => {
-                    const { id, chartName, chartCode, chartMetaString, timestamp, ...drawingData } = drawing;
-                    return drawingData;
-                });
+                const cleanDrawings = drawings.map(toDrawingJSON);
                 resolve(cleanDrawings);
             };
 
@@ -237,6 +341,88 @@ export class IndexedDBHelper {
             };
         });
     }
+
+    /**
+     * Get the copies of the drawings taken before migrations, oldest first.
+     * @returns {Promise<Array<{id: number, fromVersion: number, toVersion: number, createdAt: number, records: Array<Object>}>>}
+     */
+    async getBackups() {
+        await this.init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([BACKUPS_STORE], 'readonly');
+            const request = transaction.objectStore(BACKUPS_STORE).getAll();
+
+            request.onsuccess = () => {
+                resolve(request.result);
+            };
+
+            request.onerror = () => {
+                reject(new Error('Failed to get backups'));
+            };
+        });
+    }
+
+    /**
+     * Replace all drawings with the ones of a backup, migrated to the current version.
+     * @param {number} backupId - Id of a backup from getBackups
+     * @returns {Promise<void>}
+     */
+    async restoreBackup(backupId) {
+        await this.init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.storeName, BACKUPS_STORE], 'readwrite');
+            const store = transaction.objectStore(this.storeName);
+            const request = transaction.objectStore(BACKUPS_STORE).get(backupId);
+
+            request.onsuccess = () => {
+                const backup = request.result;
+                if (!backup) {
+                    transaction.abort();
+                    return;
+                }
+                store.clear();
+                migrateRecords(backup.records, backup.fromVersion).forEach(record => store.put(record));
+            };
+
+            transaction.oncomplete = () => {
+                resolve();
+            };
+
+            transaction.onabort = () => {
+                reject(new Error(`Failed to restore backup ${backupId}`));
+            };
+        });
+    }
+
+    /**
+     * Register a user of the connection, e.g. the storage adapter of a chart.
+     */
+    retain() {
+        this.users++;
+    }
+
+    /**
+     * Unregister a user of the connection. The connection is closed when the last user is gone.
+     */
+    release() {
+        this.users = Math.max(0, this.users - 1);
+        if (this.users === 0) {
+            this.close();
+        }
+    }
+
+    /**
+     * Close the database connection. Running transactions still complete, and the connection
+     * is opened again by the next operation.
+     */
+    close() {
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+        }
+    }
 }
 
 // Export singleton instance
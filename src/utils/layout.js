@@ -31,6 +31,11 @@ export class PlotLayoutManager {
      */
     bottomMargin = 40; // Space for X-axis labels at the bottom
 
+    /**
+     * @type {number}
+     */
+    navigatorHeight = 0; // Space for the navigator below the X-axis labels, 0 when it is hidden
+
     /**
      * @type {number}
      */
@@ -89,7 +94,7 @@ export class PlotLayoutManager {
 
                 // Calculate available drawing area for plots
                 const availableWidth = this.canvasWidth - this.leftMargin - this.yAxisWidth;
-                const availableHeight = this.canvasHeight - this.topMargin - this.bottomMargin;
+                const availableHeight = this.canvasHeight - this.topMargin - this.bottomMargin - this.navigatorHeight;
 
                 const plotHeight = (config.heightRatio / totalRatio) * availableHeight;
                 this.plots[config.id] = {
@@ -97,6 +102,7 @@ export class PlotLayoutManager {
                     y: currentY + this.topMargin,
                     width: availableWidth,
                     height: plotHeight,
+                    scaleMode: config.scaleMode || 'linear', // Price scale mode, see ScaleMode in data.js
                 };
                 currentY += plotHeight;
             }
@@ -115,6 +121,29 @@ export class PlotLayoutManager {
         return this.plots[plotId] || null;
     }
 
+    /**
+     * Gets the layout of the navigator below the X-axis labels.
+     * @returns {{x: number, y: number, width: number, height: number}|null} - null when the navigator is hidden.
+     */
+    getNavigatorLayout() {
+        if (this.navigatorHeight <= 0) return null;
+        return {
+            x: this.leftMargin,
+            y: this.canvasHeight - this.navigatorHeight,
+            width: this.canvasWidth - this.leftMargin - this.yAxisWidth,
+            height: this.navigatorHeight
+        };
+    }
+
+    /**
+     * Sets the height of the navigator and recalculates the layout.
+     * @param {number} height - The height in pixels, 0 hides the navigator.
+     */
+    updateNavigatorHeight(height) {
+        this.navigatorHeight = Math.max(0, height);
+        this.calculateLayout();
+    }
+
     /**
      * Updates the layout for a specific plot.
      * @param {import("../stock-chart.js").PlotConfig} plot - The plot configuration to update.
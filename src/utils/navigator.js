@@ -0,0 +1,278 @@
+/**
+ * @fileoverview Navigator strip below the X-axis: the whole history as a small area chart
+ * with a window over the visible range that can be dragged and resized.
+ * @author H Chen
+ */
+
+import { findIndexAtOrBeforeTime } from './data.js';
+import { withAlpha } from './helpers.js';
+
+/**
+ * Default height of the navigator in pixels
+ */
+export const NAVIGATOR_DEFAULT_HEIGHT = 60;
+
+/**
+ * Distance in pixels from a window edge that still grabs the edge
+ */
+const EDGE_GRAB_DISTANCE = 6;
+
+/**
+ * Navigator class. The strip spans the whole original data, one slot per bar, so the
+ * window keeps its place when the chart shows an aggregated timeframe or a price chart type.
+ */
+export class Navigator {
+    /**
+     * @param {import('../stock-chart.d.ts').default} chart - The StockChart instance
+     */
+    constructor(chart) {
+        this.chart = chart;
+        // 'window', 'left' or 'right' while dragging, null otherwise
+        this.dragMode = null;
+        this.dragOffset = 0;
+        this.dragEndIndex = 0;
+    }
+
+    /**
+     * Whether the window is being dragged or resized
+     * @returns {boolean}
+     */
+    get isDragging() {
+        return this.dragMode !== null;
+    }
+
+    /**
+     * @private
+     * @returns {{x: number, y: number, width: number, height: number}|null} The area of the strip, below a 1px separator
+     */
+    getArea() {
+        const layout = this.chart.plotLayoutManager.getNavigatorLayout();
+        if (!layout) return null;
+        return { x: layout.x, y: layout.y + 1, width: layout.width, height: layout.height - 2 };
+    }
+
+    /**
+     * Checks whether a position is on the navigator.
+     * @param {number} x - The x-coordinate on the canvas
+     * @param {number} y - The y-coordinate on the canvas
+     * @returns {boolean}
+     */
+    contains(x, y) {
+        const area = this.getArea();
+        return !!area && x >= area.x && x <= area.x + area.width && y >= area.y && y <= area.y + area.height;
+    }
+
+    /**
+     * @private
+     * @param {number} originalIndex - Index in the original data, may be the length for the right end
+     * @param {{x: number, width: number}} area - The navigator area
+     * @returns {number} The x-coordinate of the left side of the bar's slot
+     */
+    getSlotX(originalIndex, area) {
+        const count = Math.max(1, this.chart.originalData.length);
+        return area.x + originalIndex / count * area.width;
+    }
+
+    /**
+     * @private
+     * @param {number} time - Unix time in seconds
+     * @returns {number} Index of the first original bar at or after the time
+     */
+    getOriginalIndexAtOrAfter(time) {
+        const data = this.chart.originalData;
+        const index = findIndexAtOrBeforeTime(data, time);
+        return index >= 0 && data[index].time < time ? index + 1 : Math.max(0, index);
+    }
+
+    /**
+     * Left and right x of the window over the visible bars. Bricks and columns of the price
+     * chart types start at their startTime, other bars at their time.
+     * @private
+     * @param {{x: number, width: number}} area - The navigator area
+     * @returns {{left: number, right: number}|null}
+     */
+    getWindow(area) {
+        const { allData, startIndex, visibleCount } = this.chart.dataViewport;
+        if (allData.length === 0 || this.chart.originalData.length === 0) return null;
+
+        const getStartTime = bar => bar.startTime ?? bar.time;
+        const firstBar = allData[Math.min(startIndex, allData.length - 1)];
+        const nextBar = allData[startIndex + visibleCount];
+        const left = this.getSlotX(this.getOriginalIndexAtOrAfter(getStartTime(firstBar)), area);
+        const right = nextBar ?
+            this.getSlotX(this.getOriginalIndexAtOrAfter(getStartTime(nextBar)), area) :
+            area.x + area.width;
+        return { left, right: Math.max(right, left + 2) };
+    }
+
+    /**
+     * The bar of the chart's data shown at an x-coordinate of the navigator.
+     * @private
+     * @param {number} x - The x-coordinate on the canvas
+     * @param {{x: number, width: number}} area - The navigator area
+     * @returns {number} Index in the viewport's data
+     */
+    getDataIndexAtX(x, area) {
+        const originalData = this.chart.originalData;
+        const allData = this.chart.dataViewport.allData;
+        const originalIndex = Math.max(0, Math.min(originalData.length - 1,
+            Math.floor((x - area.x) / area.width * originalData.length)));
+        if (allData === originalData) return originalIndex;
+        return Math.max(0, findIndexAtOrBeforeTime(allData, originalData[originalIndex].time));
+    }
+
+    /**
+     * What a position on the navigator grabs.
+     * @param {number} x - The x-coordinate on the canvas
+     * @param {number} y - The y-coordinate on the canvas
+     * @returns {'left'|'right'|'window'|'strip'|null} null when the position is not on the navigator
+     */
+    hitTest(x, y) {
+        if (!this.contains(x, y)) return null;
+        const bounds = this.getWindow(this.getArea());
+        if (!bounds) return 'strip';
+        if (Math.abs(x - bounds.left) <= EDGE_GRAB_DISTANCE) return 'left';
+        if (Math.abs(x - bounds.right) <= EDGE_GRAB_DISTANCE) return 'right';
+        return x > bounds.left && x < bounds.right ? 'window' : 'strip';
+    }
+
+    /**
+     * Starts dragging the window or one of its edges. Pressing outside the window
+     * centers it there first.
+     * @param {number} x - The x-coordinate on the canvas
+     * @param {number} y - The y-coordinate on the canvas
+     * @returns {boolean} True when the navigator handled the press
+     */
+    handlePointerDown(x, y) {
+        const hit = this.hitTest(x, y);
+        if (!hit) return false;
+
+        const area = this.getArea();
+        const viewport = this.chart.dataViewport;
+        if (hit === 'strip') {
+            viewport.setRange(this.getDataIndexAtX(x, area) - Math.floor(viewport.visibleCount / 2), viewport.visibleCount);
+            this.chart.render();
+        }
+
+        this.dragMode = hit === 'strip' ? 'window' : hit;
+        this.dragOffset = this.getDataIndexAtX(x, area) - viewport.startIndex;
+        this.dragEndIndex = viewport.startIndex + viewport.visibleCount;
+        return true;
+    }
+
+    /**
+     * Moves the window, or sets the visible count when an edge is dragged.
+     * @param {number} x - The x-coordinate on the canvas
+     */
+    handlePointerMove(x) {
+        const area = this.getArea();
+        if (!this.dragMode || !area) return;
+
+        const viewport = this.chart.dataViewport;
+        const minCount = viewport.MIN_PORT_VISIBLE_COUNT;
+        const index = this.getDataIndexAtX(x, area);
+        const { startIndex, visibleCount } = viewport;
+
+        if (this.dragMode === 'window') {
+            viewport.setRange(index - this.dragOffset, visibleCount);
+        } else if (this.dragMode === 'left') {
+            const newStart = Math.min(index, this.dragEndIndex - minCount);
+            viewport.setRange(newStart, this.dragEndIndex - newStart);
+        } else {
+            viewport.setRange(startIndex, Math.max(minCount, index + 1 - startIndex));
+        }
+
+        if (viewport.startIndex !== startIndex || viewport.visibleCount !== visibleCount) {
+            this.chart.render();
+        }
+    }
+
+    /**
+     * Ends dragging.
+     */
+    handlePointerUp() {
+        this.dragMode = null;
+    }
+
+    /**
+     * Cursor for a position on the navigator.
+     * @param {number} x - The x-coordinate on the canvas
+     * @param {number} y - The y-coordinate on the canvas
+     * @returns {string|null} null when the position is not on the navigator
+     */
+    getCursor(x, y) {
+        const hit = this.dragMode || this.hitTest(x, y);
+        if (hit === 'left' || hit === 'right') return 'ew-resize';
+        if (hit === 'window') return this.dragMode ? 'grabbing' : 'grab';
+        return hit ? 'pointer' : null;
+    }
+
+    /**
+     * Draws the closes of the original data as an area and the window over the visible range.
+     * @param {CanvasRenderingContext2D} ctx - The canvas context
+     */
+    render(ctx) {
+        const area = this.getArea();
+        const data = this.chart.originalData;
+        if (!area || area.width <= 0) return;
+
+        const theme = this.chart.currentTheme;
+        ctx.save();
+        ctx.fillStyle = theme.chartAreaBackground;
+        ctx.fillRect(area.x, area.y - 1, area.width, area.height + 2);
+        ctx.strokeStyle = theme.gridColor;
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(area.x, area.y - 0.5);
+        ctx.lineTo(area.x + area.width, area.y - 0.5);
+        ctx.stroke();
+
+        let min = Infinity;
+        let max = -Infinity;
+        data.forEach(bar => {
+            const value = bar.close ?? bar.value;
+            if (!isFinite(value)) return;
+            min = Math.min(min, value);
+            max = Math.max(max, value);
+        });
+        if (min <= max) {
+            const range = max - min || 1;
+            const toY = value => area.y + area.height - 2 - (value - min) / range * (area.height - 4);
+            // At most one point per pixel
+            const step = Math.max(1, Math.floor(data.length / area.width));
+
+            ctx.beginPath();
+            ctx.moveTo(area.x, area.y + area.height);
+            for (let i = 0; i < data.length; i += step) {
+                const value = data[i].close ?? data[i].value;
+                if (!isFinite(value)) continue;
+                ctx.lineTo(this.getSlotX(i + 0.5, area), toY(value));
+            }
+            ctx.lineTo(area.x + area.width, area.y + area.height);
+            ctx.closePath();
+            ctx.fillStyle = withAlpha(theme.lineColor, 0.2);
+            ctx.fill();
+            ctx.strokeStyle = theme.lineColor;
+            ctx.stroke();
+        }
+
+        const bounds = this.getWindow(area);
+        if (bounds) {
+            // Dim the history outside the window
+            ctx.fillStyle = withAlpha(theme.background, 0.6);
+            ctx.fillRect(area.x, area.y, bounds.left - area.x, area.height);
+            ctx.fillRect(bounds.right, area.y, area.x + area.width - bounds.right, area.height);
+
+            ctx.strokeStyle = theme.crosshairColor;
+            ctx.strokeRect(bounds.left + 0.5, area.y + 0.5, bounds.right - bounds.left - 1, area.height - 1);
+
+            // Edge handles
+            ctx.fillStyle = theme.crosshairColor;
+            const handleHeight = Math.min(20, area.height / 2);
+            const handleY = area.y + (area.height - handleHeight) / 2;
+            ctx.fillRect(bounds.left - 2, handleY, 4, handleHeight);
+            ctx.fillRect(bounds.right - 2, handleY, 4, handleHeight);
+        }
+        ctx.restore();
+    }
+}
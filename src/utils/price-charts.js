@@ -0,0 +1,333 @@
+/**
+ * @fileoverview Time-independent chart types built from bars: Renko, Kagi, Point & Figure and line break.
+ * Every brick, line or column is returned as a bar with open, high, low and close, so it is
+ * scrolled, zoomed and labelled like a candle. startTime and endTime are the times of the
+ * first and last bar it covers.
+ * @author H Chen
+ */
+
+/**
+ * @typedef {import('../stock-chart.d.ts').StockData} StockData
+ * @typedef {import('../stock-chart.d.ts').PriceChartBar} PriceChartBar
+ */
+
+/**
+ * Chart types whose bars are built by this module
+ */
+export const PRICE_CHART_TYPES = ['renko', 'kagi', 'pointAndFigure', 'lineBreak'];
+
+/**
+ * Upper limit of bricks or columns, so a box size far too small for the prices can't hang the page
+ */
+const MAX_BARS = 100000;
+
+/**
+ * Check whether a chart type is built by this module.
+ * @param {string} chartType - The chart type
+ * @returns {boolean}
+ */
+export function isPriceChartType(chartType) {
+    return PRICE_CHART_TYPES.includes(chartType);
+}
+
+/**
+ * Build the bars of a time-independent chart type.
+ * @param {string} chartType - One of PRICE_CHART_TYPES
+ * @param {Array<StockData>} bars - Bars sorted by time
+ * @param {Object} [settings] - Settings of the chart type, see the toRenko, toKagi, toPointAndFigure and toLineBreak
+ * @returns {Array<PriceChartBar>}
+ */
+export function buildPriceChart(chartType, bars, settings = {}) {
+    switch (chartType) {
+        case 'renko':
+            return toRenko(bars, settings);
+        case 'kagi':
+            return toKagi(bars, settings);
+        case 'pointAndFigure':
+            return toPointAndFigure(bars, settings);
+        case 'lineBreak':
+            return toLineBreak(bars, settings);
+        default:
+            throw new Error(`buildPriceChart: unknown chart type '${chartType}'`);
+    }
+}
+
+/**
+ * Average true range of the last bars, used as the default box size.
+ * @param {Array<StockData>} bars - Bars sorted by time
+ * @param {number} [period=14] - Number of bars to average
+ * @returns {number} The average true range, 0 when there are fewer than two bars
+ */
+export function calculateAverageTrueRange(bars, period = 14) {
+    let sum = 0;
+    let count = 0;
+    for (let i = Math.max(1, bars.length - period); i < bars.length; i++) {
+        const high = bars[i].high ?? bars[i].close;
+        const low = bars[i].low ?? bars[i].close;
+        const previousClose = bars[i - 1].close;
+        sum += Math.max(high - low, Math.abs(high - previousClose), Math.abs(low - previousClose));
+        count++;
+    }
+    return count > 0 ? sum / count : 0;
+}
+
+/**
+ * Renko bricks of a fixed size. A brick in the same direction needs a close one box beyond
+ * the last brick, a reversal needs two boxes.
+ * @param {Array<StockData>} bars - Bars sorted by time
+ * @param {Object} [settings]
+ * @param {number} [settings.boxSize] - Brick size in price, the average true range when omitted
+ * @param {number} [settings.atrPeriod=14] - Bars of the average true range
+ * @returns {Array<PriceChartBar>} Bricks, time is the time of the bar that completed the brick
+ */
+export function toRenko(bars, { boxSize, atrPeriod = 14 } = {}) {
+    const box = boxSize > 0 ? boxSize : calculateAverageTrueRange(bars, atrPeriod);
+    if (!(box > 0) || bars.length === 0) return [];
+
+    const bricks = [];
+    let top = bars[0].close;
+    let bottom = top;
+    let fromIndex = 0;
+
+    for (let i = 0; i < bars.length && bricks.length < MAX_BARS; i++) {
+        const close = bars[i].close;
+        while ((close >= top + box || close <= bottom - box) && bricks.length < MAX_BARS) {
+            const isUp = close >= top + box;
+            const open = isUp ? top : bottom;
+            const brickClose = isUp ? top + box : bottom - box;
+
+            bricks.push(createBar(bars, fromIndex, i, bars[i].time, open, brickClose, { boxSize: box }));
+            fromIndex = i + 1;
+            top = Math.max(open, brickClose);
+            bottom = Math.min(open, brickClose);
+        }
+    }
+
+    warnIfTruncated(bricks, 'Renko');
+    return bricks;
+}
+
+/**
+ * Kagi lines. A line continues while the close extends it and reverses once the close moves
+ * back by the reversal amount. Lines turn yang (thick) when they rise above the previous
+ * shoulder and yin (thin) when they fall below the previous waist.
+ * @param {Array<StockData>} bars - Bars sorted by time
+ * @param {Object} [settings]
+ * @param {number} [settings.reversal] - Reversal amount in price
+ * @param {number} [settings.reversalPercent] - Reversal amount in percent of the price, used when reversal is omitted
+ * @param {number} [settings.atrPeriod=14] - Bars of the average true range used when neither is set
+ * @returns {Array<PriceChartBar>} Lines, time is the time of the bar that started the line
+ */
+export function toKagi(bars, { reversal, reversalPercent, atrPeriod = 14 } = {}) {
+    if (bars.length === 0) return [];
+
+    const averageTrueRange = reversal > 0 || reversalPercent > 0 ? 0 : calculateAverageTrueRange(bars, atrPeriod);
+    const getReversal = price => {
+        if (reversal > 0) return reversal;
+        if (reversalPercent > 0) return Math.abs(price) * reversalPercent / 100;
+        return averageTrueRange;
+    };
+
+    const lines = [];
+    let start = bars[0].close;
+    let extreme = start;
+    let direction = 0;
+    let fromIndex = 0;
+
+    for (let i = 1; i < bars.length && lines.length < MAX_BARS; i++) {
+        const close = bars[i].close;
+        const amount = getReversal(extreme);
+        if (!(amount > 0)) continue;
+
+        if (direction === 0) {
+            if (Math.abs(close - start) >= amount) {
+                direction = Math.sign(close - start);
+                extreme = close;
+            }
+        } else if ((close - extreme) * direction > 0) {
+            extreme = close;
+        } else if ((extreme - close) * direction >= amount) {
+            lines.push(createBar(bars, fromIndex, i - 1, bars[fromIndex].time, start, extreme));
+            start = extreme;
+            extreme = close;
+            direction = -direction;
+            fromIndex = i;
+        }
+    }
+    if (direction !== 0) {
+        lines.push(createBar(bars, fromIndex, bars.length - 1, bars[fromIndex].time, start, extreme));
+    }
+
+    // Yang and yin follow the previous shoulder (top of an up line) and waist (bottom of a down line)
+    let trend = null;
+    let shoulder = null;
+    let waist = null;
+    lines.forEach(line => {
+        const isUp = line.direction === 'up';
+        line.changePrice = null;
+        if (trend === null) {
+            trend = isUp ? 'yang' : 'yin';
+        } else if (isUp && trend === 'yin' && shoulder !== null && line.close > shoulder) {
+            trend = 'yang';
+            line.changePrice = shoulder;
+        } else if (!isUp && trend === 'yang' && waist !== null && line.close < waist) {
+            trend = 'yin';
+            line.changePrice = waist;
+        }
+        line.trend = trend;
+        if (isUp) {
+            shoulder = line.close;
+        } else {
+            waist = line.close;
+        }
+    });
+
+    warnIfTruncated(lines, 'Kagi');
+    return lines;
+}
+
+/**
+ * Point & Figure columns of X (rising) and O (falling) boxes, from closes.
+ * A column grows by whole boxes and reverses once the close moves back by `reversal` boxes.
+ * @param {Array<StockData>} bars - Bars sorted by time
+ * @param {Object} [settings]
+ * @param {number} [settings.boxSize] - Box size in price, the average true range when omitted
+ * @param {number} [settings.reversal=3] - Boxes needed for a new column
+ * @param {number} [settings.atrPeriod=14] - Bars of the average true range
+ * @returns {Array<PriceChartBar>} Columns with low and high at the lowest and highest box,
+ *   time is the time of the bar that started the column
+ */
+export function toPointAndFigure(bars, { boxSize, reversal = 3, atrPeriod = 14 } = {}) {
+    const box = boxSize > 0 ? boxSize : calculateAverageTrueRange(bars, atrPeriod);
+    if (!(box > 0) || bars.length === 0) return [];
+
+    const reversalBoxes = Math.max(1, Math.round(reversal));
+    const columns = [];
+    // Columns are tracked in whole boxes, level n is the price n * box
+    const referenceLevel = Math.floor(bars[0].close / box);
+    let column = null;
+    let fromIndex = 0;
+    // A single box has the same open and close, so the direction is set from the column
+    const pushColumn = toIndex => {
+        columns.push(createBar(bars, fromIndex, toIndex, bars[fromIndex].time, column.start * box, column.end * box, {
+            boxSize: box,
+            direction: column.isUp ? 'up' : 'down'
+        }));
+    };
+
+    for (let i = 1; i < bars.length && columns.length < MAX_BARS; i++) {
+        const upLevel = Math.floor(bars[i].close / box);
+        const downLevel = Math.ceil(bars[i].close / box);
+
+        if (!column) {
+            if (upLevel > referenceLevel) {
+                column = { isUp: true, start: referenceLevel + 1, end: upLevel };
+            } else if (downLevel < referenceLevel) {
+                column = { isUp: false, start: referenceLevel - 1, end: downLevel };
+            }
+        } else if (column.isUp) {
+            if (upLevel > column.end) {
+                column.end = upLevel;
+            } else if (downLevel <= column.end - reversalBoxes) {
+                pushColumn(i - 1);
+                column = { isUp: false, start: column.end - 1, end: downLevel };
+                fromIndex = i;
+            }
+        } else if (downLevel < column.end) {
+            column.end = downLevel;
+        } else if (upLevel >= column.end + reversalBoxes) {
+            pushColumn(i - 1);
+            column = { isUp: true, start: column.end + 1, end: upLevel };
+            fromIndex = i;
+        }
+    }
+    if (column) {
+        pushColumn(bars.length - 1);
+    }
+
+    warnIfTruncated(columns, 'Point & Figure');
+    return columns;
+}
+
+/**
+ * Line break lines. A line in the same direction needs a close beyond the last line,
+ * a reversal needs a close beyond all of the last `lines` lines.
+ * @param {Array<StockData>} bars - Bars sorted by time
+ * @param {Object} [settings]
+ * @param {number} [settings.lines=3] - Lines a reversal has to break
+ * @returns {Array<PriceChartBar>} Lines, time is the time of the bar that completed the line
+ */
+export function toLineBreak(bars, { lines = 3 } = {}) {
+    if (bars.length === 0) return [];
+
+    const lineCount = Math.max(1, Math.round(lines));
+    const result = [];
+    let fromIndex = 0;
+
+    for (let i = 1; i < bars.length; i++) {
+        const close = bars[i].close;
+        const last = result[result.length - 1];
+        let open = null;
+
+        if (!last) {
+            if (close !== bars[0].close) open = bars[0].close;
+        } else {
+            const recent = result.slice(-lineCount);
+            const isUp = last.direction === 'up';
+            if (close > last.high && (isUp || close > Math.max(...recent.map(line => line.high)))) {
+                open = last.high;
+            } else if (close < last.low && (!isUp || close < Math.min(...recent.map(line => line.low)))) {
+                open = last.low;
+            }
+        }
+
+        if (open !== null) {
+            result.push(createBar(bars, fromIndex, i, bars[i].time, open, close));
+            fromIndex = i + 1;
+        }
+    }
+
+    return result;
+}
+
+/**
+ * @param {Array<StockData>} bars - The source bars
+ * @param {number} fromIndex - First bar covered, may be past toIndex for further bricks of the same bar
+ * @param {number} toIndex - Last bar covered
+ * @param {number} time - Time the bar is shown at
+ * @param {number} open - Open price
+ * @param {number} close - Close price
+ * @param {Object} [fields] - Additional fields
+ * @returns {PriceChartBar}
+ */
+function createBar(bars, fromIndex, toIndex, time, open, close, fields = {}) {
+    const bar = {
+        time,
+        open,
+        high: Math.max(open, close),
+        low: Math.min(open, close),
+        close,
+        direction: close >= open ? 'up' : 'down',
+        startTime: bars[Math.min(fromIndex, toIndex)].time,
+        endTime: bars[toIndex].time,
+        ...fields
+    };
+
+    if (bars[toIndex].volume !== undefined) {
+        bar.volume = 0;
+        for (let i = fromIndex; i <= toIndex; i++) {
+            bar.volume += bars[i].volume || 0;
+        }
+    }
+    return bar;
+}
+
+/**
+ * @param {Array<PriceChartBar>} result - The built bars
+ * @param {string} name - Name of the chart type
+ */
+function warnIfTruncated(result, name) {
+    if (result.length >= MAX_BARS) {
+        console.warn(`${name}: stopped after ${MAX_BARS} bars, the box size is too small for the prices`);
+    }
+}
@@ -0,0 +1,55 @@
+/**
+ * @fileoverview Registry of custom plot types drawn by their own renderer.
+ * @author H Chen
+ */
+
+/**
+ * @typedef {import('../stock-chart.d.ts').SeriesTypeDefinition} SeriesTypeDefinition
+ */
+
+/**
+ * Plot types drawn by StockChart itself, they can't be replaced
+ */
+const BUILT_IN_TYPES = [
+    'candlestick', 'hollowCandle', 'heikinAshi', 'ohlc', 'line', 'stepLine', 'area', 'baseline',
+    'renko', 'kagi', 'pointAndFigure', 'lineBreak', 'volume', 'histogram', 'signal'
+];
+
+/** @type {Map<string, SeriesTypeDefinition>} */
+const seriesTypes = new Map();
+
+/**
+ * Register a plot type. Registering a type again replaces the previous definition.
+ * @param {string} type - The value of PlotConfig.type drawn by the definition
+ * @param {SeriesTypeDefinition} definition - The renderer
+ */
+export function registerSeriesType(type, definition) {
+    if (typeof type !== 'string' || !type) {
+        throw new Error('registerSeriesType: type must be a non-empty string');
+    }
+    if (BUILT_IN_TYPES.includes(type)) {
+        throw new Error(`registerSeriesType: '${type}' is a built-in plot type`);
+    }
+    if (!definition || typeof definition.draw !== 'function') {
+        throw new Error(`registerSeriesType: '${type}' needs a draw() function`);
+    }
+    ['priceRange', 'hitTest', 'legend'].forEach(key => {
+        if (definition[key] !== undefined && typeof definition[key] !== 'function') {
+            throw new Error(`registerSeriesType: ${key} of '${type}' must be a function`);
+        }
+    });
+
+    if (seriesTypes.has(type)) {
+        console.warn(`registerSeriesType: replacing the existing '${type}' series type`);
+    }
+    seriesTypes.set(type, definition);
+}
+
+/**
+ * Get a registered plot type.
+ * @param {string} type - The plot type
+ * @returns {SeriesTypeDefinition | undefined}
+ */
+export function getSeriesType(type) {
+    return seriesTypes.get(type);
+}
@@ -1,3 +1,5 @@
+import { getSessionBounds, getTimezoneOffset, isInSession, toDateKey } from './timezone.js';
+
 export const Timeframe = {
     HOURLY: 'hourly',
     DAILY: 'daily',
@@ -5,17 +7,214 @@ export const Timeframe = {
     MONTHLY: 'monthly',
 };
 
+const SECONDS_PER_DAY = 24 * 60 * 60;
+
+/**
+ * Length of an intraday timeframe id such as '5m', '15m' or '4h'.
+ * @param {string} timeframe - The timeframe id.
+ * @returns {number|null} The bar length in seconds, or null for daily, weekly and monthly.
+ */
+export const getIntradaySeconds = (timeframe) => {
+  const match = /^(\d+)(m|h)$/.exec(timeframe);
+  if (!match || Number(match[1]) === 0) return null;
+  return Number(match[1]) * (match[2] === 'h' ? 60 * 60 : 60);
+};
+
+/**
+ * Whether the id is a timeframe the chart can aggregate to.
+ * @param {string} timeframe - The timeframe id.
+ * @returns {boolean}
+ */
+export const isValidTimeframe = (timeframe) =>
+  [Timeframe.DAILY, Timeframe.WEEKLY, Timeframe.MONTHLY].includes(timeframe) || getIntradaySeconds(timeframe) !== null;
+
+/**
+ * Timeframe id of bars that are the given number of seconds apart, e.g. 300 gives '5m'.
+ * @param {number} seconds - The bar length in seconds.
+ * @returns {string}
+ */
+export const getTimeframeForSeconds = (seconds) => {
+  if (seconds >= SECONDS_PER_DAY) return Timeframe.DAILY;
+  if (seconds % 3600 === 0) return `${seconds / 3600}h`;
+  return `${Math.max(1, Math.round(seconds / 60))}m`;
+};
+
+/**
+ * Detects the bar length of the data from the smallest gap between consecutive bars.
+ * Only the newest bars are checked, gaps such as nights and weekends only make bars look longer.
+ * @param {Array<import("../stock-chart.js").StockData>} data - Bars sorted by time.
+ * @returns {number} The bar length in seconds, one day when it can't be detected.
+ */
+export const detectBarInterval = (data) => {
+  let interval = Infinity;
+  for (let i = Math.max(1, data.length - 200); i < data.length; i++) {
+    const gap = data[i].time - data[i - 1].time;
+    if (gap > 0 && gap < interval) {
+      interval = gap;
+    }
+  }
+  return interval === Infinity ? SECONDS_PER_DAY : Math.min(interval, SECONDS_PER_DAY);
+};
+
+/**
+ * Start of the intraday period a bar belongs to.
+ * Session bars are counted from the session open, pre-market bars back from the open and
+ * after-hours bars from the close, so no period spans a session boundary.
+ * Without a session, periods are counted from midnight.
+ * @param {number} time - The bar time in seconds.
+ * @param {number} intervalSeconds - The period length in seconds.
+ * @param {import("../stock-chart.d.ts").CalendarOptions} calendar - Timezone and exchange session.
+ * @returns {number} The period start in seconds.
+ */
+const getIntradayPeriodStart = (time, intervalSeconds, { timezone = 'UTC', session } = {}) => {
+  const bounds = session ? getSessionBounds(time, session, timezone) : null;
+  if (bounds) {
+    if (time < bounds.open) {
+      return bounds.open - Math.ceil((bounds.open - time) / intervalSeconds) * intervalSeconds;
+    }
+    const anchor = time < bounds.close ? bounds.open : bounds.close;
+    return anchor + Math.floor((time - anchor) / intervalSeconds) * intervalSeconds;
+  }
+
+  const offset = getTimezoneOffset(time, timezone);
+  return Math.floor((time + offset) / intervalSeconds) * intervalSeconds - offset;
+};
+
+/**
+ * Aggregates intraday bars into bars of a fixed length, e.g. 1-minute bars into 15-minute bars.
+ * Bars take the time of the period start, see getIntradayPeriodStart.
+ * @param {Array<import("../stock-chart.js").StockData>} intradayData - The intraday bars to aggregate, sorted by time.
+ * @param {number} intervalSeconds - The length of the aggregated bars in seconds.
+ * @param {import("../stock-chart.d.ts").AggregationSpec} [spec] - How volume and other fields are combined.
+ * @param {import("../stock-chart.d.ts").CalendarOptions} [calendar] - Timezone (default UTC) and exchange session.
+ * @returns {Array<import("../stock-chart.js").StockData>} The aggregated bars.
+ */
+export const aggregateToIntraday = (intradayData, intervalSeconds, spec = DEFAULT_AGGREGATION_SPEC, calendar = {}) => {
+  if (!intradayData || intradayData.length === 0) return [];
+
+  const result = [];
+  let periodBars = [];
+
+  for (const bar of intradayData) {
+    const periodStart = getIntradayPeriodStart(bar.time, intervalSeconds, calendar);
+    const current = result[result.length - 1];
+
+    if (!current || current.time !== periodStart) {
+      if (current) applyAggregationSpec(current, periodBars, spec);
+      result.push({ ...bar, time: periodStart });
+      periodBars = [bar];
+    } else {
+      current.high = Math.max(current.high, bar.high);
+      current.low = Math.min(current.low, bar.low);
+      current.close = bar.close;
+      periodBars.push(bar);
+    }
+  }
+  applyAggregationSpec(result[result.length - 1], periodBars, spec);
+
+  return result;
+};
+
+/**
+ * How fields are combined when bars are aggregated into a longer period.
+ * Fields without a reducer keep the value of the first bar of the period.
+ * @type {import("../stock-chart.d.ts").AggregationSpec}
+ */
+export const DEFAULT_AGGREGATION_SPEC = {
+  fields: {
+    volume: 'sum',
+    signals: 'merge',
+  },
+  vwap: false,
+};
+
+/**
+ * Built-in field reducers. Each receives the field values of the bars in a period, oldest first.
+ */
+const REDUCERS = {
+  sum: values => values.reduce((total, value) => total + (Number(value) || 0), 0),
+  first: values => values[0],
+  last: values => values[values.length - 1],
+  max: values => Math.max(...values),
+  min: values => Math.min(...values),
+  // Concatenates array (or single object) values and drops duplicates
+  merge: values => {
+    const seen = new Set();
+    const merged = values
+      .flatMap(value => Array.isArray(value) ? value : [value])
+      .filter(value => {
+        const key = JSON.stringify(value);
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      });
+    return merged.length > 0 ? merged : undefined;
+  },
+};
+
+/**
+ * Applies an aggregation spec to an aggregated bar.
+ * @param {import("../stock-chart.js").StockData} periodBar - The aggregated bar, updated in place.
+ * @param {Array<import("../stock-chart.js").StockData>} bars - The bars of the period, oldest first.
+ * @param {import("../stock-chart.d.ts").AggregationSpec} [spec] - Reducers per field and VWAP option.
+ */
+export const applyAggregationSpec = (periodBar, bars, spec = DEFAULT_AGGREGATION_SPEC) => {
+  if (!bars || bars.length === 0) return;
+
+  const fields = { ...DEFAULT_AGGREGATION_SPEC.fields, ...spec.fields };
+
+  for (const [field, reducer] of Object.entries(fields)) {
+    // Values missing from every bar stay missing
+    const values = bars.map(bar => bar[field]).filter(value => value !== undefined && value !== null);
+    if (values.length === 0) continue;
+
+    const reduce = typeof reducer === 'function' ? reducer : REDUCERS[reducer];
+    if (!reduce) {
+      console.warn(`applyAggregationSpec: Unknown reducer '${reducer}' for field '${field}'`);
+      continue;
+    }
+
+    const value = reduce(values, bars);
+    if (value === undefined) {
+      delete periodBar[field];
+    } else {
+      periodBar[field] = value;
+    }
+  }
+
+  if (spec.vwap) {
+    // Volume weighted average of each bar's own VWAP, or of its typical price
+    let priceVolume = 0;
+    let volume = 0;
+    for (const bar of bars) {
+      const barVolume = Number(bar.volume) || 0;
+      const price = bar.vwap ?? (bar.high + bar.low + bar.close) / 3;
+      priceVolume += price * barVolume;
+      volume += barVolume;
+    }
+    periodBar.vwap = volume > 0 ? priceVolume / volume : null;
+  }
+};
+
 /**
- * @param {Array<import("../stock-chart.js").StockData>} hourlyData - Array of hourly stock data.
+ * @param {Array<import("../stock-chart.js").StockData>} hourlyData - Array of hourly (or any intraday) stock data.
+ * @param {import("../stock-chart.d.ts").AggregationSpec} [spec] - How volume and other fields are combined.
+ * @param {import("../stock-chart.d.ts").CalendarOptions} [calendar] - Timezone (default UTC) of the trading day,
+ *   and the exchange session whose bars make up the day. Pre-market and after-hours bars are left out.
  * @returns {Array<import("../stock-chart.js").StockData>} - Array of daily stock data aggregated from hourly data.
  */
-export const aggregateToDaily = (hourlyData) => {
+export const aggregateToDaily = (hourlyData, spec = DEFAULT_AGGREGATION_SPEC, { timezone = 'UTC', session } = {}) => {
   if (!hourlyData || hourlyData.length === 0) return [];
 
   const dailyData = {};
+  // Intraday bars of each day, for the aggregation spec
+  const dailyBars = {};
 
   for (const hour of hourlyData.filter(h => h.open !== null || h.close !== null || h.high !== null || h.low !== null)) {
-    const date = new Date(hour.time * 1000).toISOString().split('T')[0];
+    if (session && !isInSession(hour.time, session, timezone)) continue;
+
+    const date = toDateKey(hour.time, timezone);
+    (dailyBars[date] = dailyBars[date] || []).push(hour);
     if (!dailyData[date]) {
       dailyData[date] = {
         ...hour,
@@ -34,31 +233,37 @@ export const aggregateToDaily = (hourlyData) => {
     }
   }
 
-  return Object.values(dailyData).sort((a, b) => new Date(a.Date).getTime() - new Date(b.Date).getTime());
+  Object.entries(dailyData).forEach(([date, daily]) => applyAggregationSpec(daily, dailyBars[date], spec));
+
+  return Object.values(dailyData).sort((a, b) => a.time - b.time);
 };
 
 
 /** * Aggregates daily stock data into weekly data.
  * @param {Array<import("../stock-chart.js").StockData>} dailyData - The daily stock data to aggregate.
  * @param {Array<import("../stock-chart.js").StockData>} weeklyBases - The existing weekly bases to update.
+ * @param {import("../stock-chart.d.ts").AggregationSpec} [spec] - How volume and other fields are combined.
+ * @param {import("../stock-chart.d.ts").CalendarOptions} [calendar] - Timezone (default UTC) of the bar dates.
  * @returns {Array<import("../stock-chart.js").StockData>} The aggregated weekly stock data.
  */
-export const aggregateToWeekly = (dailyData, weeklyBases) => {
+export const aggregateToWeekly = (dailyData, weeklyBases, spec = DEFAULT_AGGREGATION_SPEC, { timezone = 'UTC' } = {}) => {
   if (!dailyData || dailyData.length === 0) return [];
 
   const weeklyData = {};
+  // Daily bars of each week, for the aggregation spec
+  const weeklyBars = {};
   const firstDaily = dailyData[0];
   if (!firstDaily) return [];
-  const firstDay = new Date(firstDaily.time * 1000);
+  const firstDay = new Date(toDateKey(firstDaily.time, timezone));
   let previousDay = firstDay.getDay();
   let previousYear = firstDay.getFullYear();
   let previousWeek = getWeekNumber(firstDay);
 
   let cnt = 1;
 
-  const sameWeekStockbase = GetSameWeekStockbase(new Date(firstDaily.time * 1000).toISOString().split('T')[0], weeklyBases);
+  const sameWeekStockbase = GetSameWeekStockbase(toDateKey(firstDaily.time, timezone), weeklyBases);
   if (sameWeekStockbase) {
-    const sameWeekDate = new Date(sameWeekStockbase.time * 1000).toISOString().split('T')[0];
+    const sameWeekDate = toDateKey(sameWeekStockbase.time, timezone);
     const weekNumber = getWeekNumber(sameWeekDate);
     cnt = weekNumber.numberOfWeek;
     const _key = `${previousYear}-W${cnt.toString().padStart(2, '0')}`;
@@ -69,7 +274,7 @@ export const aggregateToWeekly = (dailyData, weeklyBases) => {
   }
 
   for (const day of dailyData) {
-    const dayStr = new Date(day.time * 1000).toISOString().split('T')[0];
+    const dayStr = toDateKey(day.time, timezone);
     const year = new Date(dayStr).getFullYear();
     const week = getWeekNumber(dayStr);
 
@@ -94,12 +299,13 @@ export const aggregateToWeekly = (dailyData, weeklyBases) => {
     }
 
     const weekKey = `${year}-W${cnt.toString().padStart(2, '0')}`;
+    (weeklyBars[weekKey] = weeklyBars[weekKey] || []).push(day);
 
     if (!weeklyData[weekKey]) {
       // find first base from weeklyBases that timestamp is same or after the current day
       const existingBase = weeklyBases.find(wb => wb.timestamp >= day.timestamp);
       const stockbase = existingBase || day;
-      const stockbaseDateStr = new Date(stockbase.time * 1000).toISOString().split('T')[0]; 
+      const stockbaseDateStr = toDateKey(stockbase.time, timezone);
       weeklyData[weekKey] = {
         ...stockbase,
         id: existingBase ? existingBase.ID : 0,
@@ -134,22 +340,28 @@ export const aggregateToWeekly = (dailyData, weeklyBases) => {
     }
   }
 
+  Object.entries(weeklyData).forEach(([weekKey, weekly]) => applyAggregationSpec(weekly, weeklyBars[weekKey], spec));
+
   return Object.values(weeklyData).sort((a, b) => new Date(a.date).getTime() - new Date(b.date).getTime());
 };
 
 /** * Aggregates daily stock data into monthly data.
  * @param {Array<import("../stock-chart.js").StockData>} dailyData - The daily stock data to aggregate.
  * @param {Array<import("../stock-chart.js").StockData>} monthlyBases - The existing monthly bases to update.
+ * @param {import("../stock-chart.d.ts").AggregationSpec} [spec] - How volume and other fields are combined.
+ * @param {import("../stock-chart.d.ts").CalendarOptions} [calendar] - Timezone (default UTC) of the bar dates.
  * @returns {Array<import("../stock-chart.js").StockData>} The aggregated monthly stock data.
  */
-export const aggregateToMonthly = (dailyData, monthlyBases) => {
+export const aggregateToMonthly = (dailyData, monthlyBases, spec = DEFAULT_AGGREGATION_SPEC, { timezone = 'UTC' } = {}) => {
   if (!dailyData || dailyData.length === 0) return [];
 
   const monthlyData = {};
+  // Daily bars of each month, for the aggregation spec
+  const monthlyBars = {};
 
   // Initialize with existing monthly bases
   for (const stock of monthlyBases) {
-    stock.date = new Date(stock.time * 1000).toISOString().split('T')[0];
+    stock.date = toDateKey(stock.time, timezone);
     const monthKey = stock.date.substring(0, 7); // YYYY-MM
     monthlyData[monthKey] = { ...stock };
   }
@@ -157,8 +369,9 @@ export const aggregateToMonthly = (dailyData, monthlyBases) => {
   const dailyRelatedMonthlyData = {};
 
   for (const day of dailyData) {
-    day.date = new Date(day.time * 1000).toISOString().split('T')[0];
+    day.date = toDateKey(day.time, timezone);
     const monthKey = day.date.substring(0, 7); // YYYY-MM
+    (monthlyBars[monthKey] = monthlyBars[monthKey] || []).push(day);
 
     if (!monthlyData[monthKey]) {
       // Create new monthly entry
@@ -200,9 +413,38 @@ export const aggregateToMonthly = (dailyData, monthlyBases) => {
     }
   }
 
+  Object.entries(dailyRelatedMonthlyData).forEach(([monthKey, monthly]) => applyAggregationSpec(monthly, monthlyBars[monthKey], spec));
+
   return Object.values(dailyRelatedMonthlyData).sort((a, b) => new Date(a.date).getTime() - new Date(b.date).getTime());
 };
 
+/**
+ * Converts bars to Heikin-Ashi bars, which keep the time and other fields of each bar.
+ * Each Heikin-Ashi open depends on the previous Heikin-Ashi bar, so the bars already
+ * converted can be passed in and only the bars after them are calculated.
+ * @param {Array<import("../stock-chart.js").StockData>} data - Bars sorted by time
+ * @param {Array<import("../stock-chart.js").StockData>} [heikinAshi] - Converted bars for the start of data, appended to
+ * @return {Array<import("../stock-chart.js").StockData>} The Heikin-Ashi bars
+ */
+export const toHeikinAshi = (data, heikinAshi = []) => {
+  for (let i = heikinAshi.length; i < data.length; i++) {
+    const bar = data[i];
+    const previous = heikinAshi[i - 1];
+    const close = (bar.open + bar.high + bar.low + bar.close) / 4;
+    const open = previous ? (previous.open + previous.close) / 2 : (bar.open + bar.close) / 2;
+
+    heikinAshi.push({
+      ...bar,
+      open,
+      close,
+      high: Math.max(bar.high, open, close),
+      low: Math.min(bar.low, open, close)
+    });
+  }
+
+  return heikinAshi;
+};
+
 
 /**
  * Merges daily data with the daily group.
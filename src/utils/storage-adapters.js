@@ -0,0 +1,377 @@
+/**
+ * @fileoverview Storage adapters for drawings, indicator settings and indicator templates.
+ * A chart talks to its adapter only, so annotations can live in IndexedDB, localStorage,
+ * memory or a backend.
+ * @author H Chen
+ */
+
+import { indexedDBHelper } from './indexeddb-helper.js';
+
+/**
+ * @typedef {import('../stock-chart.d.ts').ChartName} ChartName
+ * @typedef {import('../stock-chart.d.ts').SavedIndicator} SavedIndicator
+ * @typedef {import('../stock-chart.d.ts').IndicatorTemplate} IndicatorTemplate
+ */
+
+/**
+ * localStorage key of the indicator settings of the global scope, other scopes append ':<scope>'
+ */
+const INDICATORS_KEY = 'asv-chart-indicator-settings';
+
+/**
+ * localStorage key of the indicator templates
+ */
+const TEMPLATES_KEY = 'asv-chart-indicator-templates';
+
+/**
+ * Prefix of the localStorage keys of drawings, followed by the chart key
+ */
+const DRAWINGS_KEY_PREFIX = 'asv-chart-drawings:';
+
+/**
+ * Methods every adapter has
+ */
+const ADAPTER_METHODS = [
+    'loadDrawings', 'saveDrawings', 'loadIndicators', 'saveIndicators', 'loadIndicatorTemplates', 'saveIndicatorTemplates'
+];
+
+/**
+ * Check whether an object can be used as the storage option.
+ * @param {any} adapter - The object
+ * @returns {boolean}
+ */
+export function isStorageAdapter(adapter) {
+    return !!adapter && ADAPTER_METHODS.every(method => typeof adapter[method] === 'function');
+}
+
+/**
+ * Key of a chart's drawings, the name and code of the chart.
+ * @param {ChartName} chartName - Chart name information {name, code, metaString}
+ * @returns {string|null} null without a name and code
+ */
+function getChartKey(chartName) {
+    if (!chartName || (!chartName.name && !chartName.code)) return null;
+    return `${chartName.name || ''}|${chartName.code || ''}`;
+}
+
+/**
+ * Drawings, indicator settings and indicator templates in localStorage. Drawings are kept
+ * per chart name and code.
+ */
+export class LocalStorageAdapter {
+    /**
+     * @param {ChartName} chartName - Chart name information {name, code, metaString}
+     * @returns {Promise<Array<Object>>}
+     */
+    async loadDrawings(chartName) {
+        const key = getChartKey(chartName);
+        return (key && readLocalStorage(DRAWINGS_KEY_PREFIX + key)) || [];
+    }
+
+    /**
+     * @param {ChartName} chartName - Chart name information {name, code, metaString}
+     * @param {Array<Object>} drawings - Drawings as returned by their toJSON()
+     * @returns {Promise<void>}
+     */
+    async saveDrawings(chartName, drawings) {
+        const key = getChartKey(chartName);
+        if (!key) return;
+        localStorage.setItem(DRAWINGS_KEY_PREFIX + key, JSON.stringify(drawings));
+    }
+
+    /**
+     * @param {string} scope - 'global', 'symbol:<code>' or 'timeframe:<timeframe>'
+     * @returns {Promise<Array<SavedIndicator>>}
+     */
+    async loadIndicators(scope) {
+        return readLocalStorage(getIndicatorsKey(scope)) || [];
+    }
+
+    /**
+     * @param {string} scope - 'global', 'symbol:<code>' or 'timeframe:<timeframe>'
+     * @param {Array<SavedIndicator>} indicators - The indicators to restore on the next start
+     * @returns {Promise<void>}
+     */
+    async saveIndicators(scope, indicators) {
+        localStorage.setItem(getIndicatorsKey(scope), JSON.stringify(indicators));
+    }
+
+    /**
+     * @returns {Promise<Array<IndicatorTemplate>>}
+     */
+    async loadIndicatorTemplates() {
+        return readLocalStorage(TEMPLATES_KEY) || [];
+    }
+
+    /**
+     * @param {Array<IndicatorTemplate>} templates - All templates
+     * @returns {Promise<void>}
+     */
+    async saveIndicatorTemplates(templates) {
+        localStorage.setItem(TEMPLATES_KEY, JSON.stringify(templates));
+    }
+}
+
+/**
+ * Drawings in IndexedDB, the default. Indicator settings and templates stay in localStorage
+ * like with LocalStorageAdapter. All adapters share one database connection, which is
+ * closed when the last of them is closed.
+ */
+export class IndexedDBAdapter extends LocalStorageAdapter {
+    constructor() {
+        super();
+        this.isClosed = false;
+        indexedDBHelper.retain();
+    }
+
+    /**
+     * Drawings of the chart. Without drawings for its code, the drawings saved under its
+     * name with any code are returned, so drawings follow the chart across timeframes.
+     * @param {ChartName} chartName - Chart name information {name, code, metaString}
+     * @returns {Promise<Array<Object>>}
+     */
+    async loadDrawings(chartName) {
+        const drawings = await indexedDBHelper.loadDrawings(chartName);
+        return drawings.length > 0 ? drawings : indexedDBHelper.loadDrawingsAcrossTimeframes(chartName);
+    }
+
+    /**
+     * @param {ChartName} chartName - Chart name information {name, code, metaString}
+     * @param {Array<Object>} drawings - Drawings as returned by their toJSON()
+     * @returns {Promise<void>}
+     */
+    async saveDrawings(chartName, drawings) {
+        await indexedDBHelper.saveDrawings(chartName, drawings);
+    }
+
+    /**
+     * Copies of the drawings taken before database migrations, oldest first. The records
+     * are in the schema of the version they were taken from.
+     * @returns {Promise<Array<{id: number, fromVersion: number, toVersion: number, createdAt: number, records: Array<Object>}>>}
+     */
+    getBackups() {
+        return indexedDBHelper.getBackups();
+    }
+
+    /**
+     * Replace all saved drawings with the ones of a backup. Charts show them after
+     * their drawings are loaded again.
+     * @param {number} backupId - Id of a backup from getBackups
+     * @returns {Promise<void>}
+     */
+    restoreBackup(backupId) {
+        return indexedDBHelper.restoreBackup(backupId);
+    }
+
+    /**
+     * Release the database connection, called when the chart is destroyed. The connection
+     * is closed once no other adapter uses it.
+     */
+    close() {
+        if (this.isClosed) return;
+        this.isClosed = true;
+        indexedDBHelper.release();
+    }
+}
+
+/**
+ * localStorage key of the indicator settings of a scope. The global scope keeps the key
+ * used before scopes existed, so saved indicators carry over.
+ * @param {string} scope - 'global', 'symbol:<code>' or 'timeframe:<timeframe>'
+ * @returns {string}
+ */
+function getIndicatorsKey(scope) {
+    return !scope || scope === 'global' ? INDICATORS_KEY : `${INDICATORS_KEY}:${scope}`;
+}
+
+/**
+ * Drawings, indicator settings and indicator templates in memory, gone when the page is closed.
+ * Charts sharing an adapter share what it holds. Useful for tests and for pages that must not
+ * persist anything.
+ */
+export class MemoryAdapter {
+    constructor() {
+        /** @type {Map<string, Array<Object>>} */
+        this.drawings = new Map();
+        /** @type {Map<string, Array<SavedIndicator>>} */
+        this.indicators = new Map();
+        /** @type {Array<IndicatorTemplate>} */
+        this.templates = [];
+    }
+
+    /**
+     * @param {ChartName} chartName - Chart name information {name, code, metaString}
+     * @returns {Promise<Array<Object>>}
+     */
+    async loadDrawings(chartName) {
+        return structuredClone(this.drawings.get(getChartKey(chartName)) || []);
+    }
+
+    /**
+     * @param {ChartName} chartName - Chart name information {name, code, metaString}
+     * @param {Array<Object>} drawings - Drawings as returned by their toJSON()
+     * @returns {Promise<void>}
+     */
+    async saveDrawings(chartName, drawings) {
+        const key = getChartKey(chartName);
+        if (!key) return;
+        this.drawings.set(key, structuredClone(drawings));
+    }
+
+    /**
+     * @param {string} scope - 'global', 'symbol:<code>' or 'timeframe:<timeframe>'
+     * @returns {Promise<Array<SavedIndicator>>}
+     */
+    async loadIndicators(scope) {
+        return structuredClone(this.indicators.get(scope) || []);
+    }
+
+    /**
+     * @param {string} scope - 'global', 'symbol:<code>' or 'timeframe:<timeframe>'
+     * @param {Array<SavedIndicator>} indicators - The indicators to restore on the next start
+     * @returns {Promise<void>}
+     */
+    async saveIndicators(scope, indicators) {
+        this.indicators.set(scope, structuredClone(indicators));
+    }
+
+    /**
+     * @returns {Promise<Array<IndicatorTemplate>>}
+     */
+    async loadIndicatorTemplates() {
+        return structuredClone(this.templates);
+    }
+
+    /**
+     * @param {Array<IndicatorTemplate>} templates - All templates
+     * @returns {Promise<void>}
+     */
+    async saveIndicatorTemplates(templates) {
+        this.templates = structuredClone(templates);
+    }
+}
+
+/**
+ * Drawings, indicator settings and indicator templates on a backend, as JSON over HTTP:
+ * - GET and PUT `{baseUrl}/drawings?name=...&code=...` with an array of drawings
+ * - GET and PUT `{baseUrl}/indicators?scope=...` with an array of {id, settings}
+ * - GET and PUT `{baseUrl}/indicator-templates` with an array of {name, indicators}
+ *
+ * A GET answered with 404 counts as nothing saved yet.
+ */
+export class RestAdapter {
+    /**
+     * @param {Object} options
+     * @param {string} options.baseUrl - URL the paths are appended to, e.g. 'https://example.com/api/users/42'
+     * @param {Object|function(): Object} [options.headers] - Headers of every request, or a function returning them,
+     *   e.g. for an Authorization header with a token that is refreshed
+     * @param {typeof fetch} [options.fetch] - The fetch function, the global fetch by default
+     */
+    constructor(options) {
+        const { baseUrl, headers = {}, fetch: fetchFunction } = options || {};
+        if (typeof baseUrl !== 'string' || !baseUrl) {
+            throw new Error('RestAdapter: baseUrl must be a non-empty string');
+        }
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+        this.headers = headers;
+        this.fetch = fetchFunction || ((input, init) => fetch(input, init));
+    }
+
+    /**
+     * @param {ChartName} chartName - Chart name information {name, code, metaString}
+     * @returns {Promise<Array<Object>>}
+     */
+    async loadDrawings(chartName) {
+        if (!getChartKey(chartName)) return [];
+        return (await this.request('GET', this.getDrawingsPath(chartName))) || [];
+    }
+
+    /**
+     * @param {ChartName} chartName - Chart name information {name, code, metaString}
+     * @param {Array<Object>} drawings - Drawings as returned by their toJSON()
+     * @returns {Promise<void>}
+     */
+    async saveDrawings(chartName, drawings) {
+        if (!getChartKey(chartName)) return;
+        await this.request('PUT', this.getDrawingsPath(chartName), drawings);
+    }
+
+    /**
+     * @param {string} scope - 'global', 'symbol:<code>' or 'timeframe:<timeframe>'
+     * @returns {Promise<Array<SavedIndicator>>}
+     */
+    async loadIndicators(scope) {
+        return (await this.request('GET', `/indicators?${new URLSearchParams({ scope })}`)) || [];
+    }
+
+    /**
+     * @param {string} scope - 'global', 'symbol:<code>' or 'timeframe:<timeframe>'
+     * @param {Array<SavedIndicator>} indicators - The indicators to restore on the next start
+     * @returns {Promise<void>}
+     */
+    async saveIndicators(scope, indicators) {
+        await this.request('PUT', `/indicators?${new URLSearchParams({ scope })}`, indicators);
+    }
+
+    /**
+     * @returns {Promise<Array<IndicatorTemplate>>}
+     */
+    async loadIndicatorTemplates() {
+        return (await this.request('GET', '/indicator-templates')) || [];
+    }
+
+    /**
+     * @param {Array<IndicatorTemplate>} templates - All templates
+     * @returns {Promise<void>}
+     */
+    async saveIndicatorTemplates(templates) {
+        await this.request('PUT', '/indicator-templates', templates);
+    }
+
+    /**
+     * @private
+     * @param {ChartName} chartName - Chart name information {name, code, metaString}
+     * @returns {string}
+     */
+    getDrawingsPath(chartName) {
+        const query = new URLSearchParams({ name: chartName.name || '', code: chartName.code || '' });
+        return `/drawings?${query}`;
+    }
+
+    /**
+     * @private
+     * @param {'GET'|'PUT'} method - The HTTP method
+     * @param {string} path - Path and query after the base URL
+     * @param {any} [body] - Sent as JSON
+     * @returns {Promise<any>} The JSON of a GET, null for a 404 or an empty answer
+     */
+    async request(method, path, body) {
+        const headers = typeof this.headers === 'function' ? await this.headers() : this.headers;
+        const response = await this.fetch(this.baseUrl + path, {
+            method,
+            headers: body === undefined ? headers : { 'Content-Type': 'application/json', ...headers },
+            body: body === undefined ? undefined : JSON.stringify(body)
+        });
+
+        if (method === 'GET' && response.status === 404) return null;
+        if (!response.ok) {
+            throw new Error(`RestAdapter: ${method} ${path} failed with status ${response.status}`);
+        }
+        if (method !== 'GET') return null;
+        const text = await response.text();
+        return text ? JSON.parse(text) : null;
+    }
+}
+
+/**
+ * @param {string} key - The localStorage key
+ * @returns {any} The parsed value, null when it is missing or not JSON
+ */
+function readLocalStorage(key) {
+    try {
+        return JSON.parse(localStorage.getItem(key));
+    } catch (error) {
+        console.error(`Failed to read '${key}' from localStorage:`, error);
+        return null;
+    }
+}
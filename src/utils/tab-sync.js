@@ -0,0 +1,149 @@
+/**
+ * @fileoverview Keeps drawings and indicators of the same chart in sync across browser tabs.
+ * Every save is published on a BroadcastChannel; the other tabs merge it and re-render.
+ * @author H Chen
+ */
+
+/**
+ * Name of the BroadcastChannel shared by all charts
+ */
+const CHANNEL_NAME = 'asv-chart-sync';
+
+/**
+ * Merge the drawings of this tab with the ones of another tab. Drawings are matched by id;
+ * the side that changed a drawing last wins, and a drawing deleted after its last change
+ * stays deleted.
+ * @param {Array<Object>} local - Drawings of this tab as returned by their toJSON()
+ * @param {Object<string, number>} localDeleted - Deletion time of the drawings deleted in this tab, by id
+ * @param {Array<Object>} remote - Drawings of the other tab
+ * @param {Object<string, number>} remoteDeleted - Deletion time of the drawings deleted in the other tab, by id
+ * @returns {{drawings: Array<Object>, deleted: Object<string, number>}} The merged drawings, in the
+ *   order of the other tab followed by the ones only this tab has, and all deletions
+ */
+export function mergeDrawings(local, localDeleted, remote, remoteDeleted) {
+    const deleted = { ...localDeleted };
+    Object.entries(remoteDeleted).forEach(([id, deletedAt]) => {
+        deleted[id] = Math.max(deleted[id] ?? 0, deletedAt);
+    });
+
+    const localById = new Map(local.map(drawing => [drawing.id, drawing]));
+    const remoteIds = new Set(remote.map(drawing => drawing.id));
+    const drawings = [
+        ...remote.map(drawing => {
+            const localDrawing = localById.get(drawing.id);
+            return localDrawing && localDrawing.updatedAt >= drawing.updatedAt ? localDrawing : drawing;
+        }),
+        ...local.filter(drawing => !remoteIds.has(drawing.id))
+    ].filter(drawing => !(deleted[drawing.id] >= drawing.updatedAt));
+
+    return { drawings, deleted };
+}
+
+/**
+ * Whether two lists hold the same versions of the same drawings, in any order.
+ * @param {Array<Object>} a - Drawings as returned by their toJSON()
+ * @param {Array<Object>} b - Drawings as returned by their toJSON()
+ * @returns {boolean}
+ */
+export function isSameDrawingVersions(a, b) {
+    if (a.length !== b.length) return false;
+    const versions = new Map(a.map(drawing => [drawing.id, drawing.updatedAt]));
+    return b.every(drawing => versions.has(drawing.id) && versions.get(drawing.id) === drawing.updatedAt);
+}
+
+/**
+ * Key of a chart's drawings, the name and code of the chart.
+ * @param {import('../stock-chart.d.ts').ChartName} chartName - Chart name information {name, code, metaString}
+ * @returns {string}
+ */
+function getChartKey(chartName) {
+    return `${chartName.name || ''}|${chartName.code || ''}`;
+}
+
+/**
+ * TabSync class. Charts showing the same chartName follow each other's drawings, and
+ * charts using the same indicator scope follow each other's indicators. Charts in the same
+ * tab are synced as well, each one has its own channel.
+ */
+export class TabSync {
+    /**
+     * @param {import('../stock-chart.d.ts').default} chart - The StockChart instance
+     */
+    constructor(chart) {
+        this.chart = chart;
+        this.channel = new BroadcastChannel(CHANNEL_NAME);
+        this.channel.onmessage = event => this.handleMessage(event.data);
+        this.isClosed = false;
+    }
+
+    /**
+     * Whether the browser supports syncing tabs
+     * @returns {boolean}
+     */
+    static isSupported() {
+        return typeof BroadcastChannel === 'function';
+    }
+
+    /**
+     * Publish the drawings of a chart after they were saved.
+     * @param {import('../stock-chart.d.ts').ChartName} chartName - Chart name information {name, code, metaString}
+     * @param {Array<Object>} drawings - Drawings as returned by their toJSON()
+     * @param {Object<string, number>} deleted - Deletion time of the drawings deleted on the chart, by id
+     */
+    publishDrawings(chartName, drawings, deleted) {
+        this.post({ type: 'drawings', chartKey: getChartKey(chartName), drawings, deleted });
+    }
+
+    /**
+     * Publish the indicators of a scope after they were saved.
+     * @param {string} scope - 'global', 'symbol:<code>' or 'timeframe:<timeframe>'
+     * @param {Array<import('../stock-chart.d.ts').SavedIndicator>} indicators - The saved indicators
+     */
+    publishIndicators(scope, indicators) {
+        this.post({ type: 'indicators', scope, indicators });
+    }
+
+    /**
+     * @private
+     * @param {Object} message - Structured-cloneable message
+     */
+    post(message) {
+        // A save may finish after the chart was destroyed
+        if (this.isClosed) return;
+        try {
+            this.channel.postMessage(message);
+        } catch (error) {
+            console.error('TabSync: Failed to publish a change:', error);
+        }
+    }
+
+    /**
+     * Apply a change published by another chart when it concerns this chart.
+     * @private
+     * @param {Object} message - The published message
+     */
+    handleMessage(message) {
+        const chart = this.chart;
+        if (chart.isDestroyed || !message) return;
+
+        if (message.type === 'drawings') {
+            const chartName = chart.options.chartName;
+            if (chartName && getChartKey(chartName) === message.chartKey) {
+                chart.drawingPanel.applyRemoteDrawings(message.drawings, message.deleted);
+            }
+        } else if (message.type === 'indicators') {
+            if (chart.getIndicatorScopeKey() === message.scope) {
+                chart.drawingPanel.applyRemoteIndicators(message.indicators);
+            }
+        }
+    }
+
+    /**
+     * Stop syncing.
+     */
+    close() {
+        this.isClosed = true;
+        this.channel.onmessage = null;
+        this.channel.close();
+    }
+}
@@ -0,0 +1,188 @@
+/**
+ * @fileoverview Calendar dates of bar times in an IANA timezone, and exchange session checks.
+ * @author H Chen
+ */
+
+/**
+ * @typedef {import('../stock-chart.d.ts').SessionSpec} SessionSpec
+ */
+
+const SECONDS_PER_DAY = 24 * 60 * 60;
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * Intl formatters by timezone, creating them is slow
+ * @type {Map<string, Intl.DateTimeFormat>}
+ */
+const formatters = new Map();
+
+/**
+ * @param {string} timezone - IANA timezone name
+ * @returns {Intl.DateTimeFormat}
+ */
+function getFormatter(timezone) {
+    if (!formatters.has(timezone)) {
+        formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+            timeZone: timezone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit',
+            weekday: 'short'
+        }));
+    }
+    return formatters.get(timezone);
+}
+
+/**
+ * Check whether a timezone name is supported by the browser.
+ * @param {string} timezone - IANA timezone name, e.g. 'America/New_York'
+ * @returns {boolean}
+ */
+export function isValidTimezone(timezone) {
+    try {
+        getFormatter(timezone);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * IANA name of the browser's timezone, UTC when the browser does not report one.
+ * @returns {string}
+ */
+export function getLocalTimezone() {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+}
+
+/**
+ * Calendar parts of a bar time. Without a timezone the browser's local timezone is used.
+ * @param {number} time - Unix time in seconds
+ * @param {string} [timezone] - IANA timezone name
+ * @returns {{year: number, month: number, day: number, hours: number, minutes: number, seconds: number, weekday: number}}
+ *   month is 1-12, weekday is 0 (Sunday) to 6
+ */
+export function getDateParts(time, timezone) {
+    const date = new Date(time * 1000);
+    if (!timezone) {
+        return {
+            year: date.getFullYear(),
+            month: date.getMonth() + 1,
+            day: date.getDate(),
+            hours: date.getHours(),
+            minutes: date.getMinutes(),
+            seconds: date.getSeconds(),
+            weekday: date.getDay()
+        };
+    }
+
+    if (timezone === 'UTC') {
+        return {
+            year: date.getUTCFullYear(),
+            month: date.getUTCMonth() + 1,
+            day: date.getUTCDate(),
+            hours: date.getUTCHours(),
+            minutes: date.getUTCMinutes(),
+            seconds: date.getUTCSeconds(),
+            weekday: date.getUTCDay()
+        };
+    }
+
+    const parts = {};
+    getFormatter(timezone).formatToParts(date).forEach(part => {
+        parts[part.type] = part.value;
+    });
+    return {
+        year: Number(parts.year),
+        month: Number(parts.month),
+        day: Number(parts.day),
+        hours: Number(parts.hour),
+        minutes: Number(parts.minute),
+        seconds: Number(parts.second),
+        weekday: WEEKDAYS.indexOf(parts.weekday)
+    };
+}
+
+/**
+ * Calendar date of a bar time as 'YYYY-MM-DD'.
+ * @param {number} time - Unix time in seconds
+ * @param {string} [timezone] - IANA timezone name, the local timezone when omitted
+ * @returns {string}
+ */
+export function toDateKey(time, timezone) {
+    return formatDateKey(getDateParts(time, timezone));
+}
+
+/**
+ * @param {{year: number, month: number, day: number}} parts - Calendar parts from getDateParts
+ * @returns {string} The date as 'YYYY-MM-DD'
+ */
+function formatDateKey({ year, month, day }) {
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Offset of the timezone from UTC at the given time.
+ * @param {number} time - Unix time in seconds
+ * @param {string} [timezone] - IANA timezone name, the local timezone when omitted
+ * @returns {number} Seconds to add to a UTC time to get the wall-clock time
+ */
+export function getTimezoneOffset(time, timezone) {
+    const { year, month, day, hours, minutes, seconds } = getDateParts(time, timezone);
+    const wallTime = Date.UTC(year, month - 1, day, hours, minutes, seconds) / 1000;
+    return wallTime - Math.floor(time);
+}
+
+/**
+ * Parse a wall-clock time.
+ * @param {string} clock - Time of day as 'HH:mm'
+ * @returns {number} Seconds since midnight
+ */
+function parseClock(clock) {
+    const [hours, minutes] = String(clock).split(':').map(Number);
+    return (hours || 0) * 3600 + (minutes || 0) * 60;
+}
+
+/**
+ * Regular session of the day a bar time falls on.
+ * Half-days close early, holidays and days outside session.days have no session.
+ * @param {number} time - Unix time in seconds
+ * @param {SessionSpec} session - The exchange session
+ * @param {string} [timezone] - IANA timezone of the exchange, the local timezone when omitted
+ * @returns {{open: number, close: number} | null} Open and close as Unix times in seconds
+ */
+export function getSessionBounds(time, session, timezone) {
+    const parts = getDateParts(time, timezone);
+    const dateKey = formatDateKey(parts);
+    const days = session.days || [1, 2, 3, 4, 5];
+
+    if (!days.includes(parts.weekday) || (session.holidays || []).includes(dateKey)) {
+        return null;
+    }
+
+    // Midnight of the bar's day as a Unix time
+    const offset = getTimezoneOffset(time, timezone);
+    const midnight = Math.floor((time + offset) / SECONDS_PER_DAY) * SECONDS_PER_DAY - offset;
+    const close = session.halfDays?.[dateKey] ?? session.close;
+
+    return {
+        open: midnight + parseClock(session.open),
+        close: midnight + parseClock(close)
+    };
+}
+
+/**
+ * Check whether a bar starts within the regular session.
+ * @param {number} time - Unix time in seconds
+ * @param {SessionSpec} session - The exchange session
+ * @param {string} [timezone] - IANA timezone of the exchange, the local timezone when omitted
+ * @returns {boolean}
+ */
+export function isInSession(time, session, timezone) {
+    const bounds = getSessionBounds(time, session, timezone);
+    return !!bounds && time >= bounds.open && time < bounds.close;
+}
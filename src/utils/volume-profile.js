@@ -0,0 +1,151 @@
+/**
+ * @fileoverview Volume at price: the volume of a range of bars split into price rows,
+ * with the point of control and the value area.
+ * @author H Chen
+ */
+
+import { withAlpha } from './helpers.js';
+
+/**
+ * @typedef {import('../stock-chart.d.ts').StockData} StockData
+ * @typedef {import('../stock-chart.d.ts').VolumeProfile} VolumeProfile
+ * @typedef {import('../stock-chart.d.ts').VolumeProfileOptions} VolumeProfileOptions
+ */
+
+/**
+ * Defaults of the visible range profile and the fixed range drawing
+ */
+export const VOLUME_PROFILE_DEFAULTS = {
+    rows: 24,
+    valueAreaPercent: 70,
+    width: 0.25,
+    pocColor: '#FF9800'
+};
+
+/**
+ * Split the volume of bars into price rows. The volume of a bar is spread over the rows
+ * between its low and high, in proportion to how much of its range falls in each row.
+ * Volume of bars closing at or above the open counts as up volume.
+ * @param {Array<StockData>} bars - The bars
+ * @param {Object} [options]
+ * @param {number} [options.rows=24] - Number of price rows
+ * @param {number} [options.valueAreaPercent=70] - Share of the volume in the value area
+ * @returns {VolumeProfile | null} null when the bars have no volume
+ */
+export function calculateVolumeProfile(bars, { rows = VOLUME_PROFILE_DEFAULTS.rows, valueAreaPercent = VOLUME_PROFILE_DEFAULTS.valueAreaPercent } = {}) {
+    const validBars = bars.filter(bar => bar && bar.volume > 0 && isFinite(bar.high) && isFinite(bar.low));
+    if (validBars.length === 0) return null;
+
+    const rowCount = Math.max(1, Math.round(rows));
+    const low = Math.min(...validBars.map(bar => bar.low));
+    const high = Math.max(...validBars.map(bar => bar.high));
+    const rowHeight = (high - low) / rowCount;
+    const getRowIndex = price => (rowHeight > 0 ? Math.min(rowCount - 1, Math.max(0, Math.floor((price - low) / rowHeight))) : 0);
+
+    const profileRows = Array.from({ length: rowCount }, (_, i) => ({
+        low: low + i * rowHeight,
+        high: low + (i + 1) * rowHeight,
+        volume: 0,
+        upVolume: 0,
+        downVolume: 0,
+        inValueArea: false
+    }));
+
+    validBars.forEach(bar => {
+        const isUp = bar.close >= bar.open;
+        const firstRow = getRowIndex(bar.low);
+        const lastRow = getRowIndex(bar.high);
+        const barRange = bar.high - bar.low;
+
+        for (let i = firstRow; i <= lastRow; i++) {
+            const row = profileRows[i];
+            const share = firstRow === lastRow ? 1 :
+                (Math.min(bar.high, row.high) - Math.max(bar.low, row.low)) / barRange;
+            const volume = bar.volume * share;
+            row.volume += volume;
+            if (isUp) {
+                row.upVolume += volume;
+            } else {
+                row.downVolume += volume;
+            }
+        }
+    });
+
+    const totalVolume = profileRows.reduce((sum, row) => sum + row.volume, 0);
+    let pocIndex = 0;
+    profileRows.forEach((row, i) => {
+        if (row.volume > profileRows[pocIndex].volume) pocIndex = i;
+    });
+
+    // The value area grows from the point of control towards the busier neighbouring row
+    const targetVolume = totalVolume * Math.min(100, Math.max(0, valueAreaPercent)) / 100;
+    let lowIndex = pocIndex;
+    let highIndex = pocIndex;
+    let valueAreaVolume = profileRows[pocIndex].volume;
+    while (valueAreaVolume < targetVolume && (lowIndex > 0 || highIndex < rowCount - 1)) {
+        const below = lowIndex > 0 ? profileRows[lowIndex - 1].volume : -1;
+        const above = highIndex < rowCount - 1 ? profileRows[highIndex + 1].volume : -1;
+        if (above >= below) {
+            highIndex++;
+            valueAreaVolume += above;
+        } else {
+            lowIndex--;
+            valueAreaVolume += below;
+        }
+    }
+    for (let i = lowIndex; i <= highIndex; i++) {
+        profileRows[i].inValueArea = true;
+    }
+
+    return {
+        rows: profileRows,
+        totalVolume,
+        pocIndex,
+        pocPrice: (profileRows[pocIndex].low + profileRows[pocIndex].high) / 2,
+        valueAreaLow: profileRows[lowIndex].low,
+        valueAreaHigh: profileRows[highIndex].high
+    };
+}
+
+/**
+ * Draw a profile as horizontal bars growing leftwards from the right edge of an area,
+ * the up volume in the up color and the down volume in the down color. Rows in the value
+ * area are stronger and the point of control is marked with a line.
+ * @param {CanvasRenderingContext2D} ctx - The canvas context
+ * @param {VolumeProfile} profile - The profile from calculateVolumeProfile
+ * @param {{x: number, width: number}} area - Horizontal extent the profile is drawn in
+ * @param {function(number): number} toY - Converts a price to a y coordinate
+ * @param {VolumeProfileOptions} options - Width and colors
+ * @param {import('../stock-chart.d.ts').Theme} theme - The current theme
+ */
+export function drawVolumeProfile(ctx, profile, area, toY, options, theme) {
+    const maxVolume = profile.rows[profile.pocIndex].volume;
+    if (!(maxVolume > 0)) return;
+
+    const right = area.x + area.width;
+    const maxLength = area.width * (options.width ?? VOLUME_PROFILE_DEFAULTS.width);
+    const upColor = options.upColor || theme.candleUp;
+    const downColor = options.downColor || theme.candleDown;
+
+    profile.rows.forEach(row => {
+        if (row.volume <= 0) return;
+        const topY = Math.min(toY(row.high), toY(row.low));
+        const height = Math.max(1, Math.abs(toY(row.low) - toY(row.high)) - 1);
+        const length = row.volume / maxVolume * maxLength;
+        const upLength = length * row.upVolume / row.volume;
+        const alpha = row.inValueArea ? 0.5 : 0.2;
+
+        ctx.fillStyle = withAlpha(upColor, alpha);
+        ctx.fillRect(right - length, topY, upLength, height);
+        ctx.fillStyle = withAlpha(downColor, alpha);
+        ctx.fillRect(right - length + upLength, topY, length - upLength, height);
+    });
+
+    const pocY = toY(profile.pocPrice);
+    ctx.strokeStyle = options.pocColor || VOLUME_PROFILE_DEFAULTS.pocColor;
+    ctx.lineWidth = 1.5;
+    ctx.beginPath();
+    ctx.moveTo(right - maxLength, pocY);
+    ctx.lineTo(right, pocY);
+    ctx.stroke();
+}
@@ -0,0 +1,176 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { indexedDB } from 'fake-indexeddb';
+
+import { DB_VERSION, IndexedDBHelper, migrateRecords } from '../src/utils/indexeddb-helper.js';
+
+// The helper opens the database through the global
+globalThis.indexedDB = indexedDB;
+
+/**
+ * Create a database the way an older release did and fill its drawings store.
+ * @param {string} name - Database name
+ * @param {number} version - Database version
+ * @param {function(IDBObjectStore): void} createIndexes - Creates the indexes of that version
+ * @param {Array<Object>} records - Drawing records to add
+ * @returns {Promise<void>}
+ */
+function createDatabase(name, version, createIndexes, records) {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(name, version);
+        request.onupgradeneeded = () => {
+            const store = request.result.createObjectStore('drawings', { keyPath: 'id', autoIncrement: true });
+            createIndexes(store);
+        };
+        request.onsuccess = () => {
+            const db = request.result;
+            const transaction = db.transaction(['drawings'], 'readwrite');
+            records.forEach(record => transaction.objectStore('drawings').add(record));
+            transaction.oncomplete = () => {
+                db.close();
+                resolve();
+            };
+        };
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * @param {IDBDatabase} db - An open database
+ * @returns {Promise<Array<Object>>} Every record of the drawings store
+ */
+function getAllRecords(db) {
+    return new Promise(resolve => {
+        const request = db.transaction(['drawings']).objectStore('drawings').getAll();
+        request.onsuccess = () => resolve(request.result);
+    });
+}
+
+/**
+ * @param {string} name - Database name
+ * @returns {IndexedDBHelper} A helper that opens the database with the name
+ */
+function createHelper(name) {
+    const helper = new IndexedDBHelper();
+    helper.dbName = name;
+    return helper;
+}
+
+const createVersion1Indexes = store => {
+    store.createIndex('chartName', 'chartName', { unique: false });
+    store.createIndex('chartCode', 'chartCode', { unique: false });
+};
+
+const createVersion2Indexes = store => {
+    createVersion1Indexes(store);
+    store.createIndex('chartNameAndCode', ['chartName', 'chartCode'], { unique: false });
+};
+
+describe('migrateRecords', () => {
+    it('fills in the chart name, code and meta string of version 1 records', () => {
+        const [record] = migrateRecords([{ id: 1, type: 'rectangle', chartName: 'Apple' }], 1);
+
+        assert.deepEqual(record, {
+            id: 1,
+            type: 'rectangle',
+            chartName: 'Apple',
+            chartCode: '',
+            chartMetaString: '',
+            schemaVersion: DB_VERSION
+        });
+    });
+
+    it('keeps the values version 2 records have', () => {
+        const [record] = migrateRecords([
+            { id: 2, type: 'line', chartName: 'Apple', chartCode: 'AAPL', chartMetaString: 'daily' }
+        ], 2);
+
+        assert.deepEqual(record, {
+            id: 2,
+            type: 'line',
+            chartName: 'Apple',
+            chartCode: 'AAPL',
+            chartMetaString: 'daily',
+            schemaVersion: DB_VERSION
+        });
+    });
+
+    it('reads the version of a record from its schemaVersion', () => {
+        const record = { id: 3, type: 'line', chartName: 'Apple', schemaVersion: DB_VERSION };
+
+        assert.deepEqual(migrateRecords([record], 1), [record]);
+    });
+});
+
+describe('IndexedDBHelper migrations', () => {
+    it('upgrades a version 1 database', async () => {
+        await createDatabase('migrate-v1', 1, createVersion1Indexes, [
+            { type: 'rectangle', points: [], chartName: 'Apple', timestamp: 1 },
+            { type: 'line', points: [], chartName: 'Apple', chartCode: 'AAPL', chartMetaString: '', timestamp: 1 }
+        ]);
+        const helper = createHelper('migrate-v1');
+
+        const db = await helper.init();
+        assert.equal(db.version, DB_VERSION);
+        assert.ok(db.objectStoreNames.contains('backups'));
+
+        const store = db.transaction(['drawings']).objectStore('drawings');
+        assert.deepEqual(store.index('chartNameAndCode').keyPath, ['chartName', 'chartCode']);
+
+        // The record without a code can be found by its name again
+        assert.deepEqual(await helper.loadDrawings({ name: 'Apple' }), [{ type: 'rectangle', points: [] }]);
+        assert.deepEqual(await helper.loadDrawings({ name: 'Apple', code: 'AAPL' }), [{ type: 'line', points: [] }]);
+        assert.ok((await getAllRecords(db)).every(record => record.schemaVersion === DB_VERSION));
+
+        const [backup] = await helper.getBackups();
+        assert.equal(backup.fromVersion, 1);
+        assert.equal(backup.toVersion, DB_VERSION);
+        assert.equal(backup.records.length, 2);
+        helper.close();
+    });
+
+    it('upgrades a version 2 database', async () => {
+        await createDatabase('migrate-v2', 2, createVersion2Indexes, [
+            { type: 'fibonacci', points: [], chartName: 'Microsoft', chartCode: 'MSFT', chartMetaString: '', timestamp: 1 }
+        ]);
+        const helper = createHelper('migrate-v2');
+
+        const db = await helper.init();
+        assert.equal(db.version, DB_VERSION);
+        assert.ok(db.objectStoreNames.contains('backups'));
+        assert.ok(db.transaction(['drawings']).objectStore('drawings').indexNames.contains('chartNameAndCode'));
+
+        assert.deepEqual(await helper.loadDrawings({ name: 'Microsoft', code: 'MSFT' }), [{ type: 'fibonacci', points: [] }]);
+        assert.deepEqual((await helper.getBackups()).map(backup => backup.fromVersion), [2]);
+        helper.close();
+    });
+
+    it('creates a new database without a backup', async () => {
+        const helper = createHelper('migrate-new');
+
+        await helper.saveDrawings({ name: 'Apple' }, [{ id: 'drawing_1', type: 'line', points: [] }]);
+
+        assert.deepEqual(await helper.loadDrawings({ name: 'Apple' }), [{ id: 'drawing_1', type: 'line', points: [] }]);
+        assert.deepEqual(await helper.getBackups(), []);
+        helper.close();
+    });
+});
+
+describe('IndexedDBHelper connection', () => {
+    it('stays open until the last user releases it', async () => {
+        const helper = createHelper('connection-users');
+        helper.retain();
+        helper.retain();
+        await helper.init();
+
+        helper.release();
+        assert.notEqual(helper.db, null);
+
+        helper.release();
+        assert.equal(helper.db, null);
+
+        // The next operation opens the connection again
+        assert.deepEqual(await helper.loadDrawings({ name: 'Apple' }), []);
+        helper.close();
+    });
+});
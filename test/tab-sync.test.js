@@ -0,0 +1,130 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { DrawingPanel } from '../src/utils/drawing-panel.js';
+import { MemoryAdapter } from '../src/utils/storage-adapters.js';
+import { isSameDrawingVersions, mergeDrawings } from '../src/utils/tab-sync.js';
+
+const STYLE = { strokeStyle: '#ff6b35', lineWidth: 2, fillStyle: 'rgba(255, 107, 53, 0.1)' };
+
+/**
+ * @param {string} id - Drawing id
+ * @param {number} updatedAt - Time of the last saved change
+ * @param {number} [price=100] - Price of the first point, to tell versions apart
+ * @returns {Object} A trend line as returned by its toJSON()
+ */
+function line(id, updatedAt, price = 100) {
+    return {
+        id,
+        type: 'trend-line',
+        points: [{ time: 1700000000, price }, { time: 1700086400, price: price + 10 }],
+        style: STYLE,
+        updatedAt
+    };
+}
+
+describe('mergeDrawings', () => {
+    it('keeps the version changed last, this tab on a tie', () => {
+        const local = [line('a', 10, 1), line('b', 30, 1), line('c', 20, 1), line('d', 5, 1)];
+        const remote = [line('a', 20, 2), line('b', 10, 2), line('c', 20, 2), line('e', 5, 2)];
+
+        const { drawings } = mergeDrawings(local, {}, remote, {});
+
+        assert.deepEqual(drawings, [line('a', 20, 2), line('b', 30, 1), line('c', 20, 1), line('e', 5, 2), line('d', 5, 1)]);
+    });
+
+    it('drops a drawing deleted after the other tab changed it', () => {
+        const { drawings, deleted } = mergeDrawings([], { a: 30, b: 30 }, [line('a', 20), line('b', 40)], { c: 10 });
+
+        assert.deepEqual(drawings, [line('b', 40)]);
+        assert.deepEqual(deleted, { a: 30, b: 30, c: 10 });
+    });
+
+    it('keeps the later deletion time of a drawing deleted in both tabs', () => {
+        const { deleted } = mergeDrawings([], { a: 30 }, [], { a: 50 });
+
+        assert.deepEqual(deleted, { a: 50 });
+    });
+});
+
+describe('isSameDrawingVersions', () => {
+    it('compares ids and versions in any order', () => {
+        assert.equal(isSameDrawingVersions([line('a', 1), line('b', 2)], [line('b', 2, 5), line('a', 1)]), true);
+        assert.equal(isSameDrawingVersions([line('a', 1), line('b', 2)], [line('a', 1), line('b', 3)]), false);
+        assert.equal(isSameDrawingVersions([line('a', 1)], [line('a', 1), line('b', 2)]), false);
+    });
+});
+
+describe('DrawingPanel.applyRemoteDrawings', () => {
+    /**
+     * Two charts showing the same chart name, each with its own storage. Published drawings
+     * are queued like BroadcastChannel messages until deliver() is called.
+     */
+    function createTabs() {
+        const queue = [];
+        const published = [];
+        const createTab = () => {
+            // Only the parts of a chart the drawing sync uses
+            const chart = {
+                canvas: new EventTarget(),
+                options: { chartName: { name: 'Apple', code: 'AAPL' } },
+                storage: new MemoryAdapter(),
+                tabSync: {
+                    publishDrawings(chartName, drawings, deleted) {
+                        published.push(drawings);
+                        queue.push({ from: panel, drawings: structuredClone(drawings), deleted: structuredClone(deleted) });
+                    }
+                },
+                render() {},
+                emit() {}
+            };
+            const panel = new DrawingPanel(/** @type {any} */ (chart));
+            return panel;
+        };
+        const tabs = [createTab(), createTab()];
+
+        // Deliver queued messages until the tabs stop publishing
+        const deliver = async () => {
+            for (let i = 0; queue.length > 0 && i < 10; i++) {
+                const { from, drawings, deleted } = queue.shift();
+                tabs.filter(tab => tab !== from).forEach(tab => tab.applyRemoteDrawings(drawings, deleted));
+                // Let the save started by the merge finish
+                await new Promise(resolve => setTimeout(resolve, 0));
+            }
+        };
+
+        return { tabs, queue, published, deliver };
+    }
+
+    it('publishes the merged drawings back once and stops when the tabs converged', async () => {
+        const { tabs: [first, second], queue, published, deliver } = createTabs();
+        first.setDrawings([line('a', 0)]);
+        second.setDrawings([line('b', 0)]);
+
+        await first.saveDrawingsToIndexedDB();
+        await deliver();
+
+        // The first tab's drawing, then the second tab's merge sent back
+        assert.equal(published.length, 2);
+        assert.equal(queue.length, 0);
+
+        const versions = panel => panel.drawings.map(drawing => drawing.toJSON());
+        assert.equal(isSameDrawingVersions(versions(first), versions(second)), true);
+        assert.deepEqual(versions(first).map(drawing => drawing.id).sort(), ['a', 'b']);
+    });
+
+    it('does not bring back a drawing deleted in one tab', async () => {
+        const { tabs: [first, second], published, deliver } = createTabs();
+        first.setDrawings([line('a', 0), line('b', 0)]);
+        await first.saveDrawingsToIndexedDB();
+        await deliver();
+
+        second.drawings = second.drawings.filter(drawing => drawing.id !== 'a');
+        await second.saveDrawingsToIndexedDB();
+        await deliver();
+
+        assert.deepEqual(first.drawings.map(drawing => drawing.id), ['b']);
+        assert.deepEqual(second.drawings.map(drawing => drawing.id), ['b']);
+        assert.equal(published.length, 2);
+    });
+});